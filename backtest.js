@@ -0,0 +1,3 @@
+// Kept so existing deployments keep working; use "gridkyc backtest" instead
+console.error('backtest.js is deprecated; run "gridkyc backtest" instead.');
+require('./gridkyc').main(['backtest', ...process.argv.slice(2)]);
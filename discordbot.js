@@ -1,177 +1,191 @@
 require('dotenv').config();
-const axios = require('axios');
-const crypto = require('crypto');
-const { initializeDiscordBot, sendMessageToChannel } = require('./helpers/discordhelper');
-
-const BASE_URL = 'https://api.binance.us';
-
-// Generate HMAC SHA256 signature
-function generateSignature(queryString, apiSecret) {
-  return crypto.createHmac('sha256', apiSecret).update(queryString).digest('hex');
-}
-
-// Create a signed request
-async function makeRequest(apiKey, apiSecret, endpoint, method, params = {}) {
-  const queryString = new URLSearchParams({ ...params, timestamp: Date.now() }).toString();
-  const signature = generateSignature(queryString, apiSecret);
-  const url = `${BASE_URL}${endpoint}?${queryString}&signature=${signature}`;
-
-  try {
-    console.log(`Making request to URL: ${url}`);
-    const response = await axios({
-      method,
-      url,
-      headers: {
-        'X-MBX-APIKEY': apiKey,
-      },
-    });
-    return response.data;
-  } catch (error) {
-    console.error('API Error:', error.response?.data || error.message);
-    throw error;
+const { installLogRedaction } = require('./helpers/redact');
+const { createExchange, getExchangeProfile, gridKey } = require('./helpers/exchanges');
+const { createPaperExchange } = require('./helpers/paperexchange');
+const { resolveGridConfig, validateConfigForPair, createStrategyFromConfig, getRiskLimits, getAdaptiveSettings } = require('./helpers/gridconfig');
+const { createGridEngine } = require('./helpers/gridengine');
+const { createRiskManager } = require('./helpers/riskmanager');
+const { getKillSwitch, formatKillSwitch } = require('./helpers/killswitch');
+const { createStateStore } = require('./helpers/statestore');
+const { createTradeLedger } = require('./helpers/tradeledger');
+const { formatReconciliationReport } = require('./helpers/reconciler');
+const { startGridRunner } = require('./helpers/gridrunner');
+const { startAdaptiveSpacing } = require('./helpers/adaptivespacing');
+const { createStatusPanel } = require('./helpers/statuspanel');
+const { createAlertEngine, createAlertDelivery } = require('./helpers/alertengine');
+const { startPriceWatcher } = require('./helpers/pricewatcher');
+const { startApiServer } = require('./helpers/apiserver');
+const { createNotifier, DEFAULT_PREFERENCES } = require('./helpers/notifier');
+const { initializeDiscordBot, sendMessageToChannel, sendDirectMessage, sendAlertMessage, createApiController } = require('./helpers/discordhelper');
+
+installLogRedaction();
+
+// GridBot logic. Returns a handle for the session manager, or null if the grid did not start.
+async function startGridBot(apiKey, apiSecret, symbol, channel, {
+  userId,
+  paper = false,
+  config = resolveGridConfig(),
+  notifyPreferences = DEFAULT_PREFERENCES,
+  onHalt = () => {},
+} = {}) {
+  const killSwitch = getKillSwitch();
+  if (killSwitch) {
+    sendMessageToChannel(channel, `${formatKillSwitch(killSwitch)} No grids can start until an admin releases it.`);
+    return null;
   }
-}
 
-// Fetch current price
-async function getCurrentPrice(apiKey, apiSecret, symbol) {
-  try {
-    const url = `${BASE_URL}/api/v3/ticker/price`;
-    const response = await axios.get(url, { params: { symbol } });
-    const price = parseFloat(response.data.price);
-    console.log(`[${new Date().toISOString()}] Current price of ${symbol}: $${price}`);
-    return price;
-  } catch (error) {
-    console.error('Error fetching price:', error.response?.data || error.message);
-    throw error;
-  }
-}
+  const client = paper
+    ? createPaperExchange({ marketData: createExchange(config.exchange) })
+    : createExchange(config.exchange, { apiKey, apiSecret });
 
-// Fetch trading pair info (to get filters)
-async function getTradingPairInfo(symbol) {
+  let strategy;
   try {
-    const url = `${BASE_URL}/api/v3/exchangeInfo`;
-    const response = await axios.get(url);
-    const pair = response.data.symbols.find((s) => s.symbol === symbol);
-
-    if (!pair) {
-      throw new Error(`Trading pair ${symbol} not found.`);
-    }
-
-    const lotSize = pair.filters.find((f) => f.filterType === 'LOT_SIZE');
-    const priceFilter = pair.filters.find((f) => f.filterType === 'PRICE_FILTER');
-    const minNotional = pair.filters.find((f) => f.filterType === 'MIN_NOTIONAL');
-
-    return {
-      minQty: parseFloat(lotSize.minQty),
-      stepSize: parseFloat(lotSize.stepSize),
-      tickSize: parseFloat(priceFilter.tickSize),
-      minPrice: parseFloat(priceFilter.minPrice),
-      minNotional: parseFloat(minNotional.minNotional),
-    };
+    await validateConfigForPair(client, symbol, config);
+    strategy = createStrategyFromConfig(config);
   } catch (error) {
-    console.error('Error fetching trading pair info:', error.response?.data || error.message);
-    throw error;
+    sendMessageToChannel(channel, `Invalid grid settings: ${error.message}`);
+    return null;
   }
-}
-
-// Adjust quantity to meet LOT_SIZE requirements
-function adjustQuantity(quantity, stepSize, minQty) {
-  let adjustedQuantity = Math.floor(quantity / stepSize) * stepSize;
-  return adjustedQuantity < minQty ? minQty : adjustedQuantity;
-}
-
-// Adjust price to match PRICE_FILTER rules
-function adjustPrice(price, tickSize, minPrice) {
-  let adjustedPrice = Math.floor(price / tickSize) * tickSize;
-  return adjustedPrice < minPrice ? minPrice : adjustedPrice;
-}
 
-// Fetch all open orders for a symbol
-async function fetchActiveOrders(apiKey, apiSecret, symbol) {
-  return await makeRequest(apiKey, apiSecret, '/api/v3/openOrders', 'GET', { symbol });
-}
-
-// Place a LIMIT order
-async function placeSpotOrder(apiKey, apiSecret, symbol, side, quantity, price) {
-  return await makeRequest(apiKey, apiSecret, '/api/v3/order', 'POST', {
+  const store = paper ? null : createStateStore(gridKey(userId, symbol, config.exchange));
+  const ledger = paper ? null : createTradeLedger(gridKey(userId, symbol, config.exchange));
+  const panel = createStatusPanel({
+    channel,
+    send: (payload) => sendMessageToChannel(channel, payload),
+    userId,
     symbol,
-    side,
-    type: 'LIMIT',
-    timeInForce: 'GTC',
-    quantity: quantity.toFixed(6),
-    price: price.toFixed(4),
+    title: `${symbol} on ${getExchangeProfile(config.exchange).label}`,
+    refreshMs: config.intervalSeconds * 1000,
+  });
+  // Grid events are posted in the channel or DMed by severity, as the user chose with /notify;
+  // the status panel shows the rest as its last event, and digests sum them up
+  const notifier = createNotifier({
+    label: `${paper ? '[PAPER] ' : ''}${symbol}`,
+    targets: {
+      channel: { send: panel.post, observe: panel.observe },
+      dm: { send: (message) => sendDirectMessage(userId, `${symbol}: ${message}`) },
+    },
+    preferences: notifyPreferences,
+    sendDigest: (digest) => sendMessageToChannel(channel, digest),
+  });
+  const notify = notifier.notify;
+  const engine = createGridEngine({
+    exchange: client,
+    symbol,
+    strategy,
+    store,
+    ledger,
+    risk: createRiskManager({ limits: getRiskLimits(config), ledger, notify }),
+    cancelPolicy: config.cancelPolicy,
+    notify,
   });
-}
-
-// GridBot logic
-// GridBot logic
-async function startGridBot(apiKey, apiSecret, symbol, channel) {
-  const percentageDrop = 0.60; // 0.6% drop to trigger a buy order
-  const percentageRise = 1.2;  // 1.2% rise to reset base price
-  const investment = 2;        // $2 investment for each buy order
-  const intervalMs = 2 * 60 * 1000; // Check price every 2 minutes
 
+  let spacing = null;
   try {
-    const { minQty, stepSize, tickSize, minPrice, minNotional } = await getTradingPairInfo(symbol);
-    let basePrice = await getCurrentPrice(apiKey, apiSecret, symbol);
+    const { basePrice } = await engine.start();
+    sendMessageToChannel(channel, `${paper ? '[PAPER] ' : ''}GridBot started for ${symbol} on ${getExchangeProfile(config.exchange).label}. Base price set to $${basePrice}`);
 
-    sendMessageToChannel(channel, `GridBot started for ${symbol}. Base price set to $${basePrice.toFixed(4)}`);
-
-    // Fetch active orders at the start
-    let activeOrders = await fetchActiveOrders(apiKey, apiSecret, symbol);
-    sendMessageToChannel(channel, `Fetched ${activeOrders.length} active orders.`);
-
-    setInterval(async () => {
-      try {
-        const currentPrice = await getCurrentPrice(apiKey, apiSecret, symbol);
-        sendMessageToChannel(channel, `Current price of ${symbol}: $${currentPrice.toFixed(4)}`);
-
-        const priceDrop = ((basePrice - currentPrice) / basePrice) * 100;
-        const priceRise = ((currentPrice - basePrice) / basePrice) * 100;
-
-        // Check if any buy orders have been filled and place corresponding sell orders
-        for (let i = activeOrders.length - 1; i >= 0; i--) {
-          const order = activeOrders[i];
-          const orderStatus = await checkOrderStatus(apiKey, apiSecret, symbol, order.orderId);
-
-          if (orderStatus.status === 'FILLED') {
-            sendMessageToChannel(channel, `[FILLED] Buy order ${order.orderId} filled at price ${order.price}.`);
+    if (store) {
+      const report = await engine.reconcile();
+      sendMessageToChannel(channel, formatReconciliationReport(symbol, report));
+    }
 
-            // Calculate sell price for 3% profit
-            const sellPrice = adjustPrice(order.price * 1.03, tickSize, minPrice);
-            await placeSpotOrder(apiKey, apiSecret, symbol, 'SELL', order.quantity, sellPrice);
-            sendMessageToChannel(channel, `[SELL ORDER PLACED] Selling ${order.quantity} ${symbol} at $${sellPrice.toFixed(4)}`);
+    // Spacing changes are logged as well as posted, so they can be traced later
+    if (getAdaptiveSettings(config)) {
+      spacing = startAdaptiveSpacing({
+        client,
+        symbol,
+        config,
+        engine,
+        notify: (message) => {
+          console.log(`[${new Date().toISOString()}] ${userId} ${symbol} ${message}`);
+          notify(message);
+        },
+      });
+      await spacing.refresh();
+    }
 
-            activeOrders.splice(i, 1); // Remove the filled order from active orders
-          }
+    const runner = startGridRunner({
+      engine,
+      client,
+      symbol,
+      intervalMs: config.intervalSeconds * 1000,
+      notify,
+      onTick: panel.refresh,
+      onError: (error) => notify(`[ERROR] Error during grid trading: ${error.message}`),
+      // The kill switch was pulled from the CLI; /killswitch stops sessions itself
+      onHalt: async (engaged) => {
+        let message = `[KILL SWITCH] GridBot for ${symbol} halted. ${formatKillSwitch(engaged)}`;
+        if (engaged.cancelOrders) {
+          message += `\nCanceled ${await engine.cancelOpenOrders()} open orders.`;
+          if (store) store.clear();
         }
+        notify(message);
+        spacing?.stop();
+        notifier.stop();
+        await panel.close('Halted by the kill switch.');
+        onHalt();
+      },
+    });
+    await panel.attach({ engine, runner, ledger, paper });
 
-        // Place a new buy order if the price drops by the specified percentage
-        if (priceDrop >= percentageDrop) {
-          let quantity = adjustQuantity(investment / currentPrice, stepSize, minQty);
-          let price = adjustPrice(currentPrice * 0.99, tickSize, minPrice);
-
-          if (quantity * price >= minNotional) {
-            const buyOrder = await placeSpotOrder(apiKey, apiSecret, symbol, 'BUY', quantity, price);
-            sendMessageToChannel(channel, `Buy order placed: ${quantity} ${symbol} at $${price.toFixed(4)}`);
-
-            activeOrders.push({ orderId: buyOrder.orderId, quantity, price });
-            basePrice = currentPrice;
-          } else {
-            sendMessageToChannel(channel, 'Order does not meet the minimum notional requirement.');
-          }
-        } else if (priceRise >= percentageRise) {
-          sendMessageToChannel(channel, `Price rose by ${priceRise.toFixed(2)}%. Updating base price to $${currentPrice.toFixed(4)}`);
-          basePrice = currentPrice;
+    return {
+      engine,
+      runner,
+      strategy,
+      config,
+      paper,
+      ledger,
+      panel,
+      spacing,
+      notifier,
+      // Stop monitoring; cancelling the orders also forgets the grid so the next start lays it out afresh
+      async stop({ cancelOrders = false } = {}) {
+        runner.stop();
+        spacing?.stop();
+        notifier.stop();
+        if (!cancelOrders) {
+          await panel.close('Stopped. Open orders stay on the exchange.');
+          return 0;
         }
-      } catch (error) {
-        sendMessageToChannel(channel, `Error during grid trading: ${error.message}`);
-      }
-    }, intervalMs);
+
+        const canceled = await engine.cancelOpenOrders();
+        if (store) store.clear();
+        await panel.close(`Stopped. Canceled ${canceled} open orders.`);
+        return canceled;
+      },
+    };
   } catch (error) {
+    spacing?.stop();
+    notifier.stop();
+    panel.close();
     sendMessageToChannel(channel, `Error starting GridBot: ${error.message}`);
+    return null;
   }
 }
 
+// Price alerts: the watcher follows whatever symbols the saved alerts need
+let watcher = null;
+const alertEngine = createAlertEngine({
+  deliver: createAlertDelivery({ sendDiscord: sendAlertMessage }),
+  onChange: () => watcher.refresh(),
+});
+watcher = startPriceWatcher({
+  getSymbols: alertEngine.getSymbols,
+  onPrice: alertEngine.onPrice,
+});
+
 // Start the Discord bot and handle commands
-initializeDiscordBot(startGridBot);
+initializeDiscordBot(startGridBot, { alertEngine });
+
+// The dashboard and HTTP API are opt-in; actions taken there are posted to the grid's channel
+if (process.env.API_PORT) {
+  startApiServer({
+    port: Number(process.env.API_PORT),
+    controller: createApiController(startGridBot),
+    notify: (message, session) => {
+      sendMessageToChannel(session.channel, message);
+      session.handle?.panel.refresh();
+    },
+  });
+}
@@ -0,0 +1,335 @@
+#!/usr/bin/env node
+require('dotenv').config();
+const os = require('os');
+const { installLogRedaction } = require('./helpers/redact');
+const { parseArgs } = require('util');
+const { DEFAULT_EXCHANGE, getExchangeProfile, createExchange } = require('./helpers/exchanges');
+const { roundToStep, checkOrderFilters } = require('./helpers/symbolfilters');
+const { getKillSwitch, engageKillSwitch, releaseKillSwitch, formatKillSwitch } = require('./helpers/killswitch');
+const { EXIT_FAILURE, EXIT_USAGE, usageError, createCliOutput } = require('./helpers/clioutput');
+const { GRID_OPTIONS, GRID_USAGE, runGridStart } = require('./helpers/gridcommand');
+const { MONITOR_OPTIONS, MONITOR_USAGE, runMonitor } = require('./helpers/monitorcommand');
+const { PNL_OPTIONS, PNL_USAGE, runPnl } = require('./helpers/pnlcommand');
+const { HISTORY_OPTIONS, HISTORY_USAGE, runHistory } = require('./helpers/historycommand');
+const { BACKTEST_OPTIONS, BACKTEST_USAGE, runBacktestCommand } = require('./helpers/backtestcommand');
+
+installLogRedaction();
+
+const USAGE = `Usage: gridkyc <command> [options]
+
+Commands:
+  grid start [symbol]                Run a grid until the process ends or the kill switch is pulled
+  monitor [symbols...]               Log live prices and evaluate saved alerts
+  order place <symbol> <buy|sell>    Place a LIMIT order
+  order list <symbol>                List a pair's open orders
+  order cancel <symbol> <orderId>    Cancel an open order
+  order cancel-all <symbol> --yes    Cancel every open order on a pair
+  balance [assets...]                Show the account's balances
+  pairs info <symbol>                Show a pair's price and trading rules
+  pnl <symbol>                       Report a grid's P&L from its trade ledger
+  history <symbol>                   Show or export recorded price history
+  backtest <klines file>             Replay klines through a grid and report its P&L
+  killswitch <on|off|status>         Halt every grid on this host, or release the halt
+
+Global options:
+  --exchange <name>   binance-us, binance or binance-testnet (default: EXCHANGE or binance-us)
+  --json              Print JSON for scripts: one document per result, one line per event
+  -h, --help          Show help, also for a command: gridkyc order place --help
+
+Account commands sign with BINANCE_API_KEY and BINANCE_API_SECRET. The CLI exits with 0 on
+success, 1 when a command fails and 2 when it is used wrongly.`;
+
+const ORDER_PLACE_USAGE = `Usage: gridkyc order place <symbol> <buy|sell> (--quantity <n> | --quote <n>) (--price <n> | --offset <percent>) [options]
+
+Places a LIMIT order. Its quantity and price are rounded down to the pair's lot and tick sizes,
+never up to a minimum; an order the pair's filters would reject is refused.
+
+Options:
+  --quantity <n>      Base asset to trade
+  --quote <n>         Quote asset to trade, e.g. 20 to buy $20 of DOGE on DOGEUSDT
+  --price <n>         Limit price
+  --offset <percent>  Price relative to the current one: below it for buys, above it for sells
+  --dry-run           Check the order and print it without placing it
+  --exchange <name>   The exchange (default: EXCHANGE or binance-us)
+  --json              Print the order as JSON`;
+
+const ORDER_LIST_USAGE = `Usage: gridkyc order list <symbol> [--exchange <name>] [--json]
+
+Lists the account's open orders on a pair.`;
+
+const ORDER_CANCEL_USAGE = `Usage: gridkyc order cancel <symbol> <orderId> [--exchange <name>] [--json]
+
+Cancels an open order.`;
+
+const ORDER_CANCEL_ALL_USAGE = `Usage: gridkyc order cancel-all <symbol> --yes [--exchange <name>] [--json]
+
+Cancels every open order on a pair, including those of running grids; the grids then treat
+their orders as canceled. Pass --yes to confirm.`;
+
+const BALANCE_USAGE = `Usage: gridkyc balance [assets...] [--exchange <name>] [--json]
+
+Shows the account's non-zero balances, or only those of the given assets.`;
+
+const PAIRS_INFO_USAGE = `Usage: gridkyc pairs info <symbol> [--exchange <name>] [--json]
+
+Shows a pair's current price and the filters its orders must pass.`;
+
+const KILLSWITCH_USAGE = `Usage: gridkyc killswitch <on|off|status> [options]
+
+Halts every grid on this host: gridkyc grid processes and the Discord bot stop within seconds
+and refuse to start new grids until the switch is released.
+
+Options:
+  --cancel-orders     on: also cancel every halted grid's open orders
+  --reason <text>     on: why the switch is pulled
+  --json              Print the switch's state as JSON`;
+
+// Flags every command takes
+const GLOBAL_OPTIONS = {
+  exchange: { type: 'string' },
+  json: { type: 'boolean', default: false },
+  help: { type: 'boolean', short: 'h', default: false },
+};
+
+// The exchange a command acts on, signed with the account's keys
+function createAccountClient(flags) {
+  const { BINANCE_API_KEY: apiKey, BINANCE_API_SECRET: apiSecret } = process.env;
+  if (!apiKey || !apiSecret) throw new Error('Set BINANCE_API_KEY and BINANCE_API_SECRET to use account commands.');
+  return createExchange(flags.exchange || DEFAULT_EXCHANGE, { apiKey, apiSecret });
+}
+
+// Take a command's positionals, refusing too few or too many
+function expectPositionals(positionals, names) {
+  if (positionals.length < names.length) throw usageError(`Missing ${names.slice(positionals.length).join(' and ')}.`);
+  if (positionals.length > names.length) throw usageError(`Unexpected argument "${positionals[names.length]}".`);
+  return positionals;
+}
+
+// Parse a positive number flag
+function positiveFlag(flags, name) {
+  const value = Number(flags[name]);
+  if (!(value > 0)) throw usageError(`--${name} must be a positive number.`);
+  return value;
+}
+
+async function placeOrder(flags, positionals, output) {
+  const [rawSymbol, rawSide] = expectPositionals(positionals, ['<symbol>', '<buy|sell>']);
+  const symbol = rawSymbol.toUpperCase();
+  const side = rawSide.toUpperCase();
+  if (side !== 'BUY' && side !== 'SELL') throw usageError(`The side must be buy or sell, not "${rawSide}".`);
+  if ((flags.quantity === undefined) === (flags.quote === undefined)) throw usageError('Pass either --quantity or --quote.');
+  if ((flags.price === undefined) === (flags.offset === undefined)) throw usageError('Pass either --price or --offset.');
+  const offset = flags.offset === undefined ? 0 : Number(flags.offset) / 100;
+  if (!(offset >= 0 && offset < 1)) throw usageError('--offset must be a percentage from 0 up to 100.');
+
+  const killSwitch = getKillSwitch();
+  if (killSwitch) throw new Error(`${formatKillSwitch(killSwitch)} Release it with "gridkyc killswitch off" first.`);
+
+  const client = createAccountClient(flags);
+  const [filters, currentPrice] = await Promise.all([client.getTradingPairInfo(symbol), client.getCurrentPrice(symbol)]);
+
+  const rawPrice = flags.price === undefined
+    ? currentPrice * (side === 'BUY' ? 1 - offset : 1 + offset)
+    : positiveFlag(flags, 'price');
+  // Round down only: the order never ends up larger than the user asked for
+  const price = Number(roundToStep(rawPrice, filters.tickSize, 'floor'));
+  const rawQuantity = flags.quantity === undefined ? positiveFlag(flags, 'quote') / price : positiveFlag(flags, 'quantity');
+  const quantity = Number(roundToStep(rawQuantity, filters.stepSize, 'floor'));
+
+  const rounded = flags.quantity !== undefined && quantity !== rawQuantity ? ` (--quantity ${flags.quantity} rounded down to the lot size)` : '';
+  const problems = checkOrderFilters(filters, { side, quantity, price }, { currentPrice });
+  if (problems.length) {
+    throw new Error(`${client.label} would reject the order${rounded}:\n- ${problems.map(({ filter, message }) => `${filter}: ${message}`).join('\n- ')}`);
+  }
+
+  const description = `${side} ${quantity} ${filters.baseAsset} at ${price} ${filters.quoteAsset} on ${symbol}${rounded}`;
+  if (flags['dry-run']) {
+    output.result(`Would place a LIMIT ${description} (current price ${currentPrice}).`, { dryRun: true, symbol, side, quantity, price, currentPrice });
+    return;
+  }
+
+  const order = await client.placeSpotOrder(symbol, side, quantity, price, { currentPrice });
+  output.result(`Placed order ${order.orderId}: LIMIT ${description}.`, { symbol, side, ...order });
+}
+
+async function listOrders(flags, positionals, output) {
+  const symbol = expectPositionals(positionals, ['<symbol>'])[0].toUpperCase();
+  const orders = await createAccountClient(flags).fetchActiveOrders(symbol);
+  const lines = orders.map(({ orderId, side, quantity, price }) => `${orderId}  ${side.padEnd(4)}  ${quantity} at ${price}`);
+  output.result(orders.length ? lines.join('\n') : `No open orders on ${symbol}.`, orders);
+}
+
+async function cancelOrder(flags, positionals, output) {
+  const [rawSymbol, orderId] = expectPositionals(positionals, ['<symbol>', '<orderId>']);
+  if (!/^\d+$/.test(orderId)) throw usageError(`"${orderId}" is not an order id.`);
+  const symbol = rawSymbol.toUpperCase();
+  const result = await createAccountClient(flags).cancelOrder(symbol, orderId);
+  output.result(`Canceled order ${orderId} on ${symbol}.`, { symbol, orderId: result.orderId, status: result.status });
+}
+
+async function cancelAllOrders(flags, positionals, output) {
+  const symbol = expectPositionals(positionals, ['<symbol>'])[0].toUpperCase();
+  if (!flags.yes) throw usageError(`Pass --yes to cancel every open order on ${symbol}.`);
+
+  const client = createAccountClient(flags);
+  const orders = await client.fetchActiveOrders(symbol);
+  const canceled = [];
+  const failed = [];
+  for (const { orderId } of orders) {
+    try {
+      await client.cancelOrder(symbol, orderId);
+      canceled.push(orderId);
+    } catch (error) {
+      failed.push({ orderId, error: error.response?.data?.msg || error.message });
+    }
+  }
+
+  const lines = [`Canceled ${canceled.length} of ${orders.length} open orders on ${symbol}.`];
+  failed.forEach(({ orderId, error }) => lines.push(`- ${orderId}: ${error}`));
+  output.result(lines.join('\n'), { symbol, canceled, failed });
+  if (failed.length) throw new Error(`${failed.length} orders could not be canceled.`);
+}
+
+async function showBalances(flags, positionals, output) {
+  const assets = positionals.map((asset) => asset.toUpperCase());
+  const balances = await createAccountClient(flags).getBalances();
+  const shown = assets.length
+    ? Object.fromEntries(assets.map((asset) => [asset, balances[asset] || { free: 0, locked: 0 }]))
+    : balances;
+
+  const width = Math.max(0, ...Object.keys(shown).map((asset) => asset.length));
+  const lines = Object.entries(shown).map(([asset, { free, locked }]) => `${asset.padEnd(width)}  ${free} free${locked ? `, ${locked} locked` : ''}`);
+  output.result(lines.length ? lines.join('\n') : 'The account holds no assets.', shown);
+}
+
+async function showPairInfo(flags, positionals, output) {
+  const symbol = expectPositionals(positionals, ['<symbol>'])[0].toUpperCase();
+  const exchange = flags.exchange || DEFAULT_EXCHANGE;
+  const client = createExchange(exchange);
+  const [filters, price] = await Promise.all([client.getTradingPairInfo(symbol), client.getCurrentPrice(symbol)]);
+
+  const lines = [
+    `${symbol} on ${getExchangeProfile(exchange).label}: ${filters.baseAsset}/${filters.quoteAsset} at ${price}`,
+    ...Object.entries(filters)
+      .filter(([name, value]) => name !== 'baseAsset' && name !== 'quoteAsset' && value !== undefined)
+      .map(([name, value]) => `  ${name}: ${value}`),
+  ];
+  output.result(lines.join('\n'), { symbol, exchange, price, ...filters });
+}
+
+async function engageSwitch(flags, positionals, output) {
+  expectPositionals(positionals, []);
+  const killSwitch = engageKillSwitch({
+    reason: flags.reason,
+    cancelOrders: flags['cancel-orders'],
+    engagedBy: `${os.userInfo().username}@${os.hostname()} (CLI)`,
+  });
+  output.result(formatKillSwitch(killSwitch), { engaged: true, ...killSwitch });
+}
+
+async function releaseSwitch(flags, positionals, output) {
+  expectPositionals(positionals, []);
+  const released = releaseKillSwitch();
+  output.result(released ? 'Kill switch released. Grids can be started again.' : 'The kill switch was not engaged.', { released });
+}
+
+async function showSwitch(flags, positionals, output) {
+  expectPositionals(positionals, []);
+  const killSwitch = getKillSwitch();
+  output.result(formatKillSwitch(killSwitch), killSwitch ? { engaged: true, ...killSwitch } : { engaged: false });
+}
+
+// Commands by name; a name of two words is a group and its subcommand
+const COMMANDS = {
+  'grid start': { usage: GRID_USAGE, options: GRID_OPTIONS, run: runGridStart },
+  monitor: { usage: MONITOR_USAGE, options: MONITOR_OPTIONS, run: runMonitor },
+  'order place': {
+    usage: ORDER_PLACE_USAGE,
+    options: {
+      quantity: { type: 'string' },
+      quote: { type: 'string' },
+      price: { type: 'string' },
+      offset: { type: 'string' },
+      'dry-run': { type: 'boolean', default: false },
+    },
+    run: placeOrder,
+  },
+  'order list': { usage: ORDER_LIST_USAGE, options: {}, run: listOrders },
+  'order cancel': { usage: ORDER_CANCEL_USAGE, options: {}, run: cancelOrder },
+  'order cancel-all': { usage: ORDER_CANCEL_ALL_USAGE, options: { yes: { type: 'boolean', default: false } }, run: cancelAllOrders },
+  balance: { usage: BALANCE_USAGE, options: {}, run: showBalances },
+  'pairs info': { usage: PAIRS_INFO_USAGE, options: {}, run: showPairInfo },
+  pnl: { usage: PNL_USAGE, options: PNL_OPTIONS, run: runPnl },
+  history: { usage: HISTORY_USAGE, options: HISTORY_OPTIONS, run: runHistory },
+  backtest: { usage: BACKTEST_USAGE, options: BACKTEST_OPTIONS, run: runBacktestCommand },
+  'killswitch on': {
+    usage: KILLSWITCH_USAGE,
+    options: { 'cancel-orders': { type: 'boolean', default: false }, reason: { type: 'string' } },
+    run: engageSwitch,
+  },
+  'killswitch off': { usage: KILLSWITCH_USAGE, options: {}, run: releaseSwitch },
+  'killswitch status': { usage: KILLSWITCH_USAGE, options: {}, run: showSwitch },
+};
+
+// Find the command the arguments name, preferring the longer name
+function findCommand(argv) {
+  for (const length of [2, 1]) {
+    const words = argv.slice(0, length);
+    if (words.length === length && COMMANDS[words.join(' ')]) {
+      return { command: COMMANDS[words.join(' ')], args: argv.slice(length) };
+    }
+  }
+  return null;
+}
+
+/**
+ * Run the gridkyc CLI. Short commands set process.exitCode; a failing command exits at once,
+ * since long-running ones may have timers and streams open.
+ * @param {string[]} [argv] - The arguments after the script name.
+ * @returns {Promise<void>}
+ */
+async function main(argv = process.argv.slice(2)) {
+  const output = createCliOutput({ json: argv.includes('--json') });
+
+  const found = findCommand(argv);
+  if (!found) {
+    if (argv.length === 0 || ['help', '--help', '-h'].includes(argv[0])) {
+      console.log(USAGE);
+      return;
+    }
+    const group = Object.keys(COMMANDS).filter((name) => name.startsWith(`${argv[0]} `));
+    output.error(new Error(group.length
+      ? `"${argv[0]}" needs a subcommand: ${group.join(', ')}.`
+      : `Unknown command "${argv[0]}".`));
+    if (!output.json) console.error(`\n${USAGE}`);
+    process.exitCode = EXIT_USAGE;
+    return;
+  }
+
+  const { usage, options, run } = found.command;
+  let parsed;
+  try {
+    parsed = parseArgs({ args: found.args, allowPositionals: true, options: { ...options, ...GLOBAL_OPTIONS } });
+  } catch (error) {
+    output.error(error);
+    if (!output.json) console.error(`\n${usage}`);
+    process.exitCode = EXIT_USAGE;
+    return;
+  }
+  if (parsed.values.help) {
+    console.log(usage);
+    return;
+  }
+
+  try {
+    await run(parsed.values, parsed.positionals, output);
+  } catch (error) {
+    output.error(error);
+    if (error.usage && !output.json) console.error(`\n${usage}`);
+    process.exit(error.usage ? EXIT_USAGE : EXIT_FAILURE);
+  }
+}
+
+module.exports = { main };
+
+if (require.main === module) main();
@@ -0,0 +1,137 @@
+const { createStrategyFromConfig, getAdaptiveSettings } = require('./gridconfig');
+
+const MINUTE_MS = 60 * 1000;
+// Binance returns at most 1000 klines per request
+const MAX_KLINES = 1000;
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+const round = (value, decimals) => Number(value.toFixed(decimals));
+
+/**
+ * Compute the average true range of klines with Wilder's smoothing, as a percentage of the
+ * last close so it can scale percentage-based spacing.
+ * @param {object[]} klines - Closed klines, oldest first, as returned by getKlines.
+ * @param {number} period - The ATR period in klines.
+ * @returns {number} The ATR in % of the last close.
+ * @throws {Error} If there are fewer than period + 1 klines.
+ */
+function computeAtrPercent(klines, period) {
+  if (klines.length < period + 1) {
+    throw new Error(`ATR(${period}) needs at least ${period + 1} klines, got ${klines.length}.`);
+  }
+
+  const ranges = klines.slice(1).map((kline, i) => {
+    const previousClose = klines[i].close;
+    return Math.max(kline.high - kline.low, Math.abs(kline.high - previousClose), Math.abs(kline.low - previousClose));
+  });
+  let atr = ranges.slice(0, period).reduce((sum, range) => sum + range, 0) / period;
+  for (const range of ranges.slice(period)) {
+    atr = (atr * (period - 1) + range) / period;
+  }
+  return (atr / klines[klines.length - 1].close) * 100;
+}
+
+/**
+ * Turn an ATR into drop-strategy spacing: each distance is the ATR times its multiplier,
+ * kept within its floor and ceiling.
+ * @param {number} atrPercent - The ATR in % of price.
+ * @param {object} settings - Adaptive settings from getAdaptiveSettings.
+ * @returns {object} { percentageDrop, buyOffset, takeProfit } for the drop strategy.
+ */
+function computeAdaptiveSpacing(atrPercent, settings) {
+  const dropPercent = clamp(atrPercent * settings.atrDropMultiplier, settings.minPercentageDrop, settings.maxPercentageDrop);
+  const offsetPercent = clamp(atrPercent * settings.atrOffsetMultiplier, 0, settings.maxBuyOffsetPercent);
+  const takeProfitPercent = clamp(atrPercent * settings.atrTakeProfitMultiplier, settings.minTakeProfitPercent, settings.maxTakeProfitPercent);
+
+  return {
+    percentageDrop: round(dropPercent, 4),
+    buyOffset: round(1 - offsetPercent / 100, 6),
+    takeProfit: round(1 + takeProfitPercent / 100, 6),
+  };
+}
+
+// Describe a spacing change, e.g. "buy trigger 1.2% (was 0.6%)"
+function describeChange(label, value, previous, format) {
+  return value === previous ? `${label} ${format(value)}` : `${label} ${format(value)} (was ${format(previous)})`;
+}
+
+/**
+ * Recompute a drop grid's spacing from the ATR of recent klines on a schedule, and swap the
+ * new parameters into the engine. Every recalculation is reported through notify as a
+ * [SPACING] message, including what it was based on. A failed recalculation keeps the
+ * current spacing.
+ * @param {object} options - Adaptive spacing options.
+ * @param {object} options.client - An exchange client or paper exchange with getKlines.
+ * @param {string} options.symbol - The trading pair.
+ * @param {object} options.config - The grid's config from resolveGridConfig, with adaptive on.
+ * @param {object} options.engine - The grid engine.
+ * @param {function} [options.notify] - Receives every recalculation.
+ * @param {function} [options.onError] - Receives errors from a recalculation.
+ * @returns {object} { refresh(), stop() }; refresh resolves to the spacing, or null on failure.
+ */
+function startAdaptiveSpacing({
+  client,
+  symbol,
+  config,
+  engine,
+  notify = console.log,
+  onError = (error) => notify(`[ERROR] Could not recompute grid spacing for ${symbol}: ${error.response?.data?.msg || error.message}`),
+}) {
+  const settings = getAdaptiveSettings(config);
+  if (!settings) throw new Error(`Adaptive spacing is not enabled for the ${symbol} grid.`);
+  const { atrInterval, atrPeriod, adaptiveRefreshMinutes } = settings;
+  let timer = null;
+  let stopped = false;
+
+  async function recompute() {
+    const now = Date.now();
+    // The last kline is still open; only closed ones count
+    const klines = (await client.getKlines(symbol, { interval: atrInterval, limit: Math.min(atrPeriod * 3, MAX_KLINES) }))
+      .filter((kline) => kline.closeTime < now);
+    const atrPercent = computeAtrPercent(klines, atrPeriod);
+    const spacing = computeAdaptiveSpacing(atrPercent, settings);
+    const previous = engine.getState().params;
+
+    await engine.setStrategy(createStrategyFromConfig({ ...config, ...spacing }));
+
+    const percent = (value) => `${round(value, 4)}%`;
+    notify(`[SPACING] ATR(${atrPeriod}, ${atrInterval}) is ${percent(atrPercent)} of price: `
+      + `${describeChange('buy trigger', spacing.percentageDrop, previous.percentageDrop, percent)}, `
+      + `${describeChange('buy offset', (1 - spacing.buyOffset) * 100, (1 - previous.buyOffset) * 100, percent)} below the price, `
+      + `${describeChange('take-profit', (spacing.takeProfit - 1) * 100, (previous.takeProfit - 1) * 100, percent)} above the buy.`);
+    return spacing;
+  }
+
+  async function refresh() {
+    try {
+      return await recompute();
+    } catch (error) {
+      onError(error);
+      return null;
+    }
+  }
+
+  function schedule() {
+    if (stopped) return;
+    timer = setTimeout(async () => {
+      await refresh();
+      schedule();
+    }, adaptiveRefreshMinutes * MINUTE_MS);
+  }
+
+  schedule();
+
+  return {
+    refresh,
+    stop() {
+      stopped = true;
+      clearTimeout(timer);
+    },
+  };
+}
+
+module.exports = {
+  computeAtrPercent,
+  computeAdaptiveSpacing,
+  startAdaptiveSpacing,
+};
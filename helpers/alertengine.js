@@ -0,0 +1,302 @@
+const axios = require('axios');
+const path = require('path');
+const { createStateStore } = require('./statestore');
+const { EXCHANGE_NAMES, DEFAULT_EXCHANGE } = require('./exchanges');
+
+const DEFAULT_ALERT_DIR = process.env.ALERT_DIR || path.join(__dirname, '..', 'data', 'alerts');
+const MINUTE_MS = 60 * 1000;
+// Prices are kept at most this often for the rolling windows; crosses use every price
+const SAMPLE_INTERVAL_MS = 5000;
+const MAX_WINDOW_MINUTES = 24 * 60;
+const DEFAULT_COOLDOWN_MINUTES = 15;
+const DEFAULT_WINDOW_MINUTES = { change: 60, volatility: 5 };
+const DEFAULT_VOLATILITY_MULTIPLIER = 3;
+// A volatility window is compared with the windows before it, this many of them
+const VOLATILITY_BASELINE_WINDOWS = 12;
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+const ALERT_TYPES = ['above', 'below', 'change', 'volatility'];
+const DELIVERY_TYPES = ['channel', 'dm', 'webhook'];
+
+// Webhooks must be HTTPS; plain HTTP is where services on the bot's own network usually listen
+function isHttpsUrl(url) {
+  try {
+    return new URL(url).protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Check and complete an alert definition.
+ * @param {object} definition - { userId, symbol, type, level, percent, multiplier, windowMinutes,
+ *   cooldownMinutes, exchange, delivery: { type, channelId, userId, url } }. above/below need a
+ *   level, change needs a percent (negative for a drop); volatility takes a multiplier.
+ * @returns {object} The alert, with defaults filled in.
+ * @throws {Error} Listing every problem with the definition.
+ */
+function validateAlert(definition) {
+  const { type, symbol, level, percent, delivery = {} } = definition;
+  const alert = {
+    userId: definition.userId,
+    symbol: typeof symbol === 'string' ? symbol.toUpperCase() : symbol,
+    exchange: definition.exchange ?? DEFAULT_EXCHANGE,
+    type,
+    cooldownMinutes: definition.cooldownMinutes ?? DEFAULT_COOLDOWN_MINUTES,
+    delivery,
+  };
+  const problems = [];
+
+  if (!ALERT_TYPES.includes(type)) problems.push(`type must be one of ${ALERT_TYPES.join(', ')}.`);
+  if (typeof alert.symbol !== 'string' || !/^[A-Z0-9]{5,20}$/.test(alert.symbol)) problems.push('symbol must be a trading pair such as BTCUSDT.');
+  if (!EXCHANGE_NAMES.includes(alert.exchange)) problems.push(`exchange must be one of ${EXCHANGE_NAMES.join(', ')}.`);
+  if (!(alert.cooldownMinutes >= 0)) problems.push('cooldown must be 0 or more minutes.');
+
+  if (type === 'above' || type === 'below') {
+    if (!(level > 0)) problems.push(`a ${type} alert needs a level greater than 0.`);
+    alert.level = level;
+  } else if (type === 'change' || type === 'volatility') {
+    alert.windowMinutes = definition.windowMinutes ?? DEFAULT_WINDOW_MINUTES[type];
+    if (!(alert.windowMinutes >= 1 && alert.windowMinutes <= MAX_WINDOW_MINUTES)) {
+      problems.push(`window must be between 1 and ${MAX_WINDOW_MINUTES} minutes.`);
+    }
+    if (type === 'change') {
+      if (!percent || !Number.isFinite(percent)) problems.push('a change alert needs a percent, e.g. 5 for a 5% rise or -5 for a 5% drop.');
+      alert.percent = percent;
+    } else {
+      alert.multiplier = definition.multiplier ?? DEFAULT_VOLATILITY_MULTIPLIER;
+      if (!(alert.multiplier > 1)) problems.push('multiplier must be greater than 1.');
+    }
+  }
+
+  if (!DELIVERY_TYPES.includes(delivery.type)) problems.push(`delivery must be one of ${DELIVERY_TYPES.join(', ')}.`);
+  if (delivery.type === 'channel' && !delivery.channelId) problems.push('channel delivery needs a channel.');
+  if (delivery.type === 'dm' && !delivery.userId) problems.push('DM delivery needs a user.');
+  if (delivery.type === 'webhook' && !isHttpsUrl(delivery.url)) problems.push('webhook delivery needs an https:// URL.');
+
+  if (problems.length) throw new Error(`Invalid alert:\n- ${problems.join('\n- ')}`);
+  return alert;
+}
+
+/**
+ * Describe an alert for /alert list and the console.
+ * @param {object} alert - The alert.
+ * @returns {string} The description.
+ */
+function formatAlert(alert) {
+  const rule = {
+    above: () => `crosses above $${alert.level}`,
+    below: () => `crosses below $${alert.level}`,
+    change: () => `${alert.percent > 0 ? 'rises' : 'drops'} ${Math.abs(alert.percent)}% within ${alert.windowMinutes}m`,
+    volatility: () => `volatility over ${alert.windowMinutes}m reaches ${alert.multiplier}x its usual level`,
+  }[alert.type]();
+  const target = alert.delivery.type === 'webhook' ? 'webhook' : alert.delivery.type === 'dm' ? 'DM' : `<#${alert.delivery.channelId}>`;
+  const fired = alert.lastTriggeredAt ? `, last fired ${alert.lastTriggeredAt}` : '';
+  return `#${alert.id} ${alert.symbol} (${alert.exchange}) ${rule} → ${target}, cooldown ${alert.cooldownMinutes}m${fired}`;
+}
+
+function standardDeviation(values) {
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  return Math.sqrt(values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length);
+}
+
+// Log returns between the closing prices of consecutive minutes, oldest first, tagged with
+// the minute they end in
+function minuteReturns(samples) {
+  const closes = new Map();
+  for (const { time, price } of samples) closes.set(Math.floor(time / MINUTE_MS), price);
+
+  const minutes = [...closes.keys()];
+  const returns = [];
+  for (let i = 1; i < minutes.length; i++) {
+    returns.push({ minute: minutes[i], value: Math.log(closes.get(minutes[i]) / closes.get(minutes[i - 1])) });
+  }
+  return returns;
+}
+
+/**
+ * Evaluate price alerts for many symbols and deliver the ones that fire. Alert definitions
+ * and when each last fired are persisted, so alerts and their cooldowns survive a restart.
+ * @param {object} options - Engine options.
+ * @param {function} options.deliver - Called with (alert, message, details) for every alert that fires.
+ * @param {object} [options.store] - Where alerts are saved; a state store.
+ * @param {function} [options.onChange] - Called when alerts are added or removed, e.g. to
+ *   subscribe to new symbols.
+ * @returns {object} The engine.
+ */
+function createAlertEngine({ deliver, store = createStateStore('alerts', DEFAULT_ALERT_DIR), onChange = () => {} }) {
+  const saved = store.load() || {};
+  const alerts = saved.alerts || [];
+  let nextId = saved.nextId || 1;
+  // Per exchange and symbol: the last price seen, and samples for the rolling windows
+  const lastPrices = new Map();
+  const history = new Map();
+
+  function persist() {
+    store.save({ nextId, alerts });
+  }
+
+  // Add a validated alert; returns it with its id
+  function add(definition) {
+    const alert = { id: nextId++, ...validateAlert(definition), createdAt: new Date().toISOString() };
+    alerts.push(alert);
+    persist();
+    onChange();
+    return alert;
+  }
+
+  // Remove an alert; with a userId, only that user's own alert
+  function remove(id, userId) {
+    const index = alerts.findIndex((alert) => alert.id === id && (!userId || alert.userId === userId));
+    if (index === -1) return false;
+    alerts.splice(index, 1);
+    persist();
+    onChange();
+    return true;
+  }
+
+  function list(userId) {
+    return alerts.filter((alert) => !userId || alert.userId === userId);
+  }
+
+  // The symbols alerts watch, by exchange
+  function getSymbols() {
+    const symbols = {};
+    for (const { exchange, symbol } of alerts) {
+      symbols[exchange] = [...new Set([...(symbols[exchange] || []), symbol])];
+    }
+    return symbols;
+  }
+
+  // How much price history the alerts on a symbol look back over
+  function historyMs(key) {
+    const minutes = alerts
+      .filter((alert) => `${alert.exchange}:${alert.symbol}` === key)
+      .map((alert) => (alert.type === 'volatility' ? alert.windowMinutes * (VOLATILITY_BASELINE_WINDOWS + 1) : alert.windowMinutes || 0));
+    return (Math.max(0, ...minutes) + 1) * MINUTE_MS;
+  }
+
+  function record(key, price, time) {
+    const samples = history.get(key) || [];
+    if (samples.length === 0 || time - samples[samples.length - 1].time >= SAMPLE_INTERVAL_MS) {
+      samples.push({ time, price });
+    }
+    const oldest = time - historyMs(key);
+    while (samples.length > 0 && samples[0].time < oldest) samples.shift();
+    history.set(key, samples);
+    return samples;
+  }
+
+  // Work out whether an alert fires at this price; returns its message, or null
+  function evaluate(alert, { price, previousPrice, samples, time }) {
+    if (alert.type === 'above' && previousPrice !== undefined) {
+      return previousPrice < alert.level && price >= alert.level ? `${alert.symbol} crossed above $${alert.level}: now $${price}.` : null;
+    }
+    if (alert.type === 'below' && previousPrice !== undefined) {
+      return previousPrice > alert.level && price <= alert.level ? `${alert.symbol} crossed below $${alert.level}: now $${price}.` : null;
+    }
+
+    if (alert.type === 'change') {
+      const windowStart = time - alert.windowMinutes * MINUTE_MS;
+      // Only judge a window the history fully covers
+      if (samples.length === 0 || samples[0].time > windowStart + SAMPLE_INTERVAL_MS) return null;
+      const reference = samples.find((sample) => sample.time >= windowStart) || samples[samples.length - 1];
+      const change = ((price - reference.price) / reference.price) * 100;
+      const fired = alert.percent > 0 ? change >= alert.percent : change <= alert.percent;
+      return fired
+        ? `${alert.symbol} ${change > 0 ? 'rose' : 'dropped'} ${Math.abs(change).toFixed(2)}% in the last ${alert.windowMinutes} minutes (from $${reference.price} to $${price}).`
+        : null;
+    }
+
+    if (alert.type === 'volatility') {
+      const currentMinute = Math.floor(time / MINUTE_MS);
+      const returns = minuteReturns(samples);
+      const recent = returns.filter(({ minute }) => minute > currentMinute - alert.windowMinutes).map(({ value }) => value);
+      const baseline = returns.filter(({ minute }) => minute <= currentMinute - alert.windowMinutes).map(({ value }) => value);
+      if (recent.length < 3 || baseline.length < 10) return null;
+
+      const usual = standardDeviation(baseline);
+      const ratio = usual > 0 ? standardDeviation(recent) / usual : 0;
+      return ratio >= alert.multiplier
+        ? `${alert.symbol} volatility spiked: the last ${alert.windowMinutes} minutes moved ${ratio.toFixed(1)}x more than usual (now $${price}).`
+        : null;
+    }
+
+    return null;
+  }
+
+  /**
+   * Feed a price into the engine and deliver every alert it fires.
+   * @param {object} tick - { exchange, symbol, price, time }.
+   * @returns {Promise<object[]>} The alerts that fired.
+   */
+  async function onPrice({ exchange = DEFAULT_EXCHANGE, symbol, price, time = Date.now() }) {
+    const key = `${exchange}:${symbol}`;
+    const previousPrice = lastPrices.get(key);
+    lastPrices.set(key, price);
+    const samples = record(key, price, time);
+
+    const fired = [];
+    for (const alert of alerts.filter((candidate) => candidate.exchange === exchange && candidate.symbol === symbol)) {
+      const message = evaluate(alert, { price, previousPrice, samples, time });
+      if (!message) continue;
+      if (alert.lastTriggeredAt && time - Date.parse(alert.lastTriggeredAt) < alert.cooldownMinutes * MINUTE_MS) continue;
+
+      alert.lastTriggeredAt = new Date(time).toISOString();
+      fired.push(alert);
+      try {
+        await deliver(alert, `[ALERT #${alert.id}] ${message}`, { price, time });
+      } catch (error) {
+        console.error(`Could not deliver alert #${alert.id}: ${error.message}`);
+      }
+    }
+
+    if (fired.length) persist();
+    return fired;
+  }
+
+  return {
+    add,
+    remove,
+    list,
+    getSymbols,
+    onPrice,
+  };
+}
+
+/**
+ * Build the deliver function for an alert engine. Webhooks get a JSON POST whose `content`
+ * field also makes it a valid Discord webhook message; other targets go to sendDiscord.
+ * @param {object} [options] - Delivery options.
+ * @param {function} [options.sendDiscord] - Sends (delivery, message) to a Discord channel or DM.
+ *   Without it Discord alerts are only logged.
+ * @returns {function} The deliver function.
+ */
+function createAlertDelivery({ sendDiscord } = {}) {
+  return async (alert, message, { price, time }) => {
+    if (alert.delivery.type === 'webhook') {
+      await axios.post(alert.delivery.url, {
+        content: message,
+        alert: { id: alert.id, type: alert.type, symbol: alert.symbol, exchange: alert.exchange },
+        price,
+        time: new Date(time).toISOString(),
+      }, { timeout: WEBHOOK_TIMEOUT_MS });
+      return;
+    }
+
+    if (!sendDiscord) {
+      console.log(`${message} (for ${alert.delivery.type} delivery; start discordbot.js to send it to Discord)`);
+      return;
+    }
+    await sendDiscord(alert.delivery, message);
+  };
+}
+
+module.exports = {
+  ALERT_TYPES,
+  DELIVERY_TYPES,
+  validateAlert,
+  formatAlert,
+  createAlertEngine,
+  createAlertDelivery,
+};
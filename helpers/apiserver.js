@@ -0,0 +1,289 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { computePnl, fillsFromOrders } = require('./tradeledger');
+const { getKillSwitch } = require('./killswitch');
+const { isOpenStatus } = require('./orderstate');
+const { registerSecret, redact } = require('./redact');
+
+const DEFAULT_API_HOST = process.env.API_HOST || '127.0.0.1';
+const DEFAULT_TOKEN_FILE = process.env.API_TOKEN_FILE || path.join(__dirname, '..', 'data', 'api-token');
+const DASHBOARD_FILE = path.join(__dirname, 'dashboard.html');
+const MAX_BODY_BYTES = 16 * 1024;
+const DEFAULT_FILL_LIMIT = 50;
+
+// An error that maps to an HTTP status; anything else is a 500
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Get the token that guards the API: API_TOKEN if set, otherwise a random token kept in a
+ * file only the bot's user can read, so it survives restarts. It is registered as a secret
+ * and never logged.
+ * @param {string} [filePath] - The token file.
+ * @returns {object} { token, source } where source says where to find it.
+ */
+function loadApiToken(filePath = DEFAULT_TOKEN_FILE) {
+  let token = process.env.API_TOKEN;
+  let source = 'the API_TOKEN environment variable';
+
+  if (!token) {
+    if (!fs.existsSync(filePath)) {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(filePath, crypto.randomBytes(24).toString('hex'), { mode: 0o600 });
+    }
+    token = fs.readFileSync(filePath, 'utf8').trim();
+    source = filePath;
+  }
+
+  registerSecret(token);
+  return { token, source };
+}
+
+// Compare in constant time so the token cannot be guessed byte by byte
+function isAuthorized(request, token) {
+  const match = /^Bearer (.+)$/.exec(request.headers.authorization || '');
+  if (!match) return false;
+  const given = Buffer.from(match[1]);
+  const expected = Buffer.from(token);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+function readBody(request) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    request.on('data', (chunk) => {
+      body += chunk;
+      if (body.length > MAX_BODY_BYTES) {
+        reject(httpError(413, 'Request body too large.'));
+        request.destroy();
+      }
+    });
+    request.on('end', () => {
+      let parsed;
+      try {
+        parsed = body ? JSON.parse(body) : {};
+      } catch (error) {
+        reject(httpError(400, 'Request body must be JSON.'));
+        return;
+      }
+      // Handlers read fields off the body, so null, arrays and bare values are refused here
+      if (parsed === null || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        reject(httpError(400, 'Request body must be a JSON object.'));
+        return;
+      }
+      resolve(parsed);
+    });
+    request.on('error', reject);
+  });
+}
+
+function send(response, status, body, contentType = 'application/json') {
+  response.writeHead(status, {
+    'Content-Type': contentType,
+    'Cache-Control': 'no-store',
+    'X-Content-Type-Options': 'nosniff',
+  });
+  response.end(contentType === 'application/json' ? JSON.stringify(body, null, 2) : body);
+}
+
+// A grid's fills: its ledger, or for paper grids the filled orders it still remembers
+function getFills(session) {
+  const { ledger, engine } = session.handle;
+  return ledger ? ledger.getEntries() : fillsFromOrders(engine.getState().orders, session.symbol);
+}
+
+/**
+ * Summarize a grid session for the API.
+ * @param {object} session - { id, owner, symbol, status, startedAt, handle }.
+ * @returns {object} The summary.
+ */
+function describeSession(session) {
+  const summary = {
+    id: session.id,
+    owner: session.owner,
+    symbol: session.symbol,
+    status: session.status,
+    startedAt: session.startedAt.toISOString(),
+  };
+  if (!session.handle) return summary;
+
+  const { engine, runner, config, paper, strategy, notifier } = session.handle;
+  const { basePrice, halted } = engine.getState();
+  const mutedUntil = notifier.getMutedUntil();
+  return {
+    ...summary,
+    exchange: config.exchange,
+    paper: Boolean(paper),
+    strategy: strategy.name,
+    lastPrice: engine.getLastPrice(),
+    basePrice,
+    halted: halted || null,
+    openBuys: engine.getOpenOrders('BUY').length,
+    openSells: engine.getOpenOrders('SELL').length,
+    trailingExits: engine.getPendingExits().length,
+    marketData: runner.isStreaming() ? 'streaming' : 'REST polling',
+    // until is null while the grid stays muted until unmuted
+    muted: mutedUntil === null ? null : { until: mutedUntil === Infinity ? null : new Date(mutedUntil).toISOString() },
+  };
+}
+
+/**
+ * Start the HTTP API and dashboard for the grids a bot runs. Every /api route except
+ * /api/health needs `Authorization: Bearer <token>`; the dashboard asks for the token and
+ * keeps it in the browser. Listens on 127.0.0.1 unless API_HOST says otherwise.
+ * @param {object} options - Server options.
+ * @param {object} options.controller - The bot's grids: { listGrids(), startGrid(request)?,
+ *   removeGrid(session) }. Sessions are { id, owner, symbol, status, startedAt, handle }, with
+ *   handles as returned by startGridBot (engine, runner, config, strategy, paper, ledger,
+ *   notifier, stop).
+ * @param {number} options.port - The port to listen on.
+ * @param {string} [options.host] - The interface to listen on.
+ * @param {string} [options.token] - The API token (default: from loadApiToken).
+ * @param {function} [options.notify] - Receives (message, session) for every control action.
+ * @returns {http.Server} The server.
+ */
+function startApiServer({ controller, port, host = DEFAULT_API_HOST, token, notify = (message) => console.log(message) }) {
+  let tokenSource = 'the caller';
+  if (!token) ({ token, source: tokenSource } = loadApiToken());
+
+  function findSession(id) {
+    const session = controller.listGrids().find((candidate) => candidate.id === id);
+    if (!session) throw httpError(404, `No grid ${id} is running.`);
+    return session;
+  }
+
+  function requireHandle(session) {
+    if (!session.handle) throw httpError(409, `The grid on ${session.symbol} is still starting.`);
+    return session.handle;
+  }
+
+  // Grid actions, the same ones /grid offers in Discord
+  const actions = {
+    async stop(session, { cancelOrders = false }) {
+      const canceled = await requireHandle(session).stop({ cancelOrders: Boolean(cancelOrders) });
+      controller.removeGrid(session);
+      notify(`[API] Stopped the grid on ${session.symbol}.${cancelOrders ? ` Canceled ${canceled} open orders.` : ''}`, session);
+      return { stopped: true, canceled };
+    },
+    async pause(session) {
+      const { runner } = requireHandle(session);
+      if (session.status === 'paused') throw httpError(409, `The grid on ${session.symbol} is already paused.`);
+      runner.pause();
+      session.status = 'paused';
+      notify(`[API] Paused the grid on ${session.symbol}.`, session);
+      return describeSession(session);
+    },
+    async resume(session) {
+      const { engine, runner } = requireHandle(session);
+      const { halted } = engine.getState();
+      if (session.status !== 'paused' && !halted) throw httpError(409, `The grid on ${session.symbol} is neither paused nor halted.`);
+      if (halted) await engine.clearHalt();
+      if (session.status === 'paused') {
+        session.status = 'running';
+        await runner.resume();
+      }
+      notify(`[API] Resumed the grid on ${session.symbol}.`, session);
+      return describeSession(session);
+    },
+    // Muting only holds back notifications; the grid keeps trading
+    async mute(session, { minutes }) {
+      const { notifier } = requireHandle(session);
+      if (minutes !== undefined && !(Number.isFinite(minutes) && minutes > 0)) throw httpError(400, 'minutes must be a positive number.');
+      notifier.mute(minutes);
+      notify(`[API] Muted the grid on ${session.symbol}${minutes ? ` for ${minutes} minutes` : ''}.`, session);
+      return describeSession(session);
+    },
+    async unmute(session) {
+      requireHandle(session).notifier.unmute();
+      notify(`[API] Unmuted the grid on ${session.symbol}.`, session);
+      return describeSession(session);
+    },
+  };
+
+  // Split a path into its decoded segments; a malformed percent-escape names nothing here
+  function pathSegments(pathname) {
+    try {
+      return pathname.split('/').filter(Boolean).map(decodeURIComponent);
+    } catch {
+      throw httpError(400, 'Malformed path.');
+    }
+  }
+
+  async function route(request, url) {
+    const parts = pathSegments(url.pathname);
+    const { method } = request;
+
+    if (parts.length === 2 && parts[1] === 'grids') {
+      if (method === 'GET') return { killSwitch: getKillSwitch(), grids: controller.listGrids().map(describeSession) };
+      if (method !== 'POST') throw httpError(405, 'Use GET or POST.');
+      if (!controller.startGrid) throw httpError(501, 'This bot cannot start grids over the API.');
+      if (getKillSwitch()) throw httpError(409, 'The kill switch is engaged; no grids can start.');
+      return describeSession(await controller.startGrid(await readBody(request)));
+    }
+
+    if (parts[1] !== 'grids' || parts.length < 3 || parts.length > 4) throw httpError(404, 'Not found.');
+    const session = findSession(parts[2]);
+    const view = parts[3];
+
+    if (method === 'POST') {
+      if (!Object.hasOwn(actions, view)) throw httpError(404, `Unknown action "${view}". Use stop, pause, resume, mute or unmute.`);
+      return actions[view](session, await readBody(request));
+    }
+    if (method !== 'GET') throw httpError(405, 'Use GET, or POST for actions.');
+
+    if (view === undefined) return describeSession(session);
+
+    const { engine, config } = requireHandle(session);
+    if (view === 'config') return config;
+    if (view === 'orders') return engine.getState().orders.filter((order) => isOpenStatus(order.status));
+    if (view === 'fills') {
+      const limit = Number(url.searchParams.get('limit')) || DEFAULT_FILL_LIMIT;
+      return getFills(session).slice(-limit);
+    }
+    if (view === 'pnl') {
+      const { baseAsset, quoteAsset } = engine.getFilters();
+      const currentPrice = engine.getLastPrice() ?? engine.getState().basePrice;
+      const { cycles, ...pnl } = computePnl(getFills(session), { currentPrice, baseAsset, quoteAsset });
+      return { ...pnl, cycles: cycles.length };
+    }
+    throw httpError(404, 'Not found.');
+  }
+
+  const server = http.createServer(async (request, response) => {
+    const url = new URL(request.url, 'http://localhost');
+
+    try {
+      if (request.method === 'GET' && (url.pathname === '/' || url.pathname === '/index.html')) {
+        send(response, 200, fs.readFileSync(DASHBOARD_FILE, 'utf8'), 'text/html; charset=utf-8');
+        return;
+      }
+      if (url.pathname === '/api/health') {
+        send(response, 200, { ok: true });
+        return;
+      }
+      if (!url.pathname.startsWith('/api/')) throw httpError(404, 'Not found.');
+      if (!isAuthorized(request, token)) throw httpError(401, 'Missing or wrong API token.');
+
+      send(response, 200, await route(request, url));
+    } catch (error) {
+      if (!error.status) console.error(`API error on ${request.method} ${url.pathname}: ${error.message}`);
+      send(response, error.status || 500, { error: redact(error.message) });
+    }
+  });
+
+  server.listen(port, host, () => {
+    console.log(`[API] Dashboard and API listening on http://${host}:${server.address().port} (token: ${tokenSource}).`);
+  });
+  return server;
+}
+
+module.exports = {
+  loadApiToken,
+  describeSession,
+  startApiServer,
+};
@@ -0,0 +1,154 @@
+const fs = require('fs');
+const { loadConfigFile, resolveGridConfig, checkConfigAgainstFilters, createStrategyFromConfig } = require('./gridconfig');
+const { loadKlines, defaultPairInfo, runBacktest } = require('./backtester');
+const { usageError } = require('./clioutput');
+
+// Flags of `gridkyc backtest`, for parseArgs
+const BACKTEST_OPTIONS = {
+  config: { type: 'string' },
+  symbol: { type: 'string' },
+  strategy: { type: 'string' },
+  drop: { type: 'string' },
+  rise: { type: 'string' },
+  investment: { type: 'string' },
+  'buy-offset': { type: 'string' },
+  'take-profit': { type: 'string' },
+  'net-profit': { type: 'string' },
+  exit: { type: 'string' },
+  trail: { type: 'string' },
+  'exit-levels': { type: 'string' },
+  'exit-step': { type: 'string' },
+  nobuys: { type: 'boolean' },
+  lower: { type: 'string' },
+  upper: { type: 'string' },
+  levels: { type: 'string' },
+  spacing: { type: 'string' },
+  balance: { type: 'string', default: '1000' },
+  'base-balance': { type: 'string', default: '0' },
+  fee: { type: 'string', default: '0.001' },
+  'pair-info': { type: 'string' },
+  trades: { type: 'boolean', default: false },
+};
+
+const BACKTEST_USAGE = `Usage: gridkyc backtest <klines.csv|klines.json> [options]
+
+Replays klines (e.g. from "gridkyc history --format csv") through a grid on a simulated
+exchange and reports its trades and P&L.
+
+Options:
+  --config <file>          JSON or YAML grid config; flags below override it
+  --symbol <symbol>        Trading pair (default: DOGEUSDT)
+  --strategy <name>        drop or ladder (default: drop)
+  --drop <percent>         Price drop that triggers a buy (default: 0.60)
+  --rise <percent>         Price rise that resets the base price (default: 1.2)
+  --investment <amount>    Quote amount per buy (default: 2)
+  --buy-offset <multiple>  Buy price as a multiple of the current price (default: 0.99)
+  --take-profit <multiple> Sell price as a multiple of the buy price (default: 1.03012)
+  --net-profit <percent>   Price sells for this net profit after fees instead of --take-profit
+  --exit <mode>            fixed, trailing or laddered (default: fixed)
+  --trail <percent>        Trailing: retrace from the peak that sells (default: 1)
+  --exit-levels <count>    Laddered: number of sell levels (default: 3)
+  --exit-step <percent>    Laddered: distance between sell levels (default: 1)
+  --nobuys                 Only sell what the grid already holds
+  --lower <price>          Ladder: lowest level price
+  --upper <price>          Ladder: highest level price
+  --levels <count>         Ladder: number of levels (default: 10)
+  --spacing <type>         Ladder: arithmetic or geometric (default: arithmetic)
+  --balance <amount>       Starting quote balance (default: 1000)
+  --base-balance <amount>  Starting base balance (default: 0)
+  --fee <rate>             Commission rate per fill (default: 0.001)
+  --pair-info <file>       JSON file with the pair's exchange filters
+  --json                   Print the full report as JSON
+  --trades                 Print every simulated trade`;
+
+// Parse a numeric flag, leaving unset flags undefined so the config file or defaults apply
+const number = (value) => (value === undefined ? undefined : Number(value));
+
+// Format a report for people
+function formatReport(report, showTrades) {
+  const money = (value) => `${value.toFixed(4)} ${report.quoteAsset}`;
+
+  const lines = [
+    `Backtest ${report.symbol}: ${report.candles} candles from ${report.from} to ${report.to}`,
+    `Trades:                 ${report.trades.length}`,
+    `Grid cycles:            ${report.cycles}`,
+    `Realized P&L:           ${money(report.realizedPnl)}`,
+    `Unrealized P&L:         ${money(report.unrealizedPnl)}`,
+    `Fees:                   ${money(report.fees)}`,
+    `Max drawdown:           ${report.maxDrawdown.toFixed(2)}%`,
+    `Capital in open sells:  ${money(report.capitalInOpenSells)}`,
+    `Unfilled buys:          ${report.openBuys}`,
+    `Equity:                 ${money(report.startEquity)} -> ${money(report.endEquity)}`,
+  ];
+
+  if (showTrades) {
+    lines.push('', 'Trades:');
+    for (const trade of report.trades) {
+      lines.push(`${trade.time} ${trade.side.padEnd(4)} #${trade.orderId} ${trade.quantity} @ ${trade.price} (fee ${trade.commission.toFixed(6)})`);
+    }
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Run `gridkyc backtest`: replay klines through a grid and report the result.
+ * @param {object} flags - Parsed BACKTEST_OPTIONS, plus json.
+ * @param {string[]} positionals - [klines file].
+ * @param {object} output - The CLI output from createCliOutput.
+ * @returns {Promise<void>}
+ */
+async function runBacktestCommand(flags, positionals, output) {
+  if (positionals.length !== 1) throw usageError(positionals.length ? `Unexpected argument "${positionals[1]}".` : 'Missing <klines.csv|klines.json>.');
+
+  const config = resolveGridConfig(flags.config ? loadConfigFile(flags.config) : {}, {
+    symbol: flags.symbol,
+    strategy: flags.strategy,
+    percentageDrop: number(flags.drop),
+    percentageRise: number(flags.rise),
+    investment: number(flags.investment),
+    buyOffset: number(flags['buy-offset']),
+    takeProfit: number(flags['take-profit']),
+    netProfitPercent: number(flags['net-profit']),
+    exitMode: flags.exit,
+    trailingRetracePercent: number(flags.trail),
+    exitLevels: number(flags['exit-levels']),
+    exitStepPercent: number(flags['exit-step']),
+    noBuys: flags.nobuys,
+    lowerPrice: number(flags.lower),
+    upperPrice: number(flags.upper),
+    levels: number(flags.levels),
+    spacing: flags.spacing,
+  });
+  const symbol = config.symbol || 'DOGEUSDT';
+
+  const klines = loadKlines(positionals[0]);
+  const pairInfo = flags['pair-info']
+    ? JSON.parse(fs.readFileSync(flags['pair-info'], 'utf8'))
+    : defaultPairInfo(symbol);
+
+  const problems = checkConfigAgainstFilters(config, pairInfo, klines[0].close);
+  if (problems.length) {
+    throw new Error(`Grid config does not fit ${symbol}:\n- ${problems.join('\n- ')}`);
+  }
+
+  if (config.adaptive) {
+    console.error('[INFO] Adaptive spacing is not simulated; the backtest uses the fixed percentageDrop, buyOffset and takeProfit.');
+  }
+
+  const report = await runBacktest({
+    klines,
+    symbol,
+    strategy: createStrategyFromConfig(config),
+    pairInfo,
+    quoteBalance: parseFloat(flags.balance),
+    baseBalance: parseFloat(flags['base-balance']),
+    feeRate: parseFloat(flags.fee),
+  });
+  output.result(formatReport(report, flags.trades), report);
+}
+
+module.exports = {
+  BACKTEST_OPTIONS,
+  BACKTEST_USAGE,
+  runBacktestCommand,
+};
@@ -0,0 +1,217 @@
+const fs = require('fs');
+const path = require('path');
+const { createPaperExchange } = require('./paperexchange');
+const { createGridEngine } = require('./gridengine');
+const { isOpenStatus } = require('./orderstate');
+
+const KNOWN_QUOTE_ASSETS = ['USDT', 'USDC', 'BUSD', 'USD', 'BTC', 'ETH', 'BNB'];
+
+// Normalize a kline given as a Binance kline array or an object with named fields
+function normalizeKline(kline) {
+  if (Array.isArray(kline)) {
+    const [time, open, high, low, close, volume] = kline;
+    return { time: Number(time), open: parseFloat(open), high: parseFloat(high), low: parseFloat(low), close: parseFloat(close), volume: parseFloat(volume) };
+  }
+
+  return {
+    time: Number(kline.time ?? kline.openTime ?? kline.open_time ?? kline.timestamp),
+    open: parseFloat(kline.open),
+    high: parseFloat(kline.high),
+    low: parseFloat(kline.low),
+    close: parseFloat(kline.close),
+    volume: parseFloat(kline.volume ?? 0),
+  };
+}
+
+// Parse CSV with a header row (time,open,high,low,close,volume) or raw Binance kline rows
+function parseCsv(content) {
+  const rows = content.trim().split(/\r?\n/).map((line) => line.split(',').map((cell) => cell.trim()));
+  if (rows.length === 0) return [];
+
+  if (isNaN(Number(rows[0][0]))) {
+    const header = rows.shift().map((name) => name.toLowerCase());
+    return rows.map((row) => Object.fromEntries(header.map((name, i) => [name, row[i]])));
+  }
+  return rows;
+}
+
+/**
+ * Load OHLCV klines from a local CSV or JSON file, oldest first.
+ * @param {string} filePath - Path to a .csv or .json file.
+ * @returns {object[]} Klines as { time, open, high, low, close, volume }.
+ */
+function loadKlines(filePath) {
+  const content = fs.readFileSync(filePath, 'utf8');
+  const raw = path.extname(filePath).toLowerCase() === '.json' ? JSON.parse(content) : parseCsv(content);
+  const klines = raw.map(normalizeKline);
+
+  const invalid = klines.findIndex((k) => [k.open, k.high, k.low, k.close].some(isNaN));
+  if (invalid !== -1) {
+    throw new Error(`Invalid kline at row ${invalid + 1} in ${filePath}.`);
+  }
+
+  return klines.sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Build permissive pair info for a symbol when real exchange filters are not available offline.
+ * @param {string} symbol - The trading pair, e.g. DOGEUSDT.
+ * @returns {object} Pair info in the shape returned by getTradingPairInfo.
+ */
+function defaultPairInfo(symbol) {
+  const quoteAsset = KNOWN_QUOTE_ASSETS.find((asset) => symbol.endsWith(asset) && symbol.length > asset.length);
+  if (!quoteAsset) throw new Error(`Cannot infer the quote asset of ${symbol}. Provide pair info.`);
+
+  return {
+    baseAsset: symbol.slice(0, -quoteAsset.length),
+    quoteAsset,
+    minQty: 0.00000001,
+    maxQty: 9000000000,
+    stepSize: 0.00000001,
+    tickSize: 0.00000001,
+    minPrice: 0.00000001,
+    maxPrice: 1000000,
+    minNotional: 0,
+  };
+}
+
+// Summarize the simulated orders into trades, cycles and P&L
+function buildReport({ exchange, pairInfo, symbol, klines, linkedBuys, equityCurve, startEquity }) {
+  const orders = exchange.getOrders(symbol);
+  const ordersById = new Map(orders.map((order) => [order.orderId, order]));
+  const lastPrice = klines[klines.length - 1].close;
+
+  const trades = orders
+    .filter((order) => order.status === 'FILLED')
+    .sort((a, b) => a.updateTime - b.updateTime)
+    .map((order) => ({
+      time: new Date(order.updateTime).toISOString(),
+      orderId: order.orderId,
+      side: order.side,
+      price: parseFloat(order.price),
+      quantity: parseFloat(order.executedQty),
+      quoteQty: parseFloat(order.cummulativeQuoteQty),
+      commission: parseFloat(order.commission),
+    }));
+
+  let realizedPnl = 0;
+  let cycles = 0;
+  let unrealizedPnl = 0;
+  let capitalInOpenSells = 0;
+
+  for (const [sellOrderId, buyOrderId] of linkedBuys) {
+    const buy = ordersById.get(buyOrderId);
+    const sell = ordersById.get(sellOrderId);
+    // A laddered or partial exit sells part of the buy, and carries that share of its cost
+    const share = parseFloat(sell.origQty) / parseFloat(buy.executedQty);
+    const buyCost = (parseFloat(buy.cummulativeQuoteQty) + parseFloat(buy.commission)) * share;
+
+    if (sell.status === 'FILLED') {
+      realizedPnl += parseFloat(sell.cummulativeQuoteQty) - parseFloat(sell.commission) - buyCost;
+      cycles++;
+    } else {
+      unrealizedPnl += parseFloat(sell.origQty) * lastPrice - buyCost;
+      capitalInOpenSells += buyCost;
+    }
+  }
+
+  let peak = startEquity;
+  let maxDrawdown = 0;
+  for (const equity of equityCurve) {
+    peak = Math.max(peak, equity);
+    maxDrawdown = Math.max(maxDrawdown, peak > 0 ? (peak - equity) / peak : 0);
+  }
+
+  return {
+    symbol,
+    quoteAsset: pairInfo.quoteAsset,
+    from: new Date(klines[0].time).toISOString(),
+    to: new Date(klines[klines.length - 1].time).toISOString(),
+    candles: klines.length,
+    trades,
+    cycles,
+    realizedPnl,
+    unrealizedPnl,
+    fees: trades.reduce((sum, trade) => sum + trade.commission, 0),
+    maxDrawdown: maxDrawdown * 100,
+    capitalInOpenSells,
+    openBuys: orders.filter((order) => order.side === 'BUY' && isOpenStatus(order.status)).length,
+    startEquity,
+    endEquity: equityCurve[equityCurve.length - 1],
+    balances: exchange.getBalances(),
+  };
+}
+
+/**
+ * Replay klines through a strategy on a paper exchange, with no network access.
+ * Each kline fills resting orders it trades through, then the engine ticks at its close.
+ * @param {object} options - Backtest options.
+ * @param {object[]} options.klines - Klines from loadKlines.
+ * @param {string} options.symbol - The trading pair.
+ * @param {object} options.strategy - The strategy to test.
+ * @param {object} [options.pairInfo] - Exchange filters for the pair.
+ * @param {number} [options.quoteBalance] - Starting quote balance.
+ * @param {number} [options.baseBalance] - Starting base balance (e.g. inventory for ladder sells).
+ * @param {number} [options.feeRate] - Commission rate applied to every fill.
+ * @param {function} [options.notify] - Receives the engine's grid events.
+ * @returns {Promise<object>} The backtest report.
+ */
+async function runBacktest({
+  klines,
+  symbol,
+  strategy,
+  pairInfo = defaultPairInfo(symbol),
+  quoteBalance = 1000,
+  baseBalance = 0,
+  feeRate = 0.001,
+  notify = () => {},
+}) {
+  if (klines.length === 0) throw new Error('No klines to replay.');
+
+  const exchange = createPaperExchange({
+    pairs: { [symbol]: pairInfo },
+    balances: { [pairInfo.quoteAsset]: quoteBalance, [pairInfo.baseAsset]: baseBalance },
+    feeRate,
+  });
+  const linkedBuys = new Map();
+  let time = klines[0].time;
+  const engine = createGridEngine({
+    exchange,
+    symbol,
+    strategy,
+    notify,
+    onOrderPlaced: (order) => {
+      if (order.side === 'SELL' && order.linkedOrderId !== undefined) linkedBuys.set(order.orderId, order.linkedOrderId);
+    },
+    clock: () => time,
+  });
+
+  const equityCurve = [];
+  const markEquity = (price) => {
+    const balances = exchange.getBalances();
+    const quote = balances[pairInfo.quoteAsset] || { free: 0, locked: 0 };
+    const base = balances[pairInfo.baseAsset] || { free: 0, locked: 0 };
+    equityCurve.push(quote.free + quote.locked + (base.free + base.locked) * price);
+  };
+
+  const [first, ...rest] = klines;
+  exchange.updateMarket(symbol, first);
+  await engine.start();
+  markEquity(first.close);
+  const startEquity = equityCurve[0];
+
+  for (const kline of rest) {
+    time = kline.time;
+    exchange.updateMarket(symbol, kline);
+    await engine.tick();
+    markEquity(kline.close);
+  }
+
+  return buildReport({ exchange, pairInfo, symbol, klines, linkedBuys, equityCurve, startEquity });
+}
+
+module.exports = {
+  loadKlines,
+  defaultPairInfo,
+  runBacktest,
+};
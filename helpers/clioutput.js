@@ -0,0 +1,55 @@
+const { classifyMessage } = require('./notifier');
+
+// Exit codes of the gridkyc CLI
+const EXIT_FAILURE = 1;
+const EXIT_USAGE = 2;
+
+/**
+ * Create an error for a command used wrongly; the CLI prints the command's usage and exits
+ * with EXIT_USAGE.
+ * @param {string} message - What is wrong.
+ * @returns {Error} The error.
+ */
+function usageError(message) {
+  return Object.assign(new Error(message), { usage: true });
+}
+
+/**
+ * Create what CLI commands print through: text for people, or with json one JSON document
+ * per result and one JSON line per event, for scripts.
+ * @param {object} [options] - Output options.
+ * @param {boolean} [options.json] - Whether to print JSON.
+ * @returns {object} { json, event(message, fields), result(text, data), error(error) }.
+ */
+function createCliOutput({ json = false } = {}) {
+  return {
+    json,
+    // A timestamped event of a long-running command, e.g. a grid's fills
+    event(message, fields = {}) {
+      const time = new Date().toISOString();
+      console.log(json
+        ? JSON.stringify({ time, severity: classifyMessage(message), message, ...fields })
+        : `[${time}] ${message}`);
+    },
+    // The result of a command
+    result(text, data) {
+      console.log(json ? JSON.stringify(data, null, 2) : text);
+    },
+    // A failed command; exchange errors carry the exchange's own message
+    error(error) {
+      const message = error.response?.data?.msg || error.message;
+      if (json) {
+        console.error(JSON.stringify({ error: message, code: error.response?.data?.code }));
+      } else {
+        console.error(`Error: ${message}`);
+      }
+    },
+  };
+}
+
+module.exports = {
+  EXIT_FAILURE,
+  EXIT_USAGE,
+  usageError,
+  createCliOutput,
+};
@@ -0,0 +1,103 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { registerSecret } = require('./redact');
+
+const DEFAULT_CREDENTIALS_FILE = process.env.CREDENTIALS_FILE || path.join(__dirname, '..', 'data', 'credentials.json');
+const ALGORITHM = 'aes-256-gcm';
+
+/**
+ * Create an encrypted-at-rest store for each Discord user's Binance API credentials.
+ * Every record is sealed with AES-256-GCM under a key derived from the master key, and
+ * bound to its user id so a record copied to another user fails to decrypt.
+ * @param {object} [options] - Store options.
+ * @param {string} [options.masterKey] - Master key; defaults to CREDENTIALS_MASTER_KEY.
+ * @param {string} [options.filePath] - Where the encrypted records are kept.
+ * @returns {object} The store, with get, set, has and delete by user id.
+ */
+function createCredentialStore({
+  masterKey = process.env.CREDENTIALS_MASTER_KEY,
+  filePath = DEFAULT_CREDENTIALS_FILE,
+} = {}) {
+  if (!masterKey || masterKey.length < 16) {
+    throw new Error('CREDENTIALS_MASTER_KEY must be set (at least 16 characters) to store API credentials.');
+  }
+
+  const file = fs.existsSync(filePath)
+    ? JSON.parse(fs.readFileSync(filePath, 'utf8'))
+    : { version: 1, salt: crypto.randomBytes(16).toString('hex'), users: {} };
+  const key = crypto.scryptSync(masterKey, Buffer.from(file.salt, 'hex'), 32);
+
+  function save() {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(file, null, 2), { mode: 0o600 });
+    fs.renameSync(tempPath, filePath);
+  }
+
+  function encrypt(userId, credentials) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+    cipher.setAAD(Buffer.from(String(userId)));
+    const data = Buffer.concat([cipher.update(JSON.stringify(credentials), 'utf8'), cipher.final()]);
+
+    return {
+      iv: iv.toString('hex'),
+      tag: cipher.getAuthTag().toString('hex'),
+      data: data.toString('hex'),
+      updatedAt: new Date().toISOString(),
+    };
+  }
+
+  function decrypt(userId, record) {
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(record.iv, 'hex'));
+    decipher.setAAD(Buffer.from(String(userId)));
+    decipher.setAuthTag(Buffer.from(record.tag, 'hex'));
+    const data = Buffer.concat([decipher.update(Buffer.from(record.data, 'hex')), decipher.final()]);
+    return JSON.parse(data.toString('utf8'));
+  }
+
+  // Get a user's credentials, or null if none are stored
+  function get(userId) {
+    const record = file.users[userId];
+    if (!record) return null;
+
+    try {
+      const credentials = decrypt(userId, record);
+      registerSecret(credentials.apiKey);
+      registerSecret(credentials.apiSecret);
+      return credentials;
+    } catch (error) {
+      throw new Error(`Stored credentials for user ${userId} could not be decrypted. Was CREDENTIALS_MASTER_KEY changed?`);
+    }
+  }
+
+  // Encrypt and store a user's credentials
+  function set(userId, { apiKey, apiSecret }) {
+    registerSecret(apiKey);
+    registerSecret(apiSecret);
+    file.users[userId] = encrypt(userId, { apiKey, apiSecret });
+    save();
+  }
+
+  function has(userId) {
+    return Boolean(file.users[userId]);
+  }
+
+  // Forget a user's credentials
+  function remove(userId) {
+    delete file.users[userId];
+    save();
+  }
+
+  return {
+    get,
+    set,
+    has,
+    delete: remove,
+  };
+}
+
+module.exports = {
+  createCredentialStore,
+};
@@ -5,14 +5,33 @@ const {
   ActionRowBuilder, 
   ButtonStyle, 
   PermissionsBitField, 
-  Events 
+  Events,
+  ModalBuilder,
+  TextInputBuilder,
+  TextInputStyle,
+  SlashCommandBuilder,
+  AttachmentBuilder,
 } = require('discord.js');
+const path = require('path');
+const { createCredentialStore } = require('./credentialstore');
+const { createStateStore } = require('./statestore');
+const { resolveGridConfig, validatePartialConfig, formatConfig } = require('./gridconfig');
+const { EXCHANGE_NAMES, DEFAULT_EXCHANGE, getExchangeProfile, createExchange, parseGridKey } = require('./exchanges');
+const { createTradeLedger, listLedgerKeys, periodStart, computePnl, toCsv, formatPnlReport } = require('./tradeledger');
+const { redact } = require('./redact');
+const { getKillSwitch, engageKillSwitch, releaseKillSwitch, formatKillSwitch } = require('./killswitch');
+const { formatAlert } = require('./alertengine');
+const { parsePanelButtonId } = require('./statuspanel');
+const { SEVERITIES, DEFAULT_PREFERENCES, validatePreferences, formatPreferences, createOutbox } = require('./notifier');
+const { auditApiKey, formatAudit, formatRiskTerms, recordAudit, acceptRiskTerms, hasAcceptedTerms, onboardingProblem } = require('./onboarding');
 
 // Load environment variables
 require('dotenv').config();
 const DISCORD_BOT_TOKEN = process.env.DISCORD_BOT_TOKEN;
 const GUILD_ID = process.env.DISCORD_GUILD_ID;
 const TRADING_CATEGORY_ID = process.env.TRADING_CATEGORY_ID;
+const USER_CONFIG_DIR = process.env.GRID_CONFIG_DIR || path.join(__dirname, '..', 'data', 'configs');
+const LEGACY_CREDENTIALS_EXCHANGE = 'binance-us';
 
 // Initialize Discord client
 const client = new Client({
@@ -24,62 +43,1128 @@ const client = new Client({
   ],
 });
 
-// Store user trading data (API credentials and active trading sessions) in memory
-const userTradingData = new Map();
+// Encrypted API credentials per user; opened when the bot starts
+let credentialStore = null;
+
+// Exchange choices for slash command options
+const EXCHANGE_CHOICES = EXCHANGE_NAMES.map((name) => ({ name: getExchangeProfile(name).label, value: name }));
+const DEFAULT_EXCHANGE_LABEL = getExchangeProfile(DEFAULT_EXCHANGE).label;
+
+// Optional /grid options naming the grid to act on
+const addSymbolOption = (subcommand) => subcommand.addStringOption((option) =>
+  option.setName('symbol').setDescription('Trading pair; may be left out while you run a single grid'));
+
+// /grid options that map to grid config settings, shared by /grid start and /grid config
+const CONFIG_OPTIONS = [
+  { name: 'investment', setting: 'investment', type: 'number', description: 'Quote amount per order' },
+  { name: 'drop', setting: 'percentageDrop', type: 'number', description: 'Drop: price drop (%) that triggers a buy' },
+  { name: 'rise', setting: 'percentageRise', type: 'number', description: 'Drop: price rise (%) that resets the base price' },
+  { name: 'buy-offset', setting: 'buyOffset', type: 'number', description: 'Drop: buy price as a multiple of the current price' },
+  { name: 'take-profit', setting: 'takeProfit', type: 'number', description: 'Drop: sell price as a multiple of the buy price' },
+  { name: 'net-profit', setting: 'netProfitPercent', type: 'number', description: 'Drop: price sells for this net profit (%) after fees instead' },
+  { name: 'lower', setting: 'lowerPrice', type: 'number', description: 'Ladder: lowest level price' },
+  { name: 'upper', setting: 'upperPrice', type: 'number', description: 'Ladder: highest level price' },
+  { name: 'levels', setting: 'levels', type: 'integer', description: 'Ladder: number of levels' },
+  { name: 'interval', setting: 'intervalSeconds', type: 'integer', description: 'REST polling interval in seconds' },
+  { name: 'max-capital', setting: 'maxCapital', type: 'number', description: 'Risk: most quote capital in open buys and held inventory' },
+  { name: 'max-open-buys', setting: 'maxOpenBuys', type: 'integer', description: 'Risk: most unfilled buy orders at once' },
+  { name: 'max-inventory', setting: 'maxInventory', type: 'number', description: 'Risk: most base asset the grid may hold' },
+  { name: 'stop-loss', setting: 'stopLossPrice', type: 'number', description: 'Risk: exit the grid at or below this price' },
+  { name: 'max-drawdown', setting: 'maxDrawdownPercent', type: 'number', description: 'Risk: exit the grid once inventory is this % below cost' },
+  { name: 'daily-loss-limit', setting: 'dailyLossLimit', type: 'number', description: 'Risk: stop buying after losing this much today (UTC)' },
+];
+
+// Add the strategy choice and every config option to a /grid subcommand
+function addConfigOptions(subcommand) {
+  subcommand
+    .addStringOption((option) => option.setName('exchange').setDescription(`Exchange to trade on (default: ${DEFAULT_EXCHANGE_LABEL})`)
+      .addChoices(...EXCHANGE_CHOICES))
+    .addStringOption((option) => option.setName('strategy').setDescription('Grid strategy (default: drop)')
+      .addChoices({ name: 'drop', value: 'drop' }, { name: 'ladder', value: 'ladder' }))
+    .addStringOption((option) => option.setName('spacing').setDescription('Ladder: level spacing (default: arithmetic)')
+      .addChoices({ name: 'arithmetic', value: 'arithmetic' }, { name: 'geometric', value: 'geometric' }))
+    .addStringOption((option) => option.setName('cancel-policy').setDescription('Orders canceled on the exchange: drop or replace them (default: drop)')
+      .addChoices({ name: 'drop', value: 'drop' }, { name: 'replace', value: 'replace' }))
+    .addStringOption((option) => option.setName('exit').setDescription('Drop: how filled buys are sold (default: fixed)')
+      .addChoices({ name: 'fixed', value: 'fixed' }, { name: 'trailing', value: 'trailing' }, { name: 'laddered', value: 'laddered' }))
+    .addBooleanOption((option) => option.setName('adaptive').setDescription('Drop: scale spacing with recent volatility (ATR)'))
+    .addStringOption((option) => option.setName('risk-exit').setDescription('Risk: on a stop-loss or drawdown, halt buying or also sell the inventory (default: halt)')
+      .addChoices({ name: 'halt', value: 'halt' }, { name: 'sell', value: 'sell' }));
+
+  for (const { name, type, description } of CONFIG_OPTIONS) {
+    const addOption = type === 'integer' ? 'addIntegerOption' : 'addNumberOption';
+    subcommand[addOption]((option) => option.setName(name).setDescription(description));
+  }
+  return subcommand;
+}
+
+// Read the config options a user gave, leaving the rest undefined
+function readConfigOptions(interaction) {
+  const settings = {
+    exchange: interaction.options.getString('exchange') ?? undefined,
+    strategy: interaction.options.getString('strategy') ?? undefined,
+    spacing: interaction.options.getString('spacing') ?? undefined,
+    cancelPolicy: interaction.options.getString('cancel-policy') ?? undefined,
+    exitMode: interaction.options.getString('exit') ?? undefined,
+    adaptive: interaction.options.getBoolean('adaptive') ?? undefined,
+    riskExit: interaction.options.getString('risk-exit') ?? undefined,
+  };
+  for (const { name, setting, type } of CONFIG_OPTIONS) {
+    const value = type === 'integer' ? interaction.options.getInteger(name) : interaction.options.getNumber(name);
+    settings[setting] = value ?? undefined;
+  }
+  return settings;
+}
+
+// Notification thresholds a user can pick for the channel and DMs
+const THRESHOLD_CHOICES = [...SEVERITIES, 'off'].map((value) => ({ name: value, value }));
+
+// Slash commands registered in the guild on startup
+const commands = [
+  new SlashCommandBuilder()
+    .setName('apikey')
+    .setDescription('Securely set your Binance API key and secret')
+    .addStringOption((option) => option.setName('exchange').setDescription(`Exchange the key is for (default: ${DEFAULT_EXCHANGE_LABEL})`)
+      .addChoices(...EXCHANGE_CHOICES)),
+  new SlashCommandBuilder()
+    .setName('grid')
+    .setDescription('Start and control your grid bots')
+    .addSubcommand((subcommand) => addConfigOptions(subcommand
+      .setName('start')
+      .setDescription('Start a grid on a trading pair')
+      .addStringOption((option) => option.setName('symbol').setDescription('Trading pair, e.g. DOGEUSDT').setRequired(true)))
+      .addBooleanOption((option) => option.setName('paper').setDescription('Paper trade against live prices')))
+    .addSubcommand((subcommand) => addConfigOptions(subcommand
+      .setName('config')
+      .setDescription('Show or change your saved grid settings, used by every grid you start'))
+      .addBooleanOption((option) => option.setName('reset').setDescription('Forget your saved settings')))
+    .addSubcommand((subcommand) => addSymbolOption(subcommand
+      .setName('stop')
+      .setDescription('Stop a grid'))
+      .addBooleanOption((option) => option.setName('cancel-orders').setDescription('Also cancel the grid\'s open orders')))
+    .addSubcommand((subcommand) => addSymbolOption(subcommand.setName('pause').setDescription('Pause a grid; open orders stay on the exchange')))
+    .addSubcommand((subcommand) => addSymbolOption(subcommand.setName('resume').setDescription('Resume a paused grid, or one halted by a stop-loss or drawdown exit')))
+    .addSubcommand((subcommand) => addSymbolOption(subcommand.setName('status').setDescription('Show a grid\'s status')))
+    .addSubcommand((subcommand) => subcommand.setName('list').setDescription('List your running grids')),
+  new SlashCommandBuilder()
+    .setName('pnl')
+    .setDescription('Show the profit and loss of your grids')
+    .addStringOption((option) => option.setName('symbol').setDescription('Trading pair (default: all your grids)'))
+    .addStringOption((option) => option.setName('period').setDescription('Period to report (default: all time)')
+      .addChoices({ name: '24h', value: '24h' }, { name: '7d', value: '7d' }, { name: '30d', value: '30d' }, { name: 'all', value: 'all' }))
+    .addBooleanOption((option) => option.setName('export').setDescription('Attach the fills as CSV')),
+  new SlashCommandBuilder()
+    .setName('killswitch')
+    .setDescription('Halt every grid on the bot (admins only)')
+    .setDefaultMemberPermissions(PermissionsBitField.Flags.Administrator)
+    .addSubcommand((subcommand) => subcommand
+      .setName('on')
+      .setDescription('Halt all grids and refuse new ones until released')
+      .addBooleanOption((option) => option.setName('cancel-orders').setDescription('Also cancel every grid\'s open orders'))
+      .addStringOption((option) => option.setName('reason').setDescription('Why the switch is pulled')))
+    .addSubcommand((subcommand) => subcommand.setName('off').setDescription('Release the kill switch; halted grids stay stopped'))
+    .addSubcommand((subcommand) => subcommand.setName('status').setDescription('Show whether the kill switch is engaged')),
+  new SlashCommandBuilder()
+    .setName('alert')
+    .setDescription('Manage your price alerts')
+    .addSubcommand((subcommand) => subcommand
+      .setName('add')
+      .setDescription('Alert when a price crosses a level, moves fast or turns volatile')
+      .addStringOption((option) => option.setName('symbol').setDescription('Trading pair, e.g. BTCUSDT').setRequired(true))
+      .addStringOption((option) => option.setName('type').setDescription('What to watch for').setRequired(true)
+        .addChoices(
+          { name: 'crosses above a level', value: 'above' },
+          { name: 'crosses below a level', value: 'below' },
+          { name: 'changes by a percent within a window', value: 'change' },
+          { name: 'volatility spikes', value: 'volatility' },
+        ))
+      .addNumberOption((option) => option.setName('level').setDescription('above/below: the price level'))
+      .addNumberOption((option) => option.setName('percent').setDescription('change: percent move, negative for a drop'))
+      .addNumberOption((option) => option.setName('multiplier').setDescription('volatility: how many times the usual volatility (default: 3)'))
+      .addIntegerOption((option) => option.setName('window').setDescription('change/volatility: window in minutes (default: 60 / 5)'))
+      .addIntegerOption((option) => option.setName('cooldown').setDescription('Minutes before the alert can fire again (default: 15)'))
+      .addStringOption((option) => option.setName('deliver').setDescription('Where to send it (default: this channel)')
+        .addChoices({ name: 'this channel', value: 'channel' }, { name: 'DM', value: 'dm' }, { name: 'webhook', value: 'webhook' }))
+      .addStringOption((option) => option.setName('webhook-url').setDescription('webhook: the https:// URL to POST to'))
+      .addStringOption((option) => option.setName('exchange').setDescription(`Exchange whose prices to watch (default: ${DEFAULT_EXCHANGE_LABEL})`)
+        .addChoices(...EXCHANGE_CHOICES)))
+    .addSubcommand((subcommand) => subcommand.setName('list').setDescription('List your alerts'))
+    .addSubcommand((subcommand) => subcommand
+      .setName('remove')
+      .setDescription('Remove one of your alerts')
+      .addIntegerOption((option) => option.setName('id').setDescription('Alert number from /alert list').setRequired(true))),
+  new SlashCommandBuilder()
+    .setName('onboarding')
+    .setDescription('Check your API key and see whether you can start grids')
+    .addSubcommand((subcommand) => subcommand.setName('status').setDescription('Show your onboarding status'))
+    .addSubcommand((subcommand) => subcommand
+      .setName('verify')
+      .setDescription('Check your saved API key again, e.g. after changing its permissions')
+      .addStringOption((option) => option.setName('exchange').setDescription(`Exchange the key is for (default: ${DEFAULT_EXCHANGE_LABEL})`)
+        .addChoices(...EXCHANGE_CHOICES))
+      .addStringOption((option) => option.setName('symbol').setDescription('Pair you mean to trade, to check its balances'))),
+  new SlashCommandBuilder()
+    .setName('notify')
+    .setDescription('Choose where your grids report to')
+    .addSubcommand((subcommand) => subcommand.setName('show').setDescription('Show your notification settings and muted grids'))
+    .addSubcommand((subcommand) => subcommand
+      .setName('set')
+      .setDescription('Change which events are posted and DMed, and how often digests summarize the rest')
+      .addStringOption((option) => option.setName('channel').setDescription(`Least severe event posted in the grid's channel (default: ${DEFAULT_PREFERENCES.channel})`)
+        .addChoices(...THRESHOLD_CHOICES))
+      .addStringOption((option) => option.setName('dm').setDescription(`Least severe event sent to you as a DM (default: ${DEFAULT_PREFERENCES.dm})`)
+        .addChoices(...THRESHOLD_CHOICES))
+      .addStringOption((option) => option.setName('digest').setDescription(`How often to summarize everything else (default: ${DEFAULT_PREFERENCES.digest})`)
+        .addChoices({ name: 'hourly', value: 'hourly' }, { name: 'daily', value: 'daily' }, { name: 'off', value: 'off' })))
+    .addSubcommand((subcommand) => addSymbolOption(subcommand
+      .setName('mute')
+      .setDescription('Hold back a grid\'s events except critical ones; the grid keeps trading'))
+      .addIntegerOption((option) => option.setName('minutes').setDescription('Unmute after this many minutes (default: until unmuted)').setMinValue(1)))
+    .addSubcommand((subcommand) => addSymbolOption(subcommand.setName('unmute').setDescription('Report a muted grid\'s events again'))),
+];
+
+/**
+ * Track each user's running grids by symbol, allowing one grid per user and symbol.
+ * A session is reserved before its grid starts, so a second start for the same pair is
+ * refused even while the first one is still starting up.
+ * @returns {object} The session manager.
+ */
+function createSessionManager() {
+  const sessions = new Map();
+  const keyOf = (userId, symbol) => `${userId}:${symbol}`;
+
+  return {
+    // Claim the slot for a grid; returns null if the user already runs one on this symbol
+    reserve(userId, symbol, channel) {
+      const key = keyOf(userId, symbol);
+      if (sessions.has(key)) return null;
+
+      const session = { id: `${userId}-${symbol}`, owner: userId, userId, symbol, channel, status: 'starting', handle: null, startedAt: new Date() };
+      sessions.set(key, session);
+      return session;
+    },
+    // Hand a started grid to its session
+    attach(session, handle) {
+      Object.assign(session, { handle, status: 'running' });
+    },
+    remove(userId, symbol) {
+      sessions.delete(keyOf(userId, symbol));
+    },
+    get(userId, symbol) {
+      return sessions.get(keyOf(userId, symbol)) || null;
+    },
+    listForUser(userId) {
+      return [...sessions.values()].filter((session) => session.userId === userId);
+    },
+    all() {
+      return [...sessions.values()];
+    },
+  };
+}
+
+const sessions = createSessionManager();
+
+// One outbox per channel and per DMed user, so grids sharing them stay within Discord's rate limits
+const channelOutboxes = new WeakMap();
+const dmOutboxes = new Map();
+
+function channelOutbox(channel) {
+  if (!channelOutboxes.has(channel)) {
+    channelOutboxes.set(channel, createOutbox((payload) => channel.send(payload), {
+      onError: (error) => console.error(`Error sending a message to channel ${channel.id}: ${error.message}`),
+    }));
+  }
+  return channelOutboxes.get(channel);
+}
 
 /**
- * Send a message to a specific channel.
+ * Send a message to a specific channel. Messages are queued to stay within Discord's rate
+ * limit, and a burst of them is merged into fewer messages.
  * @param {object} channel - The Discord channel object.
- * @param {string} message - The message to send.
+ * @param {string|object} message - The message to send, or a payload with content and embeds.
  */
 function sendMessageToChannel(channel, message) {
-  channel.send(message);
+  channelOutbox(channel).send(typeof message === 'string' ? redact(message) : message);
+}
+
+/**
+ * Send a message to a user's DMs, queued like sendMessageToChannel.
+ * @param {string} userId - The Discord user id.
+ * @param {string} message - The message to send.
+ */
+function sendDirectMessage(userId, message) {
+  if (!dmOutboxes.has(userId)) {
+    dmOutboxes.set(userId, createOutbox(async (payload) => (await client.users.fetch(userId)).send(payload), {
+      // DMs fail while the user does not share a server with the bot or has closed their DMs
+      onError: (error) => console.error(`Error sending a DM to user ${userId}: ${error.message}`),
+    }));
+  }
+  dmOutboxes.get(userId).send(redact(message));
+}
+
+/**
+ * Send an alert to a Discord channel or a user's DMs.
+ * @param {object} delivery - { type: 'channel', channelId } or { type: 'dm', userId }.
+ * @param {string} message - The message to send.
+ */
+async function sendAlertMessage(delivery, message) {
+  if (delivery.type === 'dm') {
+    const user = await client.users.fetch(delivery.userId);
+    await user.send(redact(message));
+    return;
+  }
+
+  const channel = await client.channels.fetch(delivery.channelId);
+  sendMessageToChannel(channel, message);
+}
+
+/**
+ * Build the modal that collects a user's API credentials for an exchange.
+ * @param {string} [exchange] - The exchange the credentials are for.
+ * @returns {ModalBuilder} The modal.
+ */
+function buildApiKeyModal(exchange = DEFAULT_EXCHANGE) {
+  return new ModalBuilder()
+    .setCustomId(`apikey_modal:${exchange}`)
+    .setTitle(`${getExchangeProfile(exchange).label} API credentials`)
+    .addComponents(
+      new ActionRowBuilder().addComponents(
+        new TextInputBuilder().setCustomId('api_key').setLabel('API key').setStyle(TextInputStyle.Short).setRequired(true),
+      ),
+      new ActionRowBuilder().addComponents(
+        new TextInputBuilder().setCustomId('api_secret').setLabel('API secret').setStyle(TextInputStyle.Short).setRequired(true),
+      ),
+    );
 }
 
 /**
- * Check message history for API credentials.
+ * Delete legacy `!setapikey` messages, which hold credentials in plain text. A key that sat in
+ * chat history must be treated as leaked, so it is never imported; its owner is told to rotate
+ * it and register the new one with /apikey.
  * @param {object} guild - The Discord guild object.
  */
-async function loadApiKeysFromHistory(guild) {
+async function removeLegacyApiKeyMessages(guild) {
   try {
     const channels = await guild.channels.fetch();
 
     for (const [channelId, channel] of channels) {
       if (channel.type === 0 && channel.name.startsWith('grid-trading')) {
-        const messages = await channel.messages.fetch({ limit: 50 });
-        
-        messages.forEach((message) => {
-          if (message.content.startsWith('!setapikey')) {
-            const [_, apiKey, apiSecret] = message.content.split(' ');
-
-            if (apiKey && apiSecret) {
-              userTradingData.set(message.author.id, { apiKey, apiSecret });
-              console.log(`Loaded API credentials for user ${message.author.username} from message history.`);
-            }
-          }
-        });
+        const messages = await channel.messages.fetch({ limit: 100 });
+
+        for (const message of messages.values()) {
+          if (!message.content.startsWith('!setapikey')) continue;
+
+          await message.delete();
+          console.log(`Deleted a legacy !setapikey message from user ${message.author.username}.`);
+          await channel.send(`${message.author}, a message containing your API credentials was deleted from this channel. Anyone who read it may have that key: delete it on the exchange now, create a new one and register it with \`/apikey\`.`);
+        }
+      }
+    }
+  } catch (error) {
+    console.error(`Error removing legacy API key messages: ${error.message}`);
+  }
+}
+
+// Credentials stored before other exchanges existed are Binance US keys, stored under the bare user id
+const credentialKey = (userId, exchange) => (exchange === LEGACY_CREDENTIALS_EXCHANGE ? userId : `${userId}:${exchange}`);
+
+/**
+ * Get a user's stored API credentials for an exchange.
+ * @param {string} userId - The Discord user id.
+ * @param {string} exchange - The exchange.
+ * @returns {object|null} { apiKey, apiSecret }, or null if none are stored.
+ */
+function getCredentials(userId, exchange) {
+  return credentialStore.get(credentialKey(userId, exchange));
+}
+
+// A user's saved grid settings, set with /grid config
+const userConfigStore = (userId) => createStateStore(`config-${userId}`, USER_CONFIG_DIR);
+
+function loadUserConfig(userId) {
+  const saved = userConfigStore(userId).load();
+  if (!saved) return {};
+  const { updatedAt, ...settings } = saved;
+  return settings;
+}
+
+/**
+ * Build the config for a grid from the defaults, the user's saved settings and the options
+ * given for this grid. Saved settings for a different strategy are left out.
+ * @param {string} userId - The Discord user id.
+ * @param {object} overrides - Settings given for this grid.
+ * @returns {object} The validated config.
+ */
+function resolveUserConfig(userId, overrides) {
+  const saved = loadUserConfig(userId);
+  const sameStrategy = !overrides.strategy || overrides.strategy === (saved.strategy || 'drop');
+  return resolveGridConfig(sameStrategy ? saved : {}, overrides);
+}
+
+// A user's notification preferences, set with /notify
+const notifyStore = (userId) => createStateStore(`notify-${userId}`, USER_CONFIG_DIR);
+
+/**
+ * Load a user's notification preferences, with defaults for anything they have not set.
+ * @param {string} userId - The Discord user id.
+ * @returns {object} { channel, dm, digest }.
+ */
+function loadNotifyPreferences(userId) {
+  const { updatedAt, ...saved } = notifyStore(userId).load() || {};
+  return { ...DEFAULT_PREFERENCES, ...saved };
+}
+
+// Each user's onboarding: their key audits and their acceptance of the risk terms
+const onboardingStore = (userId) => createStateStore(`onboarding-${userId}`, USER_CONFIG_DIR);
+
+function loadOnboarding(userId) {
+  const { updatedAt, ...onboarding } = onboardingStore(userId).load() || {};
+  return onboarding;
+}
+
+// Record a key audit in the user's onboarding status
+function saveAudit(userId, exchange, apiKey, audit) {
+  const onboarding = recordAudit(loadOnboarding(userId), exchange, apiKey, audit);
+  onboardingStore(userId).save(onboarding);
+  return onboarding;
+}
+
+// The reply to a key check: the audit, then the risk terms to accept if the user has not yet
+function buildOnboardingReply(audit, onboarding, exchange) {
+  const report = formatAudit(audit, getExchangeProfile(exchange).label);
+  if (!audit.passed) return { content: report, components: [] };
+  if (hasAcceptedTerms(onboarding)) {
+    return { content: `${report}\nYou are all set. Start a grid with \`/grid start exchange:${exchange}\`.`, components: [] };
+  }
+  return {
+    content: `${report}\n\n${formatRiskTerms()}`,
+    components: [new ActionRowBuilder().addComponents(
+      new ButtonBuilder().setCustomId('onboarding_accept').setLabel('I accept the risks').setStyle(ButtonStyle.Success),
+      new ButtonBuilder().setCustomId('onboarding_decline').setLabel('Decline').setStyle(ButtonStyle.Secondary),
+    )],
+  };
+}
+
+/**
+ * Reserve a grid session for a user, checking credentials first.
+ * @param {object} user - The Discord user.
+ * @param {object} channel - The channel the grid reports to.
+ * @param {string} symbol - The trading pair.
+ * @param {boolean} paper - Whether the grid paper trades.
+ * @param {string} exchange - The exchange the grid trades on.
+ * @returns {object} { session } on success, or { error } with a message for the user.
+ */
+function reserveSession(user, channel, symbol, paper, exchange) {
+  const killSwitch = getKillSwitch();
+  if (killSwitch) return { error: `${formatKillSwitch(killSwitch)} No grids can start until an admin releases it.` };
+
+  // Paper trading only reads public market data, so it works without credentials or onboarding
+  if (!paper && !credentialStore.has(credentialKey(user.id, exchange))) {
+    return { error: `Set your ${getExchangeProfile(exchange).label} API credentials first using \`/apikey exchange:${exchange}\`, or add \`paper\` to paper trade.` };
+  }
+  if (!paper) {
+    const problem = onboardingProblem(loadOnboarding(user.id), exchange, getCredentials(user.id, exchange).apiKey);
+    if (problem) return { error: `${problem} Finish onboarding with \`/onboarding verify exchange:${exchange}\` before starting a grid, or add \`paper\` to paper trade.` };
+  }
+
+  const session = sessions.reserve(user.id, symbol, channel);
+  if (!session) {
+    return { error: `You already have a grid running on ${symbol}. Stop it first with \`/grid stop symbol:${symbol}\`.` };
+  }
+  return { session };
+}
+
+/**
+ * Start the grid for a reserved session, releasing the session if it fails to start or throws.
+ * @param {function} startGridBot - Starts a grid and returns its handle, or null.
+ * @param {object} session - The reserved session.
+ * @param {object} options - Grid options passed through to startGridBot.
+ * @returns {Promise<boolean>} Whether the grid started.
+ */
+async function launchSession(startGridBot, session, options) {
+  let handle;
+  try {
+    const credentials = options.paper ? null : getCredentials(session.userId, options.config.exchange);
+    handle = await startGridBot(credentials?.apiKey, credentials?.apiSecret, session.symbol, session.channel, {
+      userId: session.userId,
+      notifyPreferences: loadNotifyPreferences(session.userId),
+      ...options,
+      // A kill switch pulled from the CLI stops the grid on its own
+      onHalt: () => sessions.remove(session.userId, session.symbol),
+    });
+  } catch (error) {
+    sessions.remove(session.userId, session.symbol);
+    throw error;
+  }
+
+  if (!handle) {
+    sessions.remove(session.userId, session.symbol);
+    return false;
+  }
+  sessions.attach(session, handle);
+  return true;
+}
+
+/**
+ * Find the session a /grid command refers to: the given symbol, or the user's only grid.
+ * @param {string} userId - The Discord user id.
+ * @param {string|null} symbol - The symbol option, if given.
+ * @returns {object} { session } on success, or { error } with a message for the user.
+ */
+function findSession(userId, symbol) {
+  if (symbol) {
+    const session = sessions.get(userId, symbol.toUpperCase());
+    return session ? { session } : { error: `You have no grid running on ${symbol.toUpperCase()}.` };
+  }
+
+  const userSessions = sessions.listForUser(userId);
+  if (userSessions.length === 1) return { session: userSessions[0] };
+  return {
+    error: userSessions.length === 0
+      ? 'You have no grids running. Start one with `/grid start`.'
+      : `You have ${userSessions.length} grids running; pick one with the \`symbol\` option.`,
+  };
+}
+
+/**
+ * Describe a session's grid for /grid status.
+ * @param {object} session - The session.
+ * @returns {string} The status text.
+ */
+function formatSessionStatus(session) {
+  const header = `**${session.symbol}**: ${session.status}${session.handle?.paper ? ' (paper)' : ''}, started <t:${Math.floor(session.startedAt.getTime() / 1000)}:R>`;
+  if (!session.handle) return header;
+
+  const { engine, runner, config } = session.handle;
+  const { basePrice, halted } = engine.getState();
+  const lastPrice = engine.getLastPrice();
+
+  return [
+    header,
+    ...(halted ? [`Halted since ${halted.at}: ${halted.reason} Use \`/grid resume\` to lift the halt.`] : []),
+    `Settings: ${formatConfig(config)}`,
+    `Last price: ${lastPrice === null ? 'n/a' : `$${lastPrice}`}, base price: $${basePrice}`,
+    `Open orders: ${engine.getOpenOrders('BUY').length} buys, ${engine.getOpenOrders('SELL').length} sells`,
+    `Market data: ${runner.isStreaming() ? 'streaming' : 'REST polling'}`,
+    ...(session.handle.notifier.getMutedUntil() ? [formatMute(session.symbol, session.handle.notifier.getMutedUntil())] : []),
+  ].join('\n');
+}
+
+/**
+ * Handle the /grid slash command.
+ * @param {object} interaction - The chat input interaction.
+ * @param {function} startGridBot - Starts a grid and returns its handle, or null.
+ */
+async function handleGridCommand(interaction, startGridBot) {
+  const subcommand = interaction.options.getSubcommand();
+  const userId = interaction.user.id;
+
+  if (subcommand === 'start') {
+    const symbol = interaction.options.getString('symbol').toUpperCase();
+    const paper = interaction.options.getBoolean('paper') || false;
+
+    let config;
+    try {
+      config = resolveUserConfig(userId, { ...readConfigOptions(interaction), symbol });
+    } catch (error) {
+      await interaction.reply({ content: error.message, ephemeral: true });
+      return;
+    }
+
+    const { session, error } = reserveSession(interaction.user, interaction.channel, symbol, paper, config.exchange);
+    if (error) {
+      await interaction.reply({ content: error, ephemeral: true });
+      return;
+    }
+
+    await interaction.reply(`Starting a ${config.strategy} grid on ${symbol}${paper ? ' in paper trading mode' : ''}...`);
+    if (!await launchSession(startGridBot, session, { paper, config })) {
+      await interaction.followUp({ content: `The grid on ${symbol} did not start.`, ephemeral: true });
+    }
+    return;
+  }
+
+  if (subcommand === 'config') {
+    const store = userConfigStore(userId);
+    if (interaction.options.getBoolean('reset')) {
+      store.clear();
+      await interaction.reply({ content: 'Your saved grid settings were reset to the defaults.', ephemeral: true });
+      return;
+    }
+
+    const changes = readConfigOptions(interaction);
+    let settings = loadUserConfig(userId);
+    if (Object.values(changes).some((value) => value !== undefined)) {
+      // Switching strategy starts over, since the old strategy's settings no longer apply
+      const base = changes.strategy && changes.strategy !== (settings.strategy || 'drop') ? {} : settings;
+      try {
+        settings = validatePartialConfig({ ...base, ...changes });
+      } catch (error) {
+        await interaction.reply({ content: error.message, ephemeral: true });
+        return;
+      }
+      store.save(settings);
+    }
+
+    await interaction.reply({
+      content: Object.keys(settings).length
+        ? `Your grid settings: ${formatConfig(settings)}. Anything not listed uses the default, and options given to \`/grid start\` override these.`
+        : 'You have no saved grid settings; grids use the defaults. Set some with the options of `/grid config`.',
+      ephemeral: true,
+    });
+    return;
+  }
+
+  if (subcommand === 'list') {
+    const userSessions = sessions.listForUser(userId);
+    await interaction.reply({
+      content: userSessions.length
+        ? userSessions.map((session) => `• ${session.symbol}: ${session.handle?.strategy.name || 'starting'}, ${session.status}${session.handle?.paper ? ' (paper)' : ''}`).join('\n')
+        : 'You have no grids running. Start one with `/grid start`.',
+      ephemeral: true,
+    });
+    return;
+  }
+
+  const { session, error } = findSession(userId, interaction.options.getString('symbol'));
+  if (error) {
+    await interaction.reply({ content: error, ephemeral: true });
+    return;
+  }
+
+  if (subcommand === 'status') {
+    await interaction.reply({ content: formatSessionStatus(session), ephemeral: true });
+    return;
+  }
+
+  // Stopping may cancel many orders, which can take longer than Discord waits for a reply
+  const cancelOrders = interaction.options.getBoolean('cancel-orders') || false;
+  if (subcommand === 'stop' && session.handle) await interaction.deferReply();
+
+  const { message, error: actionError } = await controlSession(session, subcommand, { cancelOrders });
+  if (interaction.deferred) {
+    await interaction.editReply(message || actionError);
+  } else {
+    await interaction.reply(actionError ? { content: actionError, ephemeral: true } : message);
+  }
+}
+
+/**
+ * Pause, resume or stop a session's grid, for /grid and the status panel buttons.
+ * @param {object} session - The session.
+ * @param {string} action - pause, resume or stop.
+ * @param {object} [options] - { cancelOrders } for stop.
+ * @returns {Promise<object>} { message } to post, or { error } to show only to the user.
+ */
+async function controlSession(session, action, { cancelOrders = false } = {}) {
+  if (!session.handle) return { error: `The grid on ${session.symbol} is still starting. Try again in a moment.` };
+  const { engine, runner, panel } = session.handle;
+
+  if (action === 'stop') {
+    const canceled = await session.handle.stop({ cancelOrders });
+    sessions.remove(session.userId, session.symbol);
+    return { message: `Stopped the grid on ${session.symbol}.${cancelOrders ? ` Canceled ${canceled} open orders.` : ' Its open orders stay on the exchange.'}` };
+  }
+
+  if (action === 'pause') {
+    if (session.status === 'paused') return { error: `The grid on ${session.symbol} is already paused.` };
+    runner.pause();
+    session.status = 'paused';
+    panel?.refresh();
+    return { message: `Paused the grid on ${session.symbol}. Open orders stay on the exchange; use \`/grid resume\` to continue.` };
+  }
+
+  const { halted } = engine.getState();
+  if (session.status !== 'paused' && !halted) return { error: `The grid on ${session.symbol} is neither paused nor halted.` };
+  // Lifting a halt re-arms the exit checks, so a grid still past its stop-loss halts again
+  if (halted) await engine.clearHalt();
+  if (session.status === 'paused') {
+    session.status = 'running';
+    // The catch-up tick reports its own errors; the reply need not wait for it
+    runner.resume();
+  }
+  panel?.refresh();
+  return { message: `Resuming the grid on ${session.symbol}...` };
+}
+
+/**
+ * Handle a status panel button. Only the grid's owner may use them; Cancel all stops the
+ * grid and cancels its open orders.
+ * @param {object} interaction - The button interaction.
+ * @param {object} button - { action, userId, symbol } from the button's customId.
+ */
+async function handlePanelButton(interaction, { action, userId, symbol }) {
+  if (interaction.user.id !== userId) {
+    await interaction.reply({ content: 'Only the owner of this grid can control it.', ephemeral: true });
+    return;
+  }
+
+  const session = sessions.get(userId, symbol);
+  if (!session) {
+    await interaction.reply({ content: `You have no grid running on ${symbol}.`, ephemeral: true });
+    return;
+  }
+
+  await interaction.deferReply({ ephemeral: true });
+  const { message, error } = await controlSession(session, action === 'cancel' ? 'stop' : action, { cancelOrders: action === 'cancel' });
+  await interaction.editReply(message || error);
+}
+
+/**
+ * Expose the bot's sessions to the HTTP API (see apiserver.js). Grids started over the API
+ * run for the given user with their saved settings and credentials, and report to the given
+ * channel like any other grid.
+ * @param {function} startGridBot - Starts a grid and returns its handle, or null.
+ * @returns {object} The controller for startApiServer.
+ */
+function createApiController(startGridBot) {
+  const requestError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+  return {
+    listGrids: () => sessions.all(),
+    removeGrid: (session) => sessions.remove(session.userId, session.symbol),
+    async startGrid({ userId, channelId, symbol, paper = false, settings = {} }) {
+      if (!userId || !channelId || !symbol) throw requestError('userId, channelId and symbol are required.');
+
+      const gridSymbol = symbol.toUpperCase();
+      let config;
+      try {
+        config = resolveUserConfig(userId, { ...settings, symbol: gridSymbol });
+      } catch (error) {
+        throw requestError(error.message);
       }
+
+      const channel = await client.channels.fetch(channelId);
+      const { session, error } = reserveSession({ id: userId }, channel, gridSymbol, Boolean(paper), config.exchange);
+      if (error) throw requestError(error, 409);
+
+      sendMessageToChannel(channel, `Starting a ${config.strategy} grid on ${gridSymbol}${paper ? ' in paper trading mode' : ''} from the dashboard...`);
+      if (!await launchSession(startGridBot, session, { paper: Boolean(paper), config })) {
+        throw requestError(`The grid on ${gridSymbol} did not start; its channel says why.`, 502);
+      }
+      return session;
+    },
+  };
+}
+
+/**
+ * Handle the /killswitch slash command. Engaging it writes the kill switch file, which also
+ * stops `gridkyc grid start` processes on this host, and stops every session of this bot right away.
+ * @param {object} interaction - The chat input interaction.
+ */
+async function handleKillSwitchCommand(interaction) {
+  // Default member permissions can be overridden per server, so check again here
+  if (!interaction.memberPermissions?.has(PermissionsBitField.Flags.Administrator)) {
+    await interaction.reply({ content: 'Only server administrators can use the kill switch.', ephemeral: true });
+    return;
+  }
+
+  const subcommand = interaction.options.getSubcommand();
+  if (subcommand === 'status') {
+    await interaction.reply({ content: formatKillSwitch(getKillSwitch()), ephemeral: true });
+    return;
+  }
+
+  if (subcommand === 'off') {
+    const released = releaseKillSwitch();
+    await interaction.reply(released
+      ? `Kill switch released by ${interaction.user}. Grids can be started again.`
+      : 'The kill switch was not engaged.');
+    return;
+  }
+
+  const cancelOrders = interaction.options.getBoolean('cancel-orders') || false;
+  const killSwitch = engageKillSwitch({
+    reason: interaction.options.getString('reason') || undefined,
+    cancelOrders,
+    engagedBy: interaction.user.tag,
+  });
+  await interaction.deferReply();
+
+  const stopped = [];
+  for (const session of sessions.all()) {
+    sessions.remove(session.userId, session.symbol);
+    if (!session.handle) continue;
+
+    try {
+      const canceled = await session.handle.stop({ cancelOrders });
+      sendMessageToChannel(session.channel, `[KILL SWITCH] GridBot for ${session.symbol} halted. ${formatKillSwitch(killSwitch)}${cancelOrders ? `\nCanceled ${canceled} open orders.` : ''}`);
+      stopped.push(session.symbol);
+    } catch (error) {
+      sendMessageToChannel(session.channel, `[KILL SWITCH] GridBot for ${session.symbol} halted, but canceling its orders failed: ${error.message}`);
+    }
+  }
+
+  await interaction.editReply(`${formatKillSwitch(killSwitch)}\nStopped ${stopped.length} grids${cancelOrders ? ' and canceled their open orders' : ''}.`);
+}
+
+/**
+ * Handle the /pnl slash command: report every ledger of the user, or one symbol's.
+ * @param {object} interaction - The chat input interaction.
+ */
+async function handlePnlCommand(interaction) {
+  const userId = interaction.user.id;
+  const symbol = interaction.options.getString('symbol')?.toUpperCase();
+  const period = interaction.options.getString('period') || 'all';
+
+  await interaction.deferReply({ ephemeral: true });
+  const ledgers = listLedgerKeys(`${userId}-`)
+    .map((key) => ({ ...parseGridKey(key, userId), ledger: createTradeLedger(key) }))
+    .filter((ledger) => !symbol || ledger.symbol === symbol)
+    .filter(({ ledger }) => ledger.getEntries().length > 0);
+
+  if (ledgers.length === 0) {
+    await interaction.editReply(`No fills recorded${symbol ? ` for ${symbol}` : ''} yet.`);
+    return;
+  }
+
+  const since = periodStart(period);
+  const reports = [];
+  const files = [];
+
+  for (const { exchange, symbol: ledgerSymbol, ledger } of ledgers) {
+    // Market data only; no API key needed
+    const marketData = createExchange(exchange);
+    const [{ baseAsset, quoteAsset }, currentPrice] = await Promise.all([
+      marketData.getTradingPairInfo(ledgerSymbol),
+      marketData.getCurrentPrice(ledgerSymbol),
+    ]);
+    const entries = ledger.getEntries();
+    const label = `${ledgerSymbol} on ${marketData.label}`;
+    reports.push(formatPnlReport(label, computePnl(entries, { currentPrice, baseAsset, quoteAsset, since }), period));
+
+    if (interaction.options.getBoolean('export')) {
+      const csv = toCsv(entries.filter((entry) => entry.time >= since));
+      files.push(new AttachmentBuilder(Buffer.from(csv), { name: `${ledgerSymbol}-${exchange}-fills-${period}.csv` }));
     }
+  }
+
+  await interaction.editReply({ content: reports.join('\n\n'), files });
+}
+
+/**
+ * Handle the /alert slash command. Users only ever see and remove their own alerts.
+ * @param {object} interaction - The chat input interaction.
+ * @param {object} alertEngine - The alert engine.
+ */
+async function handleAlertCommand(interaction, alertEngine) {
+  const userId = interaction.user.id;
+  const subcommand = interaction.options.getSubcommand();
+
+  if (subcommand === 'list') {
+    const alerts = alertEngine.list(userId);
+    await interaction.reply({
+      content: alerts.length ? alerts.map(formatAlert).join('\n') : 'You have no alerts. Add one with `/alert add`.',
+      ephemeral: true,
+    });
+    return;
+  }
+
+  if (subcommand === 'remove') {
+    const id = interaction.options.getInteger('id');
+    await interaction.reply({
+      content: alertEngine.remove(id, userId) ? `Alert #${id} removed.` : `You have no alert #${id}.`,
+      ephemeral: true,
+    });
+    return;
+  }
+
+  const deliveryType = interaction.options.getString('deliver') || 'channel';
+  const delivery = {
+    channel: { type: 'channel', channelId: interaction.channelId },
+    dm: { type: 'dm', userId },
+    webhook: { type: 'webhook', url: interaction.options.getString('webhook-url') },
+  }[deliveryType];
+
+  let alert;
+  try {
+    alert = alertEngine.add({
+      userId,
+      symbol: interaction.options.getString('symbol'),
+      type: interaction.options.getString('type'),
+      level: interaction.options.getNumber('level') ?? undefined,
+      percent: interaction.options.getNumber('percent') ?? undefined,
+      multiplier: interaction.options.getNumber('multiplier') ?? undefined,
+      windowMinutes: interaction.options.getInteger('window') ?? undefined,
+      cooldownMinutes: interaction.options.getInteger('cooldown') ?? undefined,
+      exchange: interaction.options.getString('exchange') ?? undefined,
+      delivery,
+    });
   } catch (error) {
-    console.error(`Error loading API keys from history: ${error.message}`);
+    await interaction.reply({ content: error.message, ephemeral: true });
+    return;
+  }
+
+  // Webhook URLs act as credentials, so the confirmation stays private
+  await interaction.reply({ content: `Alert added: ${formatAlert(alert)}`, ephemeral: true });
+}
+
+/**
+ * Handle the /onboarding slash command.
+ * @param {object} interaction - The chat input interaction.
+ */
+async function handleOnboardingCommand(interaction) {
+  const userId = interaction.user.id;
+
+  if (interaction.options.getSubcommand() === 'status') {
+    const onboarding = loadOnboarding(userId);
+    const keys = Object.entries(onboarding.keys || {}).map(([exchange, key]) =>
+      `${getExchangeProfile(exchange).label}: key ${key.status === 'passed' ? 'passed' : `failed (${key.problems.join(' ')})`}, checked ${key.checkedAt}`);
+    const terms = hasAcceptedTerms(onboarding)
+      ? `Risk terms accepted ${onboarding.terms.acceptedAt}.`
+      : 'Risk terms not accepted yet; `/onboarding verify` shows them.';
+    await interaction.reply({
+      content: [...(keys.length ? keys : ['No API key checked yet. Enter one with `/apikey`.']), terms].join('\n'),
+      ephemeral: true,
+    });
+    return;
+  }
+
+  const exchange = interaction.options.getString('exchange') || DEFAULT_EXCHANGE;
+  const credentials = getCredentials(userId, exchange);
+  if (!credentials) {
+    await interaction.reply({ content: `Set your ${getExchangeProfile(exchange).label} API credentials first using \`/apikey exchange:${exchange}\`.`, ephemeral: true });
+    return;
+  }
+
+  await interaction.deferReply({ ephemeral: true });
+  const audit = await auditApiKey(createExchange(exchange, credentials), { symbol: interaction.options.getString('symbol')?.toUpperCase() });
+  const onboarding = saveAudit(userId, exchange, credentials.apiKey, audit);
+  await interaction.editReply(buildOnboardingReply(audit, onboarding, exchange));
+}
+
+/**
+ * Handle a submitted API key modal. The key is audited before it is saved, and a key that
+ * fails, e.g. one allowed to withdraw, is never saved, leaving any saved key in place.
+ * @param {object} interaction - The modal submit interaction.
+ * @param {string} exchange - The exchange the key is for.
+ */
+async function handleApiKeySubmit(interaction, exchange) {
+  const userId = interaction.user.id;
+  const credentials = {
+    apiKey: interaction.fields.getTextInputValue('api_key').trim(),
+    apiSecret: interaction.fields.getTextInputValue('api_secret').trim(),
+  };
+
+  await interaction.deferReply({ ephemeral: true });
+  const audit = await auditApiKey(createExchange(exchange, credentials));
+  if (!audit.passed) {
+    await interaction.editReply(`${formatAudit(audit, getExchangeProfile(exchange).label)}\nYour credentials were **not** saved. Fix the key on the exchange, or create a new one, and enter it again with \`/apikey exchange:${exchange}\`.`);
+    return;
+  }
+
+  credentialStore.set(credentialKey(userId, exchange), credentials);
+  const reply = buildOnboardingReply(audit, saveAudit(userId, exchange, credentials.apiKey, audit), exchange);
+  await interaction.editReply({ ...reply, content: `${getExchangeProfile(exchange).label} API credentials saved (encrypted).\n${reply.content}` });
+}
+
+/**
+ * Handle the buttons under the risk terms.
+ * @param {object} interaction - The button interaction.
+ */
+async function handleOnboardingButton(interaction) {
+  const userId = interaction.user.id;
+  if (interaction.customId === 'onboarding_decline') {
+    await interaction.update({ content: 'You declined the risk terms, so live grids stay blocked. Paper trading still works; run `/onboarding verify` when you change your mind.', components: [] });
+    return;
+  }
+
+  const onboarding = acceptRiskTerms(loadOnboarding(userId));
+  onboardingStore(userId).save(onboarding);
+  const ready = Object.entries(onboarding.keys || {}).filter(([, key]) => key.status === 'passed').map(([exchange]) => exchange);
+  await interaction.update({
+    content: `Risk terms accepted. Onboarding is complete${ready.length ? ` for ${ready.map((exchange) => getExchangeProfile(exchange).label).join(', ')}` : ''}; start a grid with \`/grid start\`.`,
+    components: [],
+  });
+}
+
+// Describe when a grid's mute ends
+function formatMute(symbol, mutedUntil) {
+  return mutedUntil === Infinity
+    ? `${symbol} is muted until you unmute it.`
+    : `${symbol} is muted until <t:${Math.floor(mutedUntil / 1000)}:t>.`;
+}
+
+/**
+ * Handle the /notify slash command. Changed preferences apply to the user's running grids
+ * right away; mutes only last as long as the grid runs.
+ * @param {object} interaction - The chat input interaction.
+ */
+async function handleNotifyCommand(interaction) {
+  const userId = interaction.user.id;
+  const subcommand = interaction.options.getSubcommand();
+
+  if (subcommand === 'show' || subcommand === 'set') {
+    let preferences = loadNotifyPreferences(userId);
+    if (subcommand === 'set') {
+      const changes = Object.fromEntries(['channel', 'dm', 'digest']
+        .map((name) => [name, interaction.options.getString(name)])
+        .filter(([, value]) => value !== null));
+      preferences = { ...preferences, ...changes };
+      const problems = validatePreferences(preferences, ['channel', 'dm']);
+      if (problems.length) {
+        await interaction.reply({ content: problems.join('\n'), ephemeral: true });
+        return;
+      }
+      notifyStore(userId).save(preferences);
+      for (const session of sessions.listForUser(userId)) session.handle?.notifier.configure(preferences);
+    }
+
+    const muted = sessions.listForUser(userId)
+      .map((session) => [session.symbol, session.handle?.notifier.getMutedUntil()])
+      .filter(([, mutedUntil]) => mutedUntil)
+      .map(([symbol, mutedUntil]) => formatMute(symbol, mutedUntil));
+    await interaction.reply({ content: [`Notifications: ${formatPreferences(preferences)}.`, ...muted].join('\n'), ephemeral: true });
+    return;
+  }
+
+  const { session, error } = findSession(userId, interaction.options.getString('symbol'));
+  if (error || !session.handle) {
+    await interaction.reply({ content: error || `The grid on ${session.symbol} is still starting. Try again in a moment.`, ephemeral: true });
+    return;
   }
+
+  const { notifier } = session.handle;
+  if (subcommand === 'mute') {
+    notifier.mute(interaction.options.getInteger('minutes') ?? undefined);
+    await interaction.reply({ content: `${formatMute(session.symbol, notifier.getMutedUntil())} It keeps trading, critical events still come through, and the rest waits for the next digest.`, ephemeral: true });
+    return;
+  }
+
+  notifier.unmute();
+  await interaction.reply({ content: `${session.symbol} is no longer muted.`, ephemeral: true });
 }
 
 /**
  * Initialize the Discord bot and handle interactions.
  * @param {function} startGridBot - The function to start the grid trading bot.
+ * @param {object} [options] - Bot options.
+ * @param {object} [options.alertEngine] - The alert engine behind /alert; without it /alert is not offered.
  */
-function initializeDiscordBot(startGridBot) {
+function initializeDiscordBot(startGridBot, { alertEngine } = {}) {
+  credentialStore = createCredentialStore();
+
   client.once('ready', async () => {
     console.log(`Logged in as ${client.user.tag}!`);
     const guild = await client.guilds.fetch(GUILD_ID);
-    await loadApiKeysFromHistory(guild);
+    const offered = alertEngine ? commands : commands.filter((command) => command.name !== 'alert');
+    await guild.commands.set(offered.map((command) => command.toJSON()));
+    await removeLegacyApiKeyMessages(guild);
   });
 
-  // Event: Handle button interactions for creating private channels
+  // Event: Handle slash commands, modals and buttons
   client.on(Events.InteractionCreate, async (interaction) => {
+    if (interaction.isChatInputCommand() && interaction.commandName === 'apikey') {
+      await interaction.showModal(buildApiKeyModal(interaction.options.getString('exchange') ?? undefined));
+      return;
+    }
+
+    if (interaction.isChatInputCommand() && interaction.commandName === 'pnl') {
+      try {
+        await handlePnlCommand(interaction);
+      } catch (error) {
+        console.error(`Error handling /pnl: ${error.message}`);
+        const reply = { content: `Error: ${redact(error.message)}`, ephemeral: true };
+        await (interaction.deferred ? interaction.editReply(reply) : interaction.reply(reply));
+      }
+      return;
+    }
+
+    if (interaction.isChatInputCommand() && interaction.commandName === 'killswitch') {
+      try {
+        await handleKillSwitchCommand(interaction);
+      } catch (error) {
+        console.error(`Error handling /killswitch: ${error.message}`);
+        const reply = { content: `Error: ${redact(error.message)}`, ephemeral: true };
+        await (interaction.replied || interaction.deferred ? interaction.followUp(reply) : interaction.reply(reply));
+      }
+      return;
+    }
+
+    if (interaction.isChatInputCommand() && interaction.commandName === 'alert' && alertEngine) {
+      try {
+        await handleAlertCommand(interaction, alertEngine);
+      } catch (error) {
+        console.error(`Error handling /alert: ${error.message}`);
+        const reply = { content: `Error: ${redact(error.message)}`, ephemeral: true };
+        await (interaction.replied || interaction.deferred ? interaction.followUp(reply) : interaction.reply(reply));
+      }
+      return;
+    }
+
+    if (interaction.isChatInputCommand() && interaction.commandName === 'onboarding') {
+      try {
+        await handleOnboardingCommand(interaction);
+      } catch (error) {
+        console.error(`Error handling /onboarding: ${error.message}`);
+        const reply = { content: `Error: ${redact(error.message)}`, ephemeral: true };
+        await (interaction.replied || interaction.deferred ? interaction.followUp(reply) : interaction.reply(reply));
+      }
+      return;
+    }
+
+    if (interaction.isChatInputCommand() && interaction.commandName === 'notify') {
+      try {
+        await handleNotifyCommand(interaction);
+      } catch (error) {
+        console.error(`Error handling /notify: ${error.message}`);
+        const reply = { content: `Error: ${redact(error.message)}`, ephemeral: true };
+        await (interaction.replied || interaction.deferred ? interaction.followUp(reply) : interaction.reply(reply));
+      }
+      return;
+    }
+
+    if (interaction.isChatInputCommand() && interaction.commandName === 'grid') {
+      try {
+        await handleGridCommand(interaction, startGridBot);
+      } catch (error) {
+        console.error(`Error handling /grid: ${error.message}`);
+        const reply = { content: `Error: ${redact(error.message)}`, ephemeral: true };
+        await (interaction.replied || interaction.deferred ? interaction.followUp(reply) : interaction.reply(reply));
+      }
+      return;
+    }
+
+    if (interaction.isModalSubmit() && interaction.customId.startsWith('apikey_modal:')) {
+      try {
+        await handleApiKeySubmit(interaction, interaction.customId.slice('apikey_modal:'.length));
+      } catch (error) {
+        console.error(`Error checking API credentials: ${error.message}`);
+        const reply = { content: 'Error checking API credentials. They were not saved; please try again.', ephemeral: true };
+        await (interaction.deferred ? interaction.editReply(reply) : interaction.reply(reply));
+      }
+      return;
+    }
+
     if (!interaction.isButton()) return;
 
+    const panelButton = parsePanelButtonId(interaction.customId);
+    if (panelButton) {
+      try {
+        await handlePanelButton(interaction, panelButton);
+      } catch (error) {
+        console.error(`Error handling a status panel button: ${error.message}`);
+        const reply = { content: `Error: ${redact(error.message)}`, ephemeral: true };
+        await (interaction.replied || interaction.deferred ? interaction.followUp(reply) : interaction.reply(reply));
+      }
+      return;
+    }
+
+    if (interaction.customId === 'onboarding_accept' || interaction.customId === 'onboarding_decline') {
+      try {
+        await handleOnboardingButton(interaction);
+      } catch (error) {
+        console.error(`Error handling an onboarding button: ${error.message}`);
+        await interaction.reply({ content: `Error: ${redact(error.message)}`, ephemeral: true });
+      }
+      return;
+    }
+
+    if (interaction.customId === 'open_apikey_modal') {
+      await interaction.showModal(buildApiKeyModal());
+      return;
+    }
+
     if (interaction.customId === 'create_private_channel') {
       const guild = interaction.guild;
       const user = interaction.user;
@@ -92,12 +1177,24 @@ function initializeDiscordBot(startGridBot) {
           permissionOverwrites: [
             { id: guild.id, deny: [PermissionsBitField.Flags.ViewChannel] },
             { id: user.id, allow: [PermissionsBitField.Flags.ViewChannel, PermissionsBitField.Flags.SendMessages] },
-            { id: client.user.id, allow: [PermissionsBitField.Flags.ViewChannel, PermissionsBitField.Flags.SendMessages] },
+            { id: client.user.id, allow: [PermissionsBitField.Flags.ViewChannel, PermissionsBitField.Flags.SendMessages, PermissionsBitField.Flags.ManageMessages] },
           ],
         });
 
         await interaction.reply({ content: `Private channel created: ${channel}`, ephemeral: true });
-        await channel.send('Please provide your Binance API key and secret using `!setapikey <api_key> <api_secret>`.');
+        await channel.send({
+          content: [
+            `Welcome, ${user}! Before your first grid:`,
+            '1. Create a Binance API key with spot trading enabled and withdrawals **disabled**. Restricting it to the bot\'s IP is recommended.',
+            '2. Enter the key and secret with `/apikey` or the button below. Never paste them into the chat. The bot checks the key\'s permissions and shows your balances.',
+            '3. Read and accept the risk terms. Live grids can start once that is done; `/onboarding status` shows where you are.',
+          ].join('\n'),
+          components: [
+            new ActionRowBuilder().addComponents(
+              new ButtonBuilder().setCustomId('open_apikey_modal').setLabel('Enter API keys').setStyle(ButtonStyle.Primary),
+            ),
+          ],
+        });
       } catch (error) {
         console.error(`Error creating private channel: ${error.message}`);
         await interaction.reply({ content: 'Error creating private channel. Please try again.', ephemeral: true });
@@ -105,31 +1202,96 @@ function initializeDiscordBot(startGridBot) {
     }
   });
 
+  // Start a grid from a text command; the grid is reserved and launched like /grid start
+  async function startGridFromMessage(message, { symbol, paper, config, announcement }) {
+    try {
+      const { session, error } = reserveSession(message.author, message.channel, symbol, paper, config.exchange);
+      if (error) {
+        await message.reply(error);
+        return;
+      }
+
+      await message.reply(announcement);
+      if (!await launchSession(startGridBot, session, { paper, config })) {
+        await message.reply(`The grid on ${symbol} did not start.`);
+      }
+    } catch (error) {
+      console.error(`Error starting a grid on ${symbol} from a message: ${error.message}`);
+      await message.reply(`Error: ${redact(error.message)}`).catch(() => {});
+    }
+  }
+
   // Event: Handle messages for setting API keys and starting the grid bot
   client.on('messageCreate', async (message) => {
+    // Credentials must never sit in chat history; remove them and point to the modal
     if (message.content.startsWith('!setapikey')) {
-      const [_, apiKey, apiSecret] = message.content.split(' ');
+      try {
+        await message.delete();
+        await message.channel.send(`${message.author}, \`!setapikey\` is no longer supported and your message was deleted. Anyone who read it may have that key: delete it on the exchange now, create a new one and register it with \`/apikey\`.`);
+      } catch (error) {
+        console.error(`Error handling a !setapikey message: ${error.message}`);
+      }
+      return;
+    }
+
+    if (message.content.startsWith('!setpair')) {
+      const [_, pair, mode] = message.content.split(' ');
+      const paper = mode === 'paper';
+
+      if (!pair) {
+        message.reply('Usage: `!setpair <symbol> [paper]`, or use `/grid start`.');
+        return;
+      }
 
-      if (!apiKey || !apiSecret) {
-        message.reply('Usage: `!setapikey <api_key> <api_secret>`');
+      const symbol = pair.toUpperCase();
+      let config;
+      try {
+        config = resolveUserConfig(message.author.id, { symbol });
+      } catch (error) {
+        message.reply(error.message);
         return;
       }
 
-      userTradingData.set(message.author.id, { apiKey, apiSecret });
-      message.reply('API credentials set successfully. Now set the trading pair with `!setpair <symbol>`.');
+      await startGridFromMessage(message, {
+        symbol,
+        paper,
+        config,
+        announcement: `Trading pair set to ${symbol}. Starting the GridBot${paper ? ' in paper trading mode' : ''}...`,
+      });
     }
 
-    if (message.content.startsWith('!setpair')) {
-      const [_, symbol] = message.content.split(' ');
-      const userData = userTradingData.get(message.author.id);
+    if (message.content.startsWith('!setgrid')) {
+      const [_, pair, lower, upper, levels, ...options] = message.content.split(' ');
+      const paper = options.includes('paper');
+      const spacing = options.includes('geometric') ? 'geometric' : 'arithmetic';
+
+      if (!pair || !lower || !upper || !levels) {
+        message.reply('Usage: `!setgrid <symbol> <lower_price> <upper_price> <levels> [arithmetic|geometric] [paper]`');
+        return;
+      }
 
-      if (!userData) {
-        message.reply('Set your API credentials first using `!setapikey <api_key> <api_secret>`.');
+      const symbol = pair.toUpperCase();
+      let config;
+      try {
+        config = resolveUserConfig(message.author.id, {
+          symbol,
+          strategy: 'ladder',
+          lowerPrice: Number(lower),
+          upperPrice: Number(upper),
+          levels: Number(levels),
+          spacing,
+        });
+      } catch (error) {
+        message.reply(error.message);
         return;
       }
 
-      message.reply(`Trading pair set to ${symbol}. Starting the GridBot...`);
-      await startGridBot(userData.apiKey, userData.apiSecret, symbol, message.channel);
+      await startGridFromMessage(message, {
+        symbol,
+        paper,
+        config,
+        announcement: `Starting a ${levels}-level ${spacing} grid on ${symbol} from $${lower} to $${upper}${paper ? ' in paper trading mode' : ''}...`,
+      });
     }
   });
 
@@ -141,4 +1303,7 @@ function initializeDiscordBot(startGridBot) {
 module.exports = {
   initializeDiscordBot,
   sendMessageToChannel,
+  sendDirectMessage,
+  sendAlertMessage,
+  createApiController,
 };
@@ -0,0 +1,506 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const { registerSecret } = require('./redact');
+const { parseSymbolFilters, assertOrderFilters, formatQuantity, formatPrice } = require('./symbolfilters');
+
+const DEFAULT_RECV_WINDOW = 5000;
+const DEFAULT_MAX_RETRIES = 3;
+const RETRY_BASE_DELAY_MS = 1000;
+const TIME_SYNC_INTERVAL_MS = 30 * 60 * 1000;
+const DEFAULT_WEIGHT_LIMIT = 1200;
+const WEIGHT_SAFETY_MARGIN = 0.9;
+const PAIR_INFO_TTL_MS = 60 * 60 * 1000;
+
+// Request weight is counted per IP, so every client talking to the same host shares one budget.
+const weightUsage = new Map();
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Record the used weight reported by the exchange for a host.
+ * @param {string} baseUrl - The exchange host the response came from.
+ * @param {object} headers - The response headers.
+ */
+function recordWeight(baseUrl, headers = {}) {
+  const usedWeight = headers['x-mbx-used-weight-1m'] || headers['x-mbx-used-weight'];
+  if (usedWeight === undefined) return;
+
+  weightUsage.set(baseUrl, { usedWeight: parseInt(usedWeight, 10), minute: Math.floor(Date.now() / 60000) });
+}
+
+/**
+ * Get the last known used weight for a host in the current minute.
+ * @param {string} baseUrl - The exchange host.
+ * @returns {number} The used weight, or 0 if the minute has rolled over.
+ */
+function getUsedWeight(baseUrl) {
+  const usage = weightUsage.get(baseUrl);
+  if (!usage || usage.minute !== Math.floor(Date.now() / 60000)) return 0;
+  return usage.usedWeight;
+}
+
+/**
+ * Wait for the next weight window if the host is close to its per-minute limit.
+ * @param {string} baseUrl - The exchange host.
+ * @param {number} weightLimit - The host's request weight limit per minute.
+ */
+async function waitForWeight(baseUrl, weightLimit) {
+  if (getUsedWeight(baseUrl) < weightLimit * WEIGHT_SAFETY_MARGIN) return;
+
+  const waitMs = 60000 - (Date.now() % 60000);
+  console.warn(`[RATE LIMIT] Used weight ${getUsedWeight(baseUrl)} on ${baseUrl}. Waiting ${Math.ceil(waitMs / 1000)}s...`);
+  await sleep(waitMs);
+}
+
+// Requests that are safe to send twice
+const IDEMPOTENT_METHODS = ['GET', 'DELETE'];
+// Binance's client order ids: at most 36 of letters, digits and ._:/-
+const CLIENT_ORDER_ID_PREFIX = 'gk';
+
+// Whether the exchange may have acted on a failed request: the connection was lost or timed
+// out, or it answered 5xx, which Binance documents as "execution status unknown".
+function isOutcomeUnknown(error) {
+  return !error.response || error.response.status >= 500;
+}
+
+// 429 and 418 are rate-limit responses, so the exchange turned the request away and any
+// request can be resent. After an unknown outcome only idempotent requests are.
+function isRetryable(error, method) {
+  const status = error.response?.status;
+  if (status === 429 || status === 418) return true;
+  return isOutcomeUnknown(error) && IDEMPOTENT_METHODS.includes(method.toUpperCase());
+}
+
+// A client order id, fixed for every attempt at one order so the exchange can be asked for it
+function createClientOrderId() {
+  return `${CLIENT_ORDER_ID_PREFIX}-${Date.now().toString(36)}-${crypto.randomBytes(6).toString('hex')}`;
+}
+
+function getRetryDelay(error, attempt) {
+  const retryAfter = error.response?.headers?.['retry-after'];
+  if (retryAfter) return parseInt(retryAfter, 10) * 1000;
+  return RETRY_BASE_DELAY_MS * 2 ** attempt;
+}
+
+/**
+ * Create a client for a Binance-compatible spot API, bound to one set of API credentials.
+ * Use createExchange from ./exchanges, which fills in the hosts and quirks of each exchange.
+ * @param {object} options - Client options.
+ * @param {string} [options.apiKey] - The Binance API key (only needed for signed endpoints).
+ * @param {string} [options.apiSecret] - The Binance API secret (only needed for signed endpoints).
+ * @param {string} options.baseUrl - The REST API host.
+ * @param {string} options.streamUrl - The WebSocket stream host.
+ * @param {number} [options.weightLimit] - The host's request weight limit per minute.
+ * @param {object} [options.accountParams] - Extra parameters the host accepts on /api/v3/account.
+ * @param {string} [options.commissionEndpoint] - Where the host serves commission rates: 'account'
+ *   (/api/v3/account/commission) or 'trading-fee' (/sapi/v1/asset/query/trading-fee).
+ * @param {boolean} [options.apiRestrictions] - Whether the host serves the API key's own
+ *   permissions (/sapi/v1/account/apiRestrictions).
+ * @param {number} [options.recvWindow] - How long a signed request stays valid, in milliseconds.
+ * @param {number} [options.maxRetries] - How many times to retry a rate-limited or failed request;
+ *   orders are only resent after the exchange reports it does not have them.
+ * @returns {object} The exchange client.
+ */
+function createExchangeClient({
+  apiKey,
+  apiSecret,
+  baseUrl,
+  streamUrl,
+  weightLimit = DEFAULT_WEIGHT_LIMIT,
+  accountParams = {},
+  commissionEndpoint = 'account',
+  apiRestrictions = true,
+  recvWindow = DEFAULT_RECV_WINDOW,
+  maxRetries = DEFAULT_MAX_RETRIES,
+}) {
+  if (!baseUrl || !streamUrl) throw new Error('An exchange client needs a baseUrl and a streamUrl.');
+
+  let timeOffset = 0;
+  let lastTimeSync = 0;
+  // Filters rarely change, and every order is checked against them before it is sent
+  const pairInfoCache = new Map();
+  registerSecret(apiKey);
+  registerSecret(apiSecret);
+
+  // Generate HMAC SHA256 signature
+  function generateSignature(queryString) {
+    return crypto.createHmac('sha256', apiSecret).update(queryString).digest('hex');
+  }
+
+  // Send a request, retrying rate-limited and transient failures with backoff.
+  // buildConfig is called per attempt so signed requests get a fresh timestamp.
+  async function send(buildConfig) {
+    for (let attempt = 0; ; attempt++) {
+      await waitForWeight(baseUrl, weightLimit);
+
+      const config = buildConfig();
+      try {
+        const response = await axios(config);
+        recordWeight(baseUrl, response.headers);
+        return response.data;
+      } catch (error) {
+        if (error.response) recordWeight(baseUrl, error.response.headers);
+
+        if (attempt >= maxRetries || !isRetryable(error, config.method)) {
+          if (attempt > 0) error.retried = true;
+          throw error;
+        }
+
+        const delay = getRetryDelay(error, attempt);
+        console.warn(`[RETRY] ${error.response?.status || error.message}. Retrying in ${delay}ms (attempt ${attempt + 1}/${maxRetries})...`);
+        await sleep(delay);
+      }
+    }
+  }
+
+  // Send an unsigned request
+  async function publicRequest(endpoint, params = {}) {
+    try {
+      return await send(() => ({ method: 'GET', url: `${baseUrl}${endpoint}`, params }));
+    } catch (error) {
+      console.error('API Error:', error.response?.data || error.message);
+      throw error;
+    }
+  }
+
+  // Send a request that needs the API key but no signature (user data stream endpoints)
+  async function apiKeyRequest(endpoint, method, params = {}) {
+    if (!apiKey) {
+      throw new Error('API key is required for user data streams.');
+    }
+
+    try {
+      return await send(() => ({ method, url: `${baseUrl}${endpoint}`, params, headers: { 'X-MBX-APIKEY': apiKey } }));
+    } catch (error) {
+      console.error('API Error:', error.response?.data || error.message);
+      throw error;
+    }
+  }
+
+  // Align the request timestamp with the exchange clock
+  async function syncServerTime() {
+    const requestedAt = Date.now();
+    const { serverTime } = await publicRequest('/api/v3/time');
+    const respondedAt = Date.now();
+
+    timeOffset = serverTime - Math.round((requestedAt + respondedAt) / 2);
+    lastTimeSync = respondedAt;
+    return timeOffset;
+  }
+
+  // Create a signed request
+  async function signedRequest(endpoint, method, params = {}) {
+    if (!apiKey || !apiSecret) {
+      throw new Error('API key and secret are required for signed requests.');
+    }
+
+    if (Date.now() - lastTimeSync > TIME_SYNC_INTERVAL_MS) {
+      await syncServerTime();
+    }
+
+    const buildConfig = () => {
+      const queryString = new URLSearchParams({ ...params, recvWindow, timestamp: Date.now() + timeOffset }).toString();
+      const signature = generateSignature(queryString);
+
+      return {
+        method,
+        url: `${baseUrl}${endpoint}?${queryString}&signature=${signature}`,
+        headers: {
+          'X-MBX-APIKEY': apiKey,
+        },
+      };
+    };
+
+    try {
+      return await send(buildConfig);
+    } catch (error) {
+      // -1021: timestamp outside recvWindow, so the local clock drifted since the last sync.
+      if (error.response?.data?.code === -1021) {
+        await syncServerTime();
+        return await send(buildConfig);
+      }
+
+      console.error('API Error:', error.response?.data || error.message);
+      throw error;
+    }
+  }
+
+  // Fetch current price
+  async function getCurrentPrice(symbol) {
+    const data = await publicRequest('/api/v3/ticker/price', { symbol });
+    return parseFloat(data.price);
+  }
+
+  // Fetch klines, oldest first, as { time, open, high, low, close, volume, closeTime }
+  async function getKlines(symbol, { interval = '1m', startTime, endTime, limit = 500 } = {}) {
+    const params = { symbol, interval, limit };
+    if (startTime !== undefined) params.startTime = startTime;
+    if (endTime !== undefined) params.endTime = endTime;
+    const klines = await publicRequest('/api/v3/klines', params);
+    return klines.map(([time, open, high, low, close, volume, closeTime]) => ({
+      time,
+      open: parseFloat(open),
+      high: parseFloat(high),
+      low: parseFloat(low),
+      close: parseFloat(close),
+      volume: parseFloat(volume),
+      closeTime,
+    }));
+  }
+
+  // Fetch trading pair info (to get filters), cached for an hour
+  async function getTradingPairInfo(symbol) {
+    const cached = pairInfoCache.get(symbol);
+    if (cached && Date.now() - cached.fetchedAt < PAIR_INFO_TTL_MS) return cached.filters;
+
+    const data = await publicRequest('/api/v3/exchangeInfo', { symbol });
+    const pair = data.symbols.find((s) => s.symbol === symbol);
+
+    if (!pair) {
+      throw new Error(`Trading pair ${symbol} not found.`);
+    }
+
+    const filters = parseSymbolFilters(pair);
+    pairInfoCache.set(symbol, { filters, fetchedAt: Date.now() });
+    return filters;
+  }
+
+  // Fetch the account's non-zero balances by asset
+  async function getBalances() {
+    const { balances } = await signedRequest('/api/v3/account', 'GET', accountParams);
+    return Object.fromEntries(balances
+      .map(({ asset, free, locked }) => [asset, { free: parseFloat(free), locked: parseFloat(locked) }])
+      .filter(([, { free, locked }]) => free > 0 || locked > 0));
+  }
+
+  // Fetch what the account may do, and the account types (e.g. SPOT) it is permitted to trade
+  async function getAccountStatus() {
+    const { canTrade, canWithdraw, canDeposit, accountType, permissions = [] } = await signedRequest('/api/v3/account', 'GET', accountParams);
+    return { canTrade, canWithdraw, canDeposit, accountType, permissions };
+  }
+
+  // Fetch the permissions set on the API key itself, or null where the host does not serve them
+  async function getApiKeyRestrictions() {
+    if (!apiRestrictions) return null;
+    const restrictions = await signedRequest('/sapi/v1/account/apiRestrictions', 'GET');
+    return {
+      ipRestrict: restrictions.ipRestrict,
+      reading: restrictions.enableReading,
+      spotTrading: restrictions.enableSpotAndMarginTrading,
+      withdrawals: restrictions.enableWithdrawals,
+      internalTransfer: restrictions.enableInternalTransfer,
+      universalTransfer: restrictions.permitsUniversalTransfer,
+    };
+  }
+
+  // Fetch the account's commission rates for a symbol as fractions (0.001 is 0.1%), with the
+  // asset that pays fees at a discount when the account has it enabled
+  async function getCommissionRates(symbol) {
+    if (commissionEndpoint === 'trading-fee') {
+      const [fee] = await signedRequest('/sapi/v1/asset/query/trading-fee', 'GET', { symbol });
+      if (!fee) throw new Error(`No trading fee returned for ${symbol}.`);
+      return { maker: parseFloat(fee.makerCommission), taker: parseFloat(fee.takerCommission) };
+    }
+
+    // Buyer and seller commissions come on top of maker and taker; a fill pays one of each
+    const { standardCommission, taxCommission = {}, discount } = await signedRequest('/api/v3/account/commission', 'GET', { symbol });
+    const rate = (key) => parseFloat(standardCommission[key] || 0) + parseFloat(taxCommission[key] || 0);
+    const extra = Math.max(rate('buyer'), rate('seller'));
+    return {
+      maker: rate('maker') + extra,
+      taker: rate('taker') + extra,
+      discountAsset: discount?.enabledForAccount && discount.enabledForSymbol ? discount.discountAsset : undefined,
+    };
+  }
+
+  // Fetch all open orders for a symbol
+  async function fetchActiveOrders(symbol) {
+    const orders = await signedRequest('/api/v3/openOrders', 'GET', { symbol });
+    return orders.map((order) => ({
+      orderId: order.orderId,
+      side: order.side,
+      price: parseFloat(order.price),
+      quantity: parseFloat(order.origQty),
+    }));
+  }
+
+  // Fetch orders of every status, starting from an order id
+  async function fetchAllOrders(symbol, { orderId, limit = 1000 } = {}) {
+    const params = { symbol, limit };
+    if (orderId !== undefined) params.orderId = orderId;
+    return await signedRequest('/api/v3/allOrders', 'GET', params);
+  }
+
+  // Fetch account trades, optionally only those of one order
+  async function fetchMyTrades(symbol, { orderId, limit = 1000 } = {}) {
+    const params = { symbol, limit };
+    if (orderId !== undefined) params.orderId = orderId;
+    return await signedRequest('/api/v3/myTrades', 'GET', params);
+  }
+
+  // Find an order by its client order id, or null if the exchange has no such order
+  async function findOrderByClientId(symbol, clientOrderId) {
+    try {
+      return await signedRequest('/api/v3/order', 'GET', { symbol, origClientOrderId: clientOrderId });
+    } catch (error) {
+      // -2013: order does not exist
+      if (error.response?.data?.code === -2013) return null;
+      throw error;
+    }
+  }
+
+  // Send a new order with a client order id. When the outcome of the request is unknown, the
+  // order is looked up by that id and only resent if the exchange does not have it, so a lost
+  // response never places an order twice. Returns the exchange's order.
+  async function sendOrder(params) {
+    const order = { ...params, newClientOrderId: createClientOrderId() };
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await signedRequest('/api/v3/order', 'POST', order);
+      } catch (error) {
+        if (attempt >= maxRetries || !isOutcomeUnknown(error)) throw error;
+
+        // The request may still be on its way. Once its recvWindow has passed the exchange
+        // rejects it on arrival, so a lookup after that tells for good whether it was placed.
+        const delay = Math.max(getRetryDelay(error, attempt), recvWindow);
+        console.warn(`[RETRY] Outcome of order ${order.newClientOrderId} unknown. Looking it up in ${delay}ms (attempt ${attempt + 1}/${maxRetries})...`);
+        await sleep(delay);
+
+        let existing;
+        try {
+          existing = await findOrderByClientId(order.symbol, order.newClientOrderId);
+        } catch {
+          // Without knowing whether the order exists, resending could duplicate it
+          throw error;
+        }
+        if (existing) return existing;
+        console.warn(`[RETRY] Order ${order.newClientOrderId} was not placed. Resending...`);
+      }
+    }
+  }
+
+  // Add what the pair's MAX_NUM_ORDERS and MAX_POSITION filters are checked against, counted
+  // on the account as a whole, since other grids and manual orders use up the same limits
+  async function withAccountContext(symbol, side, filters, context) {
+    const needsOrders = filters.maxNumOrders && context.openOrders === undefined;
+    const needsPosition = filters.maxPosition && side === 'BUY' && context.position === undefined;
+    if (!needsOrders && !needsPosition) return context;
+
+    const openOrders = await fetchActiveOrders(symbol);
+    const full = { ...context, openOrders: context.openOrders ?? openOrders.length };
+    if (needsPosition) {
+      const held = (await getBalances())[filters.baseAsset] || { free: 0, locked: 0 };
+      const openBuys = openOrders.filter((order) => order.side === 'BUY').reduce((sum, order) => sum + order.quantity, 0);
+      full.position = held.free + held.locked + openBuys;
+    }
+    return full;
+  }
+
+  // Place a LIMIT order. It is checked against the pair's filters first, so an order the
+  // exchange would reject is never sent; context.currentPrice enables the PERCENT_PRICE check.
+  async function placeSpotOrder(symbol, side, quantity, price, context = {}) {
+    const filters = await getTradingPairInfo(symbol);
+    assertOrderFilters(filters, { side, quantity, price }, await withAccountContext(symbol, side, filters, context));
+
+    const result = await sendOrder({
+      symbol,
+      side,
+      type: 'LIMIT',
+      timeInForce: 'GTC',
+      quantity: formatQuantity(quantity, filters),
+      price: formatPrice(price, filters),
+    });
+    return { orderId: result.orderId, quantity, price };
+  }
+
+  // Place a MARKET order, which fills at once against the book. context.currentPrice values
+  // it for the notional check. Returns the order with its average fill price, status and
+  // executed quantity.
+  async function placeMarketOrder(symbol, side, quantity, context = {}) {
+    const filters = await getTradingPairInfo(symbol);
+    assertOrderFilters(filters, { side, quantity, type: 'MARKET' }, await withAccountContext(symbol, side, filters, context));
+
+    const result = await sendOrder({
+      symbol,
+      side,
+      type: 'MARKET',
+      quantity: formatQuantity(quantity, filters, 'MARKET'),
+      newOrderRespType: 'RESULT',
+    });
+    const executedQty = parseFloat(result.executedQty);
+    return {
+      orderId: result.orderId,
+      quantity,
+      price: executedQty > 0 ? parseFloat(result.cummulativeQuoteQty) / executedQty : context.currentPrice,
+      status: result.status,
+      executedQty,
+    };
+  }
+
+  // Check order status
+  async function checkOrderStatus(symbol, orderId) {
+    return await signedRequest('/api/v3/order', 'GET', { symbol, orderId });
+  }
+
+  // Cancel an open order
+  async function cancelOrder(symbol, orderId) {
+    try {
+      return await signedRequest('/api/v3/order', 'DELETE', { symbol, orderId });
+    } catch (error) {
+      // -2011: unknown order. When the cancel was resent after a lost response, the first
+      // attempt may have canceled it already.
+      if (!error.retried || error.response?.data?.code !== -2011) throw error;
+      const order = await checkOrderStatus(symbol, orderId);
+      if (order.status !== 'CANCELED') throw error;
+      return order;
+    }
+  }
+
+  // Open a user data stream and return its listen key
+  async function createListenKey() {
+    const { listenKey } = await apiKeyRequest('/api/v3/userDataStream', 'POST');
+    return listenKey;
+  }
+
+  // Keep a user data stream alive; listen keys expire after 60 minutes without this
+  async function keepAliveListenKey(listenKey) {
+    await apiKeyRequest('/api/v3/userDataStream', 'PUT', { listenKey });
+  }
+
+  // Close a user data stream
+  async function closeListenKey(listenKey) {
+    await apiKeyRequest('/api/v3/userDataStream', 'DELETE', { listenKey });
+  }
+
+  return {
+    baseUrl,
+    streamUrl,
+    syncServerTime,
+    publicRequest,
+    signedRequest,
+    getCurrentPrice,
+    getKlines,
+    getTradingPairInfo,
+    getBalances,
+    getAccountStatus,
+    getApiKeyRestrictions,
+    getCommissionRates,
+    fetchActiveOrders,
+    fetchAllOrders,
+    fetchMyTrades,
+    placeSpotOrder,
+    placeMarketOrder,
+    checkOrderStatus,
+    cancelOrder,
+    createListenKey,
+    keepAliveListenKey,
+    closeListenKey,
+    getUsedWeight: () => getUsedWeight(baseUrl),
+  };
+}
+
+module.exports = {
+  createExchangeClient,
+};
@@ -0,0 +1,102 @@
+const { createExchangeClient } = require('./exchangeclient');
+
+// Grids on Binance US kept their state and ledgers under bare keys before other exchanges existed
+const LEGACY_EXCHANGE = 'binance-us';
+
+// The exchanges a grid can trade on. They all speak Binance's spot API; what differs between
+// them is kept here so nothing outside the adapter needs to know which one it talks to.
+const EXCHANGES = {
+  'binance-us': {
+    label: 'Binance US',
+    baseUrl: 'https://api.binance.us',
+    streamUrl: 'wss://stream.binance.us:9443',
+    weightLimit: 1200,
+    // Binance US has no /api/v3/account/commission; its rates come from a SAPI endpoint
+    commissionEndpoint: 'trading-fee',
+  },
+  binance: {
+    label: 'Binance.com',
+    baseUrl: 'https://api.binance.com',
+    streamUrl: 'wss://stream.binance.com:9443',
+    weightLimit: 6000,
+    // Binance.com can leave empty balances out of /api/v3/account; Binance US does not know the parameter
+    accountParams: { omitZeroBalances: true },
+  },
+  'binance-testnet': {
+    label: 'Binance Spot Testnet',
+    baseUrl: 'https://testnet.binance.vision',
+    streamUrl: 'wss://stream.testnet.binance.vision',
+    weightLimit: 6000,
+    accountParams: { omitZeroBalances: true },
+    // The testnet has no SAPI endpoints, so its keys' permissions cannot be read
+    apiRestrictions: false,
+    testnet: true,
+  },
+};
+
+const EXCHANGE_NAMES = Object.keys(EXCHANGES);
+const DEFAULT_EXCHANGE = process.env.EXCHANGE || LEGACY_EXCHANGE;
+
+/**
+ * Look up an exchange by name.
+ * @param {string} name - One of EXCHANGE_NAMES.
+ * @returns {object} The exchange profile, with its name.
+ * @throws {Error} If the exchange is unknown.
+ */
+function getExchangeProfile(name) {
+  const profile = EXCHANGES[name];
+  if (!profile) throw new Error(`Unknown exchange "${name}". Use one of ${EXCHANGE_NAMES.join(', ')}.`);
+  return { name, ...profile };
+}
+
+/**
+ * Create the adapter for an exchange. Every adapter, like the paper exchange, provides
+ * getCurrentPrice, getTradingPairInfo, getBalances, getCommissionRates, placeSpotOrder,
+ * placeMarketOrder, cancelOrder, checkOrderStatus, fetchActiveOrders, fetchAllOrders and
+ * fetchMyTrades, plus streamUrl and the listen key methods the user data stream needs. Grids
+ * only ever use these; exchange adapters also offer getAccountStatus and getApiKeyRestrictions
+ * for onboarding.
+ * @param {string} [name] - The exchange (default: EXCHANGE, or binance-us).
+ * @param {object} [credentials] - { apiKey, apiSecret }; public market data needs none.
+ * @returns {object} The exchange adapter, with `exchange` set to its name.
+ */
+function createExchange(name = DEFAULT_EXCHANGE, { apiKey, apiSecret } = {}) {
+  const { label, baseUrl, streamUrl, weightLimit, accountParams, commissionEndpoint, apiRestrictions, testnet = false } = getExchangeProfile(name);
+  const client = createExchangeClient({ apiKey, apiSecret, baseUrl, streamUrl, weightLimit, accountParams, commissionEndpoint, apiRestrictions });
+  return { ...client, exchange: name, label, testnet };
+}
+
+/**
+ * Build the key a grid's state store and trade ledger are saved under. Keys include the
+ * exchange, so a testnet grid never reconciles against orders on a live account.
+ * @param {string} owner - Who runs the grid: a Discord user id, or 'cli'.
+ * @param {string} symbol - The trading pair.
+ * @param {string} [exchange] - The exchange.
+ * @returns {string} The key.
+ */
+function gridKey(owner, symbol, exchange = DEFAULT_EXCHANGE) {
+  return exchange === LEGACY_EXCHANGE ? `${owner}-${symbol}` : `${owner}-${exchange}-${symbol}`;
+}
+
+/**
+ * Split a key from gridKey back into its exchange and symbol.
+ * @param {string} key - The key.
+ * @param {string} owner - The owner the key was built with.
+ * @returns {object} { exchange, symbol }.
+ */
+function parseGridKey(key, owner) {
+  const rest = key.slice(owner.length + 1);
+  const separator = rest.lastIndexOf('-');
+  return separator === -1
+    ? { exchange: LEGACY_EXCHANGE, symbol: rest }
+    : { exchange: rest.slice(0, separator), symbol: rest.slice(separator + 1) };
+}
+
+module.exports = {
+  EXCHANGE_NAMES,
+  DEFAULT_EXCHANGE,
+  getExchangeProfile,
+  createExchange,
+  gridKey,
+  parseGridKey,
+};
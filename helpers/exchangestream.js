@@ -0,0 +1,164 @@
+const EventEmitter = require('events');
+const WebSocket = require('ws');
+
+const RECONNECT_BASE_DELAY_MS = 1000;
+const RECONNECT_MAX_DELAY_MS = 60 * 1000;
+const LISTEN_KEY_KEEPALIVE_MS = 30 * 60 * 1000;
+
+/**
+ * Keep a WebSocket connected, reconnecting with backoff whenever it drops.
+ * Emits 'status' (true/false) on connect and disconnect and 'message' with each parsed payload.
+ * @param {function} getUrl - Resolves to the URL to connect to; called on every (re)connect.
+ * @returns {EventEmitter} The connection, with close() and reconnect() methods.
+ */
+function createReconnectingSocket(getUrl) {
+  const emitter = new EventEmitter();
+  let socket = null;
+  let closed = false;
+  let attempts = 0;
+  let reconnectTimer = null;
+
+  function scheduleReconnect() {
+    if (closed) return;
+    const delay = Math.min(RECONNECT_BASE_DELAY_MS * 2 ** attempts++, RECONNECT_MAX_DELAY_MS);
+    reconnectTimer = setTimeout(connect, delay);
+  }
+
+  async function connect() {
+    let url;
+    try {
+      url = await getUrl();
+    } catch (error) {
+      emitter.emit('error', error);
+      scheduleReconnect();
+      return;
+    }
+    if (closed) return;
+
+    socket = new WebSocket(url);
+
+    socket.on('open', () => {
+      attempts = 0;
+      emitter.emit('status', true);
+    });
+
+    socket.on('message', (data) => {
+      try {
+        emitter.emit('message', JSON.parse(data));
+      } catch (error) {
+        emitter.emit('error', error);
+      }
+    });
+
+    socket.on('error', (error) => emitter.emit('error', error));
+
+    socket.on('close', () => {
+      emitter.emit('status', false);
+      scheduleReconnect();
+    });
+  }
+
+  emitter.close = () => {
+    closed = true;
+    clearTimeout(reconnectTimer);
+    if (socket) socket.close();
+  };
+
+  // Drop the current connection; the close handler reconnects
+  emitter.reconnect = () => {
+    if (socket) socket.terminate();
+  };
+
+  connect();
+  return emitter;
+}
+
+/**
+ * Stream live prices for one or more symbols from the trade and bookTicker streams.
+ * Emits 'price' ({ symbol, price, time }), 'book' ({ symbol, bid, ask }), 'status' and 'error'.
+ * @param {object} options - Stream options.
+ * @param {string[]} options.symbols - The trading pairs to watch.
+ * @param {string} options.streamUrl - The WebSocket stream host.
+ * @returns {EventEmitter} The stream, with a close() method.
+ */
+function createMarketStream({ symbols, streamUrl }) {
+  const streams = symbols.flatMap((symbol) => [`${symbol.toLowerCase()}@trade`, `${symbol.toLowerCase()}@bookTicker`]);
+  const socket = createReconnectingSocket(() => `${streamUrl}/stream?streams=${streams.join('/')}`);
+  const emitter = new EventEmitter();
+
+  socket.on('message', ({ stream, data }) => {
+    if (stream.endsWith('@trade')) {
+      emitter.emit('price', { symbol: data.s, price: parseFloat(data.p), time: data.T });
+    } else if (stream.endsWith('@bookTicker')) {
+      emitter.emit('book', { symbol: data.s, bid: parseFloat(data.b), ask: parseFloat(data.a) });
+    }
+  });
+  socket.on('status', (connected) => emitter.emit('status', connected));
+  socket.on('error', (error) => emitter.emit('error', error));
+
+  emitter.close = () => socket.close();
+  return emitter;
+}
+
+/**
+ * Stream order updates for an account through a listen key, kept alive every 30 minutes.
+ * Emits 'executionReport' with the parsed order update, 'status' and 'error'.
+ * @param {object} client - An exchange client with API credentials.
+ * @returns {EventEmitter} The stream, with a close() method.
+ */
+function createUserDataStream(client) {
+  const emitter = new EventEmitter();
+  let listenKey = null;
+
+  // A fresh listen key on every connect also covers listenKeyExpired disconnects
+  const socket = createReconnectingSocket(async () => {
+    listenKey = await client.createListenKey();
+    return `${client.streamUrl}/ws/${listenKey}`;
+  });
+
+  const keepAlive = setInterval(async () => {
+    if (!listenKey) return;
+    try {
+      await client.keepAliveListenKey(listenKey);
+    } catch (error) {
+      emitter.emit('error', error);
+    }
+  }, LISTEN_KEY_KEEPALIVE_MS);
+
+  socket.on('message', (event) => {
+    if (event.e === 'executionReport') {
+      emitter.emit('executionReport', {
+        symbol: event.s,
+        orderId: event.i,
+        side: event.S,
+        type: event.o,
+        status: event.X,
+        executionType: event.x,
+        price: parseFloat(event.p),
+        quantity: parseFloat(event.q),
+        executedQty: parseFloat(event.z),
+        lastExecutedQty: parseFloat(event.l),
+        lastExecutedPrice: parseFloat(event.L),
+        commission: parseFloat(event.n),
+        commissionAsset: event.N,
+        time: event.T,
+      });
+    } else if (event.e === 'listenKeyExpired') {
+      socket.reconnect();
+    }
+  });
+  socket.on('status', (connected) => emitter.emit('status', connected));
+  socket.on('error', (error) => emitter.emit('error', error));
+
+  emitter.close = () => {
+    clearInterval(keepAlive);
+    socket.close();
+    if (listenKey) client.closeListenKey(listenKey).catch(() => {});
+  };
+  return emitter;
+}
+
+module.exports = {
+  createMarketStream,
+  createUserDataStream,
+};
@@ -0,0 +1,108 @@
+const { adjustPrice, roundToStep, compareDecimal } = require('./symbolfilters');
+
+// Binance's standard spot rate, assumed when the account's own rates cannot be fetched
+const FALLBACK_RATE = 0.001;
+
+/**
+ * Work out what a grid pays per fill on a pair: the account's commission rates, and whether
+ * commissions come out of the received asset or are paid in another one (BNB, or the quote
+ * asset on the paper exchange). BNB only pays the fee while the account holds some.
+ * @param {object} exchange - An exchange client or paper exchange with getCommissionRates.
+ * @param {string} symbol - The trading pair.
+ * @returns {Promise<object>} { maker, taker, rate, feeAsset }; rate is the larger of the two,
+ *   and feeAsset is null when fees are taken from the received asset.
+ */
+async function loadFeeSchedule(exchange, symbol) {
+  const { maker, taker, feeAsset, discountAsset } = await exchange.getCommissionRates(symbol);
+  let paidIn = feeAsset ?? null;
+
+  if (!paidIn && discountAsset) {
+    const balances = await exchange.getBalances();
+    if (balances[discountAsset]?.free > 0) paidIn = discountAsset;
+  }
+  return { maker, taker, rate: Math.max(maker, taker), feeAsset: paidIn };
+}
+
+/**
+ * The schedule a grid falls back to when the account's rates cannot be fetched: the standard
+ * rate, taken from the received asset, which never oversells.
+ * @returns {object} A fee schedule like loadFeeSchedule's.
+ */
+function fallbackFeeSchedule() {
+  return { maker: FALLBACK_RATE, taker: FALLBACK_RATE, rate: FALLBACK_RATE, feeAsset: null, fallback: true };
+}
+
+/**
+ * Describe a fee schedule on one line.
+ * @param {object} fees - A fee schedule.
+ * @returns {string} The description.
+ */
+function describeFeeSchedule(fees) {
+  const percent = (rate) => `${Number((rate * 100).toFixed(4))}%`;
+  const source = fees.fallback ? 'Could not fetch the account\'s commission rates; assuming' : 'Commission';
+  const paidIn = fees.feeAsset ? `paid in ${fees.feeAsset}` : 'taken from the received asset';
+  return `${source} maker ${percent(fees.maker)}, taker ${percent(fees.taker)}, ${paidIn}. Take-profits count ${percent(fees.rate)} on each leg.`;
+}
+
+/**
+ * How much of a bought quantity can be sold again: all of it when fees are paid in another
+ * asset, otherwise what is left after the fee, rounded down to the lot size.
+ * @param {number} quantity - The bought quantity.
+ * @param {object} filters - The pair's filters.
+ * @param {object} [fees] - A fee schedule; without one no fees are counted.
+ * @returns {number} The sellable quantity.
+ */
+function sellableQuantity(quantity, filters, fees) {
+  if (!fees || fees.feeAsset) return quantity;
+  return Number(roundToStep(quantity * (1 - fees.rate), filters.stepSize, 'floor'));
+}
+
+/**
+ * Plan the take-profit sell for a filled buy. The sell quantity is what the buy left after
+ * fees, rounded down to the lot size, so the sell never needs more than the account received.
+ * With netProfitPercent, the sell price is the lowest tick that earns that much after the
+ * fees of both legs; otherwise it is the buy price times takeProfit.
+ * @param {object} options - Take-profit options.
+ * @param {number} options.price - The buy price.
+ * @param {number} options.quantity - The bought quantity.
+ * @param {object} options.filters - The pair's filters.
+ * @param {object} [options.fees] - A fee schedule; without one no fees are counted.
+ * @param {number} [options.takeProfit] - Sell price as a multiple of the buy price.
+ * @param {number} [options.netProfitPercent] - Net profit per cycle (in %) to price the sell for.
+ * @returns {object} { quantity, price, netProfit, netProfitPercent } of the sell; netProfit is
+ *   in the quote asset, for the sold quantity.
+ */
+function planTakeProfit({ price, quantity, filters, fees, takeProfit, netProfitPercent }) {
+  const rate = fees ? fees.rate : 0;
+  const paidFromBase = Boolean(fees) && !fees.feeAsset;
+
+  // Fees taken from the bought asset shrink what can be sold; fees paid otherwise add to the cost
+  const received = paidFromBase ? quantity * (1 - rate) : quantity;
+  const sellQuantity = sellableQuantity(quantity, filters, fees);
+  const unitCost = (price * quantity * (paidFromBase ? 1 : 1 + rate)) / received;
+
+  let sellPrice;
+  if (netProfitPercent !== undefined) {
+    const target = (unitCost * (1 + netProfitPercent / 100)) / (1 - rate);
+    sellPrice = Number(roundToStep(target, filters.tickSize, 'ceil'));
+    if (compareDecimal(sellPrice, filters.minPrice) < 0) sellPrice = filters.minPrice;
+  } else {
+    sellPrice = adjustPrice(price * takeProfit, filters.tickSize, filters.minPrice);
+  }
+
+  const netProfit = sellQuantity * (sellPrice * (1 - rate) - unitCost);
+  return {
+    quantity: sellQuantity,
+    price: sellPrice,
+    netProfit,
+    netProfitPercent: (netProfit / (sellQuantity * unitCost)) * 100,
+  };
+}
+
+module.exports = {
+  loadFeeSchedule,
+  fallbackFeeSchedule,
+  describeFeeSchedule,
+  sellableQuantity,
+  planTakeProfit,
+};
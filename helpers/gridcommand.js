@@ -0,0 +1,334 @@
+const { createExchange, getExchangeProfile, gridKey } = require('./exchanges');
+const { createPaperExchange } = require('./paperexchange');
+const { loadConfigFile, resolveGridConfig, validateConfigForPair, createStrategyFromConfig, getRiskLimits, getAdaptiveSettings } = require('./gridconfig');
+const { createGridEngine } = require('./gridengine');
+const { createRiskManager } = require('./riskmanager');
+const { getKillSwitch, formatKillSwitch } = require('./killswitch');
+const { createStateStore } = require('./statestore');
+const { createTradeLedger } = require('./tradeledger');
+const { formatReconciliationReport } = require('./reconciler');
+const { startGridRunner } = require('./gridrunner');
+const { startAdaptiveSpacing } = require('./adaptivespacing');
+const { startApiServer } = require('./apiserver');
+const { createNotifier, createWebhookTarget, validatePreferences } = require('./notifier');
+
+// Flags of `gridkyc grid start`, for parseArgs
+const GRID_OPTIONS = {
+  paper: { type: 'boolean', default: false },
+  config: { type: 'string' },
+  nobuys: { type: 'boolean' },
+  adaptive: { type: 'boolean' },
+  strategy: { type: 'string' },
+  drop: { type: 'string' },
+  rise: { type: 'string' },
+  investment: { type: 'string' },
+  'buy-offset': { type: 'string' },
+  'take-profit': { type: 'string' },
+  'net-profit': { type: 'string' },
+  exit: { type: 'string' },
+  trail: { type: 'string' },
+  'exit-levels': { type: 'string' },
+  'exit-step': { type: 'string' },
+  lower: { type: 'string' },
+  upper: { type: 'string' },
+  levels: { type: 'string' },
+  spacing: { type: 'string' },
+  interval: { type: 'string' },
+  'cancel-policy': { type: 'string' },
+  'max-capital': { type: 'string' },
+  'max-open-buys': { type: 'string' },
+  'max-inventory': { type: 'string' },
+  'stop-loss': { type: 'string' },
+  'max-drawdown': { type: 'string' },
+  'daily-loss-limit': { type: 'string' },
+  'risk-exit': { type: 'string' },
+  'api-port': { type: 'string', default: process.env.API_PORT },
+  'notify-webhook': { type: 'string', default: process.env.NOTIFY_WEBHOOK_URL },
+  'notify-level': { type: 'string', default: 'trade' },
+  digest: { type: 'string', default: 'hourly' },
+};
+
+const GRID_USAGE = `Usage: gridkyc grid start [symbol] [options]
+
+Runs a grid on a trading pair (default: DOGEUSDT) until stopped. Settings come from the
+defaults, then --config, then the flags below. Grid state is saved, so a restarted grid
+picks up its open orders.
+
+Options:
+  --exchange <name>          binance-us, binance or binance-testnet (default: EXCHANGE or binance-us)
+  --paper                    Simulate orders locally against live prices
+  --config <file>            JSON or YAML grid config
+  --strategy <name>          drop or ladder (default: drop)
+  --investment <amount>      Quote amount per order
+  --drop <percent>           Drop: price drop that triggers a buy
+  --rise <percent>           Drop: price rise that resets the base price
+  --buy-offset <multiple>    Drop: buy price as a multiple of the current price
+  --take-profit <multiple>   Drop: sell price as a multiple of the buy price
+  --net-profit <percent>     Drop: price sells for this net profit after fees instead
+  --exit <mode>              Drop: fixed, trailing or laddered exits (default: fixed)
+  --trail <percent>          Drop, trailing: retrace from the peak that triggers the sell
+  --exit-levels <count>      Drop, laddered: sells per filled buy
+  --exit-step <percent>      Drop, laddered: distance between the sells
+  --adaptive                 Drop: scale spacing with recent volatility (ATR)
+  --nobuys                   Drop: only sell what the grid holds
+  --lower <price>            Ladder: lowest level price
+  --upper <price>            Ladder: highest level price
+  --levels <count>           Ladder: number of levels
+  --spacing <name>           Ladder: arithmetic or geometric
+  --interval <seconds>       REST polling interval
+  --cancel-policy <policy>   Orders canceled on the exchange: drop or replace them
+  --max-capital <amount>     Risk: most quote capital in open buys and held inventory
+  --max-open-buys <count>    Risk: most unfilled buy orders at once
+  --max-inventory <amount>   Risk: most base asset the grid may hold
+  --stop-loss <price>        Risk: exit the grid at or below this price
+  --max-drawdown <percent>   Risk: exit once inventory is this far below cost
+  --daily-loss-limit <amt>   Risk: stop buying after losing this much today (UTC)
+  --risk-exit <action>       Risk: on a stop-loss or drawdown exit, halt buying, or also sell the inventory: halt or sell (default: halt)
+  --api-port <port>          Serve the dashboard and HTTP API (default: API_PORT)
+  --notify-webhook <url>     Also POST events to this https:// URL (default: NOTIFY_WEBHOOK_URL)
+  --notify-level <level>     Least severe event POSTed: debug, info, trade, warning or critical (default: trade)
+  --digest <period>          Webhook digests of the other events: hourly, daily or off (default: hourly)
+  --json                     Print events as JSON lines`;
+
+// Parse a numeric flag, leaving unset flags undefined so the config file or defaults apply
+const number = (value) => (value === undefined ? undefined : Number(value));
+
+// Map grid start flags to grid config settings
+function readFlagSettings(flags, symbol) {
+  return {
+    symbol,
+    exchange: flags.exchange,
+    strategy: flags.strategy,
+    percentageDrop: number(flags.drop),
+    percentageRise: number(flags.rise),
+    investment: number(flags.investment),
+    buyOffset: number(flags['buy-offset']),
+    takeProfit: number(flags['take-profit']),
+    netProfitPercent: number(flags['net-profit']),
+    exitMode: flags.exit,
+    trailingRetracePercent: number(flags.trail),
+    exitLevels: number(flags['exit-levels']),
+    exitStepPercent: number(flags['exit-step']),
+    noBuys: flags.nobuys,
+    adaptive: flags.adaptive,
+    lowerPrice: number(flags.lower),
+    upperPrice: number(flags.upper),
+    levels: number(flags.levels),
+    spacing: flags.spacing,
+    intervalSeconds: number(flags.interval),
+    cancelPolicy: flags['cancel-policy'],
+    maxCapital: number(flags['max-capital']),
+    maxOpenBuys: number(flags['max-open-buys']),
+    maxInventory: number(flags['max-inventory']),
+    stopLossPrice: number(flags['stop-loss']),
+    maxDrawdownPercent: number(flags['max-drawdown']),
+    dailyLossLimit: number(flags['daily-loss-limit']),
+    riskExit: flags['risk-exit'],
+  };
+}
+
+/**
+ * Run `gridkyc grid start`: start a grid, and with --api-port the dashboard and HTTP API,
+ * which can start more grids in this process. Resolves once the first grid runs; the grids
+ * keep running until the process ends or the kill switch is pulled.
+ * @param {object} flags - Parsed GRID_OPTIONS, plus exchange.
+ * @param {string[]} positionals - [symbol].
+ * @param {object} output - The CLI output from createCliOutput.
+ * @returns {Promise<void>}
+ */
+async function runGridStart(flags, positionals, output) {
+  const killSwitch = getKillSwitch();
+  if (killSwitch) throw new Error(`${formatKillSwitch(killSwitch)} Release it with "gridkyc killswitch off" first.`);
+
+  // Every grid event is printed; with --notify-webhook, events from --notify-level up are also
+  // POSTed there and the rest is summed up in --digest digests
+  let webhook = null;
+  let notifyPreferences = {};
+  // Running grids by symbol, as sessions the HTTP API can list and control
+  const grids = new Map();
+  let halting = false;
+
+  const log = (message) => output.event(message);
+
+  // --paper routes orders to a local simulated exchange that fills against the exchange's live prices
+  function createClient(exchange) {
+    return flags.paper
+      ? createPaperExchange({ marketData: createExchange(exchange) })
+      : createExchange(exchange, {
+        apiKey: process.env.BINANCE_API_KEY,
+        apiSecret: process.env.BINANCE_API_SECRET,
+      });
+  }
+
+  // The kill switch stops every grid in this process; the first runner to see it winds them all down
+  async function haltAll(engaged) {
+    if (halting) return;
+    halting = true;
+    log(`[KILL SWITCH] ${formatKillSwitch(engaged)}`);
+    try {
+      for (const { symbol, handle } of grids.values()) {
+        handle.runner.stop();
+        handle.spacing?.stop();
+        let message = `[KILL SWITCH] GridBot for ${symbol} halted.`;
+        if (engaged.cancelOrders) message += ` Canceled ${await handle.engine.cancelOpenOrders()} open orders.`;
+        handle.notify(message);
+        handle.notifier.stop();
+      }
+    } finally {
+      // Deliver the halt notices before exiting
+      await webhook?.drain();
+      process.exit(0);
+    }
+  }
+
+  // Start a grid. Returns its handle: its engine, runner and config, and stop().
+  async function startGrid(client, symbol, config) {
+    const strategy = createStrategyFromConfig(config);
+    if (strategy.name === 'ladder') {
+      const { lowerPrice, upperPrice, levels, spacing } = strategy.params;
+      log(`Starting GridBot for ${symbol}. Ladder of ${levels} ${spacing} levels from $${lowerPrice} to $${upperPrice}...`);
+    } else {
+      const { percentageDrop, percentageRise, noBuys } = strategy.params;
+      log(`Starting GridBot for ${symbol}. Monitoring for a price drop of ${percentageDrop}% and upward trend of ${percentageRise}%...`);
+      if (noBuys) log('[INFO] NoBuys mode enabled: Bot will not place new buy orders.');
+      if (config.adaptive) log(`[INFO] Adaptive spacing enabled: Spacing follows ATR(${config.atrPeriod}, ${config.atrInterval}), recomputed every ${config.adaptiveRefreshMinutes} minutes.`);
+    }
+
+    const notifier = createNotifier({
+      label: symbol,
+      targets: webhook ? { webhook: { send: (message, severity) => webhook.send(`${symbol}: ${message}`, severity) } } : {},
+      preferences: notifyPreferences,
+      sendDigest: webhook ? (digest) => webhook.send(digest, 'info') : undefined,
+    });
+    const notify = (message) => {
+      log(message);
+      notifier.notify(message);
+    };
+
+    // Paper orders only live in memory, so there is nothing to resume after a restart
+    const store = client.paper ? null : createStateStore(gridKey('cli', symbol, client.exchange));
+    const ledger = client.paper ? null : createTradeLedger(gridKey('cli', symbol, client.exchange));
+    const risk = createRiskManager({ limits: getRiskLimits(config), ledger, notify });
+    const engine = createGridEngine({ exchange: client, symbol, strategy, store, ledger, risk, cancelPolicy: config.cancelPolicy, notify });
+
+    let spacing = null;
+    try {
+      const { basePrice } = await engine.start();
+      log(`[INFO] Tracking ${engine.getOpenOrders().length} open orders for ${symbol}`);
+      log(`Base price set to $${basePrice}`);
+
+      if (store) {
+        const report = await engine.reconcile();
+        log(formatReconciliationReport(symbol, report));
+      }
+
+      // Size the grid to current volatility before the first tick
+      spacing = getAdaptiveSettings(config) ? startAdaptiveSpacing({ client, symbol, config, engine, notify }) : null;
+      if (spacing) await spacing.refresh();
+    } catch (error) {
+      spacing?.stop();
+      notifier.stop();
+      throw error;
+    }
+
+    const runner = startGridRunner({
+      engine,
+      client,
+      symbol,
+      intervalMs: config.intervalSeconds * 1000,
+      notify,
+      onTick: () => {
+        if (client.paper) log(`[PAPER] Balances: ${JSON.stringify(client.getBalances())}`);
+      },
+      onHalt: haltAll,
+    });
+
+    return {
+      engine,
+      runner,
+      strategy,
+      config,
+      ledger,
+      spacing,
+      notifier,
+      notify,
+      paper: Boolean(client.paper),
+      // Stop monitoring; cancelling the orders also forgets the grid so the next start lays it out afresh
+      async stop({ cancelOrders = false } = {}) {
+        runner.stop();
+        spacing?.stop();
+        notifier.stop();
+        if (!cancelOrders) return 0;
+
+        const canceled = await engine.cancelOpenOrders();
+        if (store) store.clear();
+        return canceled;
+      },
+    };
+  }
+
+  // Validate a config and start its grid as a new session
+  async function launchGrid(config) {
+    const symbol = config.symbol || 'DOGEUSDT';
+    if (grids.has(symbol)) throw Object.assign(new Error(`A grid on ${symbol} is already running.`), { status: 409 });
+
+    const client = createClient(config.exchange);
+    const session = { id: `cli-${symbol}`, owner: 'cli', symbol, status: 'starting', startedAt: new Date(), handle: null };
+    grids.set(symbol, session);
+    try {
+      await validateConfigForPair(client, symbol, config);
+      session.handle = await startGrid(client, symbol, config);
+      session.status = 'running';
+      return session;
+    } catch (error) {
+      grids.delete(symbol);
+      throw error;
+    }
+  }
+
+  // Defaults, then the config file, then command-line flags
+  const fileConfig = flags.config ? loadConfigFile(flags.config) : {};
+  const flagSettings = readFlagSettings(flags, positionals[0]?.toUpperCase());
+  const config = resolveGridConfig(fileConfig, flagSettings);
+
+  if (flags['notify-webhook']) {
+    notifyPreferences = { webhook: flags['notify-level'], digest: flags.digest };
+    const problems = validatePreferences(notifyPreferences, ['webhook']);
+    if (problems.length) throw new Error(`Invalid notification settings:\n- ${problems.join('\n- ')}`);
+    webhook = createWebhookTarget(flags['notify-webhook']);
+    log(`[INFO] Notifying the webhook of ${flags['notify-level']} events and above, with ${flags.digest} digests of the rest.`);
+  }
+
+  log(`[INFO] Using trading pair: ${config.symbol || 'DOGEUSDT'} on ${getExchangeProfile(config.exchange).label}`);
+  if (config.noBuys) log('[INFO] NoBuys mode activated.');
+  if (flags.paper) log('[INFO] Paper trading mode activated. Orders are simulated locally.');
+
+  await launchGrid(config);
+
+  if (flags['api-port']) {
+    startApiServer({
+      port: Number(flags['api-port']),
+      notify: log,
+      controller: {
+        listGrids: () => [...grids.values()],
+        removeGrid: (session) => grids.delete(session.symbol),
+        // Grids started over the API take the config file and flags, then the request's settings
+        startGrid: ({ symbol, settings = {} }) => {
+          let gridConfig;
+          try {
+            gridConfig = resolveGridConfig(fileConfig, { ...flagSettings, ...settings, symbol: symbol?.toUpperCase() });
+          } catch (error) {
+            throw Object.assign(error, { status: 400 });
+          }
+          return launchGrid(gridConfig);
+        },
+      },
+    });
+  }
+}
+
+module.exports = {
+  GRID_OPTIONS,
+  GRID_USAGE,
+  runGridStart,
+};
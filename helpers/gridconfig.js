@@ -0,0 +1,348 @@
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { createStrategy, getLadderPrices } = require('./gridstrategy');
+const { adjustQuantity, adjustPrice, isValidNotional } = require('./symbolfilters');
+const { EXCHANGE_NAMES, DEFAULT_EXCHANGE } = require('./exchanges');
+
+// Settings every grid has, whatever its strategy
+const COMMON_SETTINGS = {
+  symbol: { type: 'string' },
+  exchange: { type: 'enum', values: EXCHANGE_NAMES, default: DEFAULT_EXCHANGE },
+  strategy: { type: 'enum', values: ['drop', 'ladder'], default: 'drop' },
+  intervalSeconds: { type: 'number', default: 120, min: 5 },
+  cancelPolicy: { type: 'enum', values: ['drop', 'replace'], default: 'drop' },
+};
+
+// Optional risk limits; an unset limit is not enforced. Amounts are in the quote asset.
+const RISK_SETTINGS = {
+  maxCapital: { type: 'number', greaterThan: 0 },
+  maxOpenBuys: { type: 'integer', min: 1 },
+  maxInventory: { type: 'number', greaterThan: 0 },
+  stopLossPrice: { type: 'number', greaterThan: 0 },
+  maxDrawdownPercent: { type: 'number', greaterThan: 0, lessThan: 100 },
+  dailyLossLimit: { type: 'number', greaterThan: 0 },
+  // What a stop-loss or drawdown exit does: halt buying, or also sell the inventory at market
+  riskExit: { type: 'enum', values: ['halt', 'sell'], default: 'halt' },
+};
+
+// Volatility-adaptive spacing for the drop strategy: with adaptive on, the buy trigger, buy
+// offset and take-profit follow the ATR of recent klines (as a % of price) times a multiplier,
+// kept within the floors and ceilings below. Defaults only apply when adaptive is on.
+const isAdaptive = (settings) => settings.adaptive === true;
+const exitModeIs = (mode) => (settings) => settings.exitMode === mode;
+const ADAPTIVE_SETTINGS = {
+  adaptive: { type: 'boolean' },
+  atrInterval: { type: 'enum', values: ['1m', '5m', '15m', '1h', '4h', '1d'], default: '1h', defaultWhen: isAdaptive },
+  atrPeriod: { type: 'integer', default: 14, min: 2, max: 500, defaultWhen: isAdaptive },
+  adaptiveRefreshMinutes: { type: 'number', default: 60, min: 1, defaultWhen: isAdaptive },
+  atrDropMultiplier: { type: 'number', default: 1, greaterThan: 0, defaultWhen: isAdaptive },
+  minPercentageDrop: { type: 'number', default: 0.3, greaterThan: 0, lessThan: 100, defaultWhen: isAdaptive },
+  maxPercentageDrop: { type: 'number', default: 10, greaterThan: 0, lessThan: 100, defaultWhen: isAdaptive },
+  atrOffsetMultiplier: { type: 'number', default: 0.5, min: 0, defaultWhen: isAdaptive },
+  maxBuyOffsetPercent: { type: 'number', default: 5, min: 0, lessThan: 100, defaultWhen: isAdaptive },
+  atrTakeProfitMultiplier: { type: 'number', default: 2, greaterThan: 0, defaultWhen: isAdaptive },
+  minTakeProfitPercent: { type: 'number', default: 0.5, greaterThan: 0, defaultWhen: isAdaptive },
+  maxTakeProfitPercent: { type: 'number', default: 20, greaterThan: 0, defaultWhen: isAdaptive },
+};
+
+// Settings per strategy. min/max are inclusive, greaterThan/lessThan exclusive. A setting with
+// defaultWhen only gets its default when that holds for the merged settings.
+const STRATEGY_SETTINGS = {
+  drop: {
+    percentageDrop: { type: 'number', default: 0.6, greaterThan: 0, lessThan: 100 },
+    percentageRise: { type: 'number', default: 1.2, greaterThan: 0 },
+    investment: { type: 'number', default: 2, greaterThan: 0 },
+    buyOffset: { type: 'number', default: 0.99, greaterThan: 0, max: 1 },
+    takeProfit: { type: 'number', default: 1.03012, greaterThan: 1 },
+    // When set, sells are priced for this net profit after fees instead of at takeProfit
+    netProfitPercent: { type: 'number', greaterThan: 0, lessThan: 100 },
+    // How a filled buy is sold: one sell at the take-profit, a trailing exit, or a ladder of sells
+    exitMode: { type: 'enum', values: ['fixed', 'trailing', 'laddered'], default: 'fixed' },
+    trailingRetracePercent: { type: 'number', default: 1, greaterThan: 0, lessThan: 100, defaultWhen: exitModeIs('trailing') },
+    exitLevels: { type: 'integer', default: 3, min: 2, max: 20, defaultWhen: exitModeIs('laddered') },
+    exitStepPercent: { type: 'number', default: 1, greaterThan: 0, defaultWhen: exitModeIs('laddered') },
+    noBuys: { type: 'boolean', default: false },
+  },
+  ladder: {
+    lowerPrice: { type: 'number', required: true, greaterThan: 0 },
+    upperPrice: { type: 'number', required: true, greaterThan: 0 },
+    levels: { type: 'integer', default: 10, min: 2, max: 200 },
+    spacing: { type: 'enum', values: ['arithmetic', 'geometric'], default: 'arithmetic' },
+    investment: { type: 'number', default: 2, greaterThan: 0 },
+  },
+};
+
+/**
+ * Read a grid config from a JSON or YAML file (picked by extension; .yml/.yaml are YAML).
+ * @param {string} file - Path to the config file.
+ * @returns {object} The raw, unvalidated settings.
+ */
+function loadConfigFile(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  const config = /\.ya?ml$/i.test(path.extname(file)) ? YAML.parse(text) : JSON.parse(text);
+
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error(`Grid config ${file} must contain an object of settings.`);
+  }
+  return config;
+}
+
+// Check one value against its setting; returns a problem description or null
+function checkSetting(name, value, setting) {
+  if (setting.type === 'enum') {
+    return setting.values.includes(value) ? null : `${name} must be one of ${setting.values.join(', ')} (got ${JSON.stringify(value)}).`;
+  }
+  if (setting.type === 'boolean' || setting.type === 'string') {
+    return typeof value === setting.type ? null : `${name} must be a ${setting.type}.`;
+  }
+  if (typeof value !== 'number' || !Number.isFinite(value)) return `${name} must be a number.`;
+  if (setting.type === 'integer' && !Number.isInteger(value)) return `${name} must be a whole number.`;
+  if (setting.greaterThan !== undefined && !(value > setting.greaterThan)) return `${name} must be greater than ${setting.greaterThan}.`;
+  if (setting.lessThan !== undefined && !(value < setting.lessThan)) return `${name} must be less than ${setting.lessThan}.`;
+  if (setting.min !== undefined && value < setting.min) return `${name} must be at least ${setting.min}.`;
+  if (setting.max !== undefined && value > setting.max) return `${name} must be at most ${setting.max}.`;
+  return null;
+}
+
+// Collect every problem with a set of settings; required settings are only enforced for a
+// complete config
+function collectProblems(merged, { complete }) {
+  const strategy = merged.strategy ?? COMMON_SETTINGS.strategy.default;
+  const strategySettings = STRATEGY_SETTINGS[strategy];
+  if (!strategySettings) return { problems: [checkSetting('strategy', strategy, COMMON_SETTINGS.strategy)] };
+
+  const settings = { ...COMMON_SETTINGS, ...RISK_SETTINGS, ...strategySettings, ...(strategy === 'drop' ? ADAPTIVE_SETTINGS : {}) };
+  const config = {};
+  const problems = [];
+
+  for (const key of Object.keys(merged)) {
+    if (settings[key]) continue;
+    const owner = ADAPTIVE_SETTINGS[key] ? 'drop' : Object.keys(STRATEGY_SETTINGS).find((name) => STRATEGY_SETTINGS[name][key]);
+    problems.push(owner
+      ? `${key} only applies to the ${owner} strategy, not ${strategy}.`
+      : `Unknown setting "${key}".`);
+  }
+
+  for (const [key, setting] of Object.entries(settings)) {
+    const useDefault = complete && (!setting.defaultWhen || setting.defaultWhen(merged));
+    const value = merged[key] ?? (useDefault ? setting.default : undefined);
+    if (value === undefined) {
+      if (complete && setting.required) problems.push(`${key} is required for the ${strategy} strategy.`);
+      continue;
+    }
+
+    const problem = checkSetting(key, value, setting);
+    if (problem) problems.push(problem);
+    config[key] = value;
+  }
+
+  if (strategy === 'ladder' && config.lowerPrice > 0 && config.upperPrice !== undefined && !(config.upperPrice > config.lowerPrice)) {
+    problems.push('upperPrice must be above lowerPrice.');
+  }
+  if (strategy === 'ladder' && config.stopLossPrice >= config.upperPrice) {
+    problems.push('stopLossPrice must be below upperPrice, or the grid halts as soon as it starts.');
+  }
+  if (config.minPercentageDrop > config.maxPercentageDrop) {
+    problems.push('minPercentageDrop must not be above maxPercentageDrop.');
+  }
+  if (config.minTakeProfitPercent > config.maxTakeProfitPercent) {
+    problems.push('minTakeProfitPercent must not be above maxTakeProfitPercent.');
+  }
+  // Sells priced for a net profit ignore takeProfit, the one thing adaptive spacing changes on the sell side
+  if (config.adaptive && config.netProfitPercent !== undefined) {
+    problems.push('adaptive cannot be combined with netProfitPercent, which fixes the sell price regardless of volatility. Unset one of them.');
+  }
+  // A trailing exit sells up to trailingRetracePercent below the take-profit it armed at, which
+  // adaptive spacing may lower as far as minTakeProfitPercent
+  if (config.exitMode === 'trailing' && config.trailingRetracePercent !== undefined) {
+    let takeProfit = config.netProfitPercent !== undefined ? 1 + config.netProfitPercent / 100 : config.takeProfit;
+    if (config.adaptive && config.minTakeProfitPercent !== undefined) {
+      takeProfit = Math.min(takeProfit, 1 + config.minTakeProfitPercent / 100);
+    }
+    if (takeProfit * (1 - config.trailingRetracePercent / 100) <= 1) {
+      problems.push(`trailingRetracePercent ${config.trailingRetracePercent} would let a trailing exit sell at or below the buy price. Keep it under the ${config.adaptive ? 'smallest adaptive ' : ''}take-profit distance.`);
+    }
+  }
+  if (config.maxCapital !== undefined && config.investment > config.maxCapital) {
+    problems.push(`maxCapital ${config.maxCapital} is less than a single order's investment (${config.investment}).`);
+  }
+
+  return { config, problems };
+}
+
+// Merge layers, skipping undefined values so unset CLI flags or Discord options never hide a lower layer
+function mergeLayers(layers) {
+  const merged = {};
+  for (const layer of layers) {
+    for (const [key, value] of Object.entries(layer || {})) {
+      if (value !== undefined) merged[key] = value;
+    }
+  }
+  return merged;
+}
+
+/**
+ * Merge config layers over the defaults and validate the result. Later layers win.
+ * @param {...object} layers - Settings objects, lowest precedence first.
+ * @returns {object} The complete, validated config.
+ * @throws {Error} Listing every problem found.
+ */
+function resolveGridConfig(...layers) {
+  const { config, problems } = collectProblems(mergeLayers(layers), { complete: true });
+  if (problems.length) {
+    throw new Error(`Invalid grid config:\n- ${problems.join('\n- ')}`);
+  }
+  return config;
+}
+
+/**
+ * Validate a partial set of settings, such as a user's saved Discord config, without filling
+ * in defaults or requiring every setting.
+ * @param {object} settings - The settings to check.
+ * @returns {object} The settings, without undefined values.
+ * @throws {Error} Listing every problem found.
+ */
+function validatePartialConfig(settings) {
+  const merged = mergeLayers([settings]);
+  const { problems } = collectProblems(merged, { complete: false });
+  if (problems.length) {
+    throw new Error(`Invalid grid config:\n- ${problems.join('\n- ')}`);
+  }
+  return merged;
+}
+
+/**
+ * Check a config against the pair's exchange filters, so a grid that could never place a
+ * valid order is refused before it starts.
+ * @param {object} config - A config from resolveGridConfig.
+ * @param {object} filters - The pair's filters from getTradingPairInfo.
+ * @param {number} currentPrice - The pair's current price.
+ * @returns {string[]} Problems found; empty when the config fits the pair.
+ */
+function checkConfigAgainstFilters(config, filters, currentPrice) {
+  const { minQty, stepSize, tickSize, minPrice, maxPrice, minNotional, maxNotional, maxNumOrders } = filters;
+  const notionalFilter = filters.notionalFilter || 'MIN_NOTIONAL';
+  const problems = [];
+
+  if (config.investment < minNotional) {
+    problems.push(`investment ${config.investment} can never meet the pair's minimum order value (${notionalFilter} ${minNotional}).`);
+  }
+  if (maxNotional && config.investment > maxNotional) {
+    problems.push(`investment ${config.investment} is above the pair's maximum order value (${notionalFilter} ${maxNotional}).`);
+  }
+
+  if (config.strategy === 'drop') {
+    // Adaptive spacing may go as far as its limits, so check the deepest buy and the smallest take-profit
+    let { buyOffset, takeProfit } = config;
+    if (config.adaptive) {
+      buyOffset = Math.min(buyOffset, 1 - config.maxBuyOffsetPercent / 100);
+      takeProfit = Math.min(takeProfit, 1 + config.minTakeProfitPercent / 100);
+    }
+
+    const price = adjustPrice(currentPrice * buyOffset, tickSize, minPrice);
+    const quantity = adjustQuantity(config.investment / currentPrice, stepSize, minQty);
+    if (problems.length === 0 && !isValidNotional(quantity, price, minNotional)) {
+      problems.push(`investment ${config.investment} buys ${quantity} at $${price}, below the minimum order value ${minNotional} after rounding to the lot size. Raise the investment.`);
+    }
+    if (adjustPrice(price * takeProfit, tickSize, minPrice) <= price) {
+      problems.push(config.adaptive && takeProfit !== config.takeProfit
+        ? `minTakeProfitPercent ${config.minTakeProfitPercent} is too small to move the sell price one tick (${tickSize}) above the buy price.`
+        : `takeProfit ${config.takeProfit} is too small to move the sell price one tick (${tickSize}) above the buy price.`);
+    }
+  } else if (config.strategy === 'ladder') {
+    if (config.lowerPrice < minPrice) problems.push(`lowerPrice ${config.lowerPrice} is below the pair's minimum price ${minPrice}.`);
+    if (maxPrice > 0 && config.upperPrice > maxPrice) problems.push(`upperPrice ${config.upperPrice} is above the pair's maximum price ${maxPrice}.`);
+
+    const prices = getLadderPrices(config).map((price) => adjustPrice(price, tickSize, minPrice));
+    if (new Set(prices).size < prices.length) {
+      problems.push(`${config.levels} levels between $${config.lowerPrice} and $${config.upperPrice} are closer than one tick (${tickSize}). Use fewer levels or a wider range.`);
+    }
+    // One level always waits empty, so the ladder keeps levels - 1 orders open
+    if (maxNumOrders && config.levels - 1 > maxNumOrders) {
+      problems.push(`${config.levels} levels need ${config.levels - 1} open orders, more than the pair allows (MAX_NUM_ORDERS ${maxNumOrders}).`);
+    }
+
+    const lowNotional = prices.find((price) => !isValidNotional(adjustQuantity(config.investment / price, stepSize, minQty), price, minNotional));
+    if (problems.length === 0 && lowNotional !== undefined) {
+      problems.push(`investment ${config.investment} per level is below the minimum order value ${minNotional} at $${lowNotional} after rounding to the lot size. Raise the investment.`);
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Fetch the pair's filters and price and check the config against them.
+ * @param {object} exchange - An exchange client or paper exchange.
+ * @param {string} symbol - The trading pair.
+ * @param {object} config - A config from resolveGridConfig.
+ * @throws {Error} If the config cannot trade on this pair.
+ */
+async function validateConfigForPair(exchange, symbol, config) {
+  const [filters, currentPrice] = await Promise.all([
+    exchange.getTradingPairInfo(symbol),
+    exchange.getCurrentPrice(symbol),
+  ]);
+  const problems = checkConfigAgainstFilters(config, filters, currentPrice);
+
+  if (problems.length) {
+    throw new Error(`Grid config does not fit ${symbol}:\n- ${problems.join('\n- ')}`);
+  }
+}
+
+/**
+ * Create the strategy a config describes.
+ * @param {object} config - A config from resolveGridConfig.
+ * @returns {object} The strategy.
+ */
+function createStrategyFromConfig(config) {
+  const params = Object.fromEntries(Object.keys(STRATEGY_SETTINGS[config.strategy])
+    .filter((key) => config[key] !== undefined)
+    .map((key) => [key, config[key]]));
+  return createStrategy(config.strategy, params);
+}
+
+/**
+ * Pick the risk limits out of a config.
+ * @param {object} config - A config from resolveGridConfig.
+ * @returns {object} The limits that are set, for createRiskManager.
+ */
+function getRiskLimits(config) {
+  return Object.fromEntries(Object.keys(RISK_SETTINGS)
+    .filter((key) => config[key] !== undefined)
+    .map((key) => [key, config[key]]));
+}
+
+/**
+ * Pick the adaptive spacing settings out of a config.
+ * @param {object} config - A config from resolveGridConfig.
+ * @returns {object|null} The settings for startAdaptiveSpacing, or null if adaptive is off.
+ */
+function getAdaptiveSettings(config) {
+  if (config.strategy !== 'drop' || !config.adaptive) return null;
+  return Object.fromEntries(Object.keys(ADAPTIVE_SETTINGS)
+    .filter((key) => key !== 'adaptive')
+    .map((key) => [key, config[key]]));
+}
+
+/**
+ * Describe a config on one line, e.g. for Discord replies.
+ * @param {object} config - A config from resolveGridConfig, or any subset of settings.
+ * @returns {string} The settings as key=value pairs.
+ */
+function formatConfig(config) {
+  return Object.entries(config).map(([key, value]) => `${key}=${value}`).join(', ');
+}
+
+module.exports = {
+  loadConfigFile,
+  resolveGridConfig,
+  validatePartialConfig,
+  checkConfigAgainstFilters,
+  validateConfigForPair,
+  createStrategyFromConfig,
+  getRiskLimits,
+  getAdaptiveSettings,
+  formatConfig,
+};
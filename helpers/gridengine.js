@@ -0,0 +1,484 @@
+const { reconcileGrid, summarizeFill } = require('./reconciler');
+const { isOpenStatus, isTerminalStatus, transitionOrder } = require('./orderstate');
+const { isValidNotional, formatPrice, formatQuantity, checkOrderFilters } = require('./symbolfilters');
+const { measureExposure } = require('./riskmanager');
+const { loadFeeSchedule, fallbackFeeSchedule, describeFeeSchedule } = require('./feeschedule');
+
+// Commission rates rarely change, but running out of BNB changes who pays the fee
+const FEE_REFRESH_MS = 60 * 60 * 1000;
+
+/**
+ * Create the engine that runs a strategy against an exchange. The engine owns the grid state
+ * and carries out the strategy's actions; the caller decides when to tick (a setInterval for
+ * live trading, a loop over klines for a backtest).
+ * @param {object} options - Engine options.
+ * @param {object} options.exchange - An exchange client or paper exchange.
+ * @param {string} options.symbol - The trading pair.
+ * @param {object} options.strategy - The strategy deciding what to do on each tick and fill.
+ * @param {object} [options.store] - Persists the grid state so it survives restarts (see statestore.js).
+ * @param {object} [options.ledger] - Records every fill for P&L accounting (see tradeledger.js).
+ * @param {object} [options.risk] - Checks every order and price against risk limits (see riskmanager.js).
+ * @param {string} [options.cancelPolicy] - What to do when an order is canceled or expires on the
+ *   exchange without the grid asking: 'drop' forgets it, 'replace' places it again.
+ * @param {function} [options.notify] - Receives a message for every grid event.
+ * @param {function} [options.onOrderPlaced] - Called with every order the engine places.
+ * @param {function} [options.clock] - Returns the current time in milliseconds; a backtest
+ *   passes the time of the kline it replays.
+ * @returns {object} The grid engine.
+ */
+function createGridEngine({
+  exchange,
+  symbol,
+  strategy,
+  store,
+  ledger,
+  risk,
+  cancelPolicy = 'drop',
+  notify = console.log,
+  onOrderPlaced = () => {},
+  clock = Date.now,
+}) {
+  // orders holds every grid order, open or not, with the id of its linked buy/sell
+  const state = {
+    symbol,
+    strategy: strategy.name,
+    params: strategy.params,
+    basePrice: null,
+    orders: [],
+  };
+  let filters = null;
+  let fees = null;
+  let feesLoadedAt = 0;
+  let lastPrice = null;
+  let queue = Promise.resolve();
+
+  // Run grid work one task at a time, so stream events never interleave with a polling tick
+  function serialize(task) {
+    const run = queue.then(task);
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  function persist() {
+    if (store) store.save(state);
+  }
+
+  function updateOrder(order, changes) {
+    Object.assign(order, changes, { updatedAt: new Date().toISOString() });
+  }
+
+  // What the strategy hooks see of the market
+  function marketAt(currentPrice) {
+    return { currentPrice, filters, fees, time: clock() };
+  }
+
+  function findOrder(orderId) {
+    return state.orders.find((order) => order.orderId === orderId);
+  }
+
+  function getOpenOrders(side) {
+    return state.orders.filter((order) => isOpenStatus(order.status) && (!side || order.side === side));
+  }
+
+  // Filled buys waiting on a trailing exit, which has no order on the book until it sells
+  function getPendingExits() {
+    return state.orders.filter((order) => order.exit && !order.exit.placed);
+  }
+
+  // Carry out the strategy's actions in order; a failed order stops the rest unless the
+  // action allows it. Returns the orders that were placed.
+  async function execute(actions) {
+    const placedOrders = [];
+    // The order the last PLACE_ORDER placed, or null if it placed none
+    let lastPlaced = null;
+
+    for (const action of actions) {
+      if (action.type === 'NOTIFY') {
+        notify(action.message);
+      } else if (action.type === 'SET_BASE_PRICE') {
+        state.basePrice = action.price;
+        if (action.message) notify(action.message);
+      } else if (action.type === 'SET_EXIT') {
+        if (action.ifPlaced !== undefined && Boolean(lastPlaced) !== action.ifPlaced) continue;
+        const order = findOrder(action.orderId);
+        if (order) updateOrder(order, { exit: action.exit });
+        if (action.message) notify(action.message);
+      } else if (action.type === 'PLACE_ORDER') {
+        const { side, quantity, price, linkedOrderId, level, orderType = 'LIMIT', closesInventory } = action;
+        lastPlaced = null;
+        if (risk && risk.checkOrder({ side, quantity, price }, state, { currentPrice: lastPrice ?? price, filters })) continue;
+
+        const market = orderType === 'MARKET';
+        let placed;
+        try {
+          placed = market
+            ? await exchange.placeMarketOrder(symbol, side, quantity, { currentPrice: lastPrice ?? price })
+            : await exchange.placeSpotOrder(symbol, side, quantity, price, { currentPrice: lastPrice ?? undefined });
+        } catch (error) {
+          if (!action.continueOnError) throw error;
+          notify(`[ERROR] Could not place ${side} ${market ? 'market order' : `order at $${formatPrice(price, filters)}`}: ${error.response?.data?.msg || error.message}`);
+          continue;
+        }
+
+        // Market orders are kept at their average fill price
+        const order = { orderId: placed.orderId, side, quantity, price: placed.price, status: 'NEW', linkedOrderId, level };
+        if (market) order.type = 'MARKET';
+        if (closesInventory) order.closesInventory = true;
+        updateOrder(order, {});
+        state.orders.push(order);
+
+        // Pair the new order with the one that caused it, unless that one is already paired
+        const linked = linkedOrderId !== undefined && findOrder(linkedOrderId);
+        if (linked && linked.linkedOrderId === undefined) updateOrder(linked, { linkedOrderId: order.orderId });
+        persist();
+
+        notify(`[${side} ${market ? 'MARKET ORDER' : 'ORDER'} PLACED] Order ID: ${order.orderId}, Quantity: ${quantity}, Price: $${formatPrice(order.price, filters)}`);
+        onOrderPlaced(order);
+        placedOrders.push(order);
+        lastPlaced = order;
+
+        // A market order is done by the time the exchange answers
+        if (market) {
+          await applyUpdate(order, { status: placed.status, executedQty: placed.executedQty }, marketAt(lastPrice ?? price));
+          await recordFills();
+        }
+      }
+    }
+
+    return placedOrders;
+  }
+
+  // Let the strategy react to quantity that filled since the last follow-up. Partial fills get a
+  // proportional follow-up as soon as it is a valid order on its own; the rest waits for more
+  // fills or for the order to finish. Once the order is finished and followed up, the fill is
+  // marked handled so a restart never repeats it.
+  async function handleFill(order, market) {
+    const pendingQty = (order.executedQty ?? order.quantity) - (order.handledQty || 0);
+    const finished = isTerminalStatus(order.status);
+    let placedOrders = [];
+
+    if (strategy.trackedSides.includes(order.side) && pendingQty > 0) {
+      const placeable = pendingQty >= filters.minQty && isValidNotional(pendingQty, order.price, filters.minNotional);
+      if (finished || placeable) {
+        const fill = { ...order, quantity: pendingQty, orderQuantity: order.quantity };
+        placedOrders = await execute(strategy.onFill(state, fill, market));
+        updateOrder(order, { handledQty: (order.handledQty || 0) + pendingQty });
+      }
+    }
+
+    if (finished) updateOrder(order, { fillHandled: true });
+    persist();
+    return placedOrders;
+  }
+
+  // Put an order the exchange canceled or expired back on the book for whatever did not fill
+  async function replaceOrder(order) {
+    const quantity = order.quantity - (order.executedQty || 0);
+    if (!(quantity >= filters.minQty) || !isValidNotional(quantity, order.price, filters.minNotional)) {
+      notify(`[INFO] ${order.side} order ${order.orderId} was not replaced: the unfilled ${quantity} is below the pair's minimum order.`);
+      return;
+    }
+
+    // Keep the link to the order that caused this one (order ids only grow), not a back-link
+    // to the follow-up this order caused itself
+    const [replacement] = await execute([{
+      type: 'PLACE_ORDER',
+      side: order.side,
+      quantity,
+      price: order.price,
+      linkedOrderId: order.linkedOrderId < order.orderId ? order.linkedOrderId : undefined,
+      level: order.level,
+      continueOnError: true,
+    }]);
+    if (replacement) updateOrder(order, { replacedBy: replacement.orderId });
+  }
+
+  // Move an order along the state machine and react to what happened
+  async function applyUpdate(order, update, market) {
+    const transition = transitionOrder(order, update);
+    if (!transition) return null;
+
+    updateOrder(order, transition.changes);
+    persist();
+    const { event } = transition;
+    const { orderId, side } = order;
+
+    if (event === 'partial') {
+      notify(`[PARTIAL FILL] ${side} order ${orderId}: ${order.executedQty} of ${order.quantity} filled.`);
+    } else if (event === 'filled' && side === 'SELL' && findOrder(order.linkedOrderId)?.side === 'BUY') {
+      notify(`[CYCLE CLOSED] SELL order ${orderId} filled at $${order.price}, closing the cycle of BUY order ${order.linkedOrderId}.`);
+    } else if (event === 'filled' && !strategy.trackedSides.includes(side)) {
+      notify(`[FILLED] ${side} order ${orderId} filled for ${order.quantity} at price ${order.price}.`);
+    } else if (event === 'rejected') {
+      notify(`[REJECTED] ${side} order ${orderId} at $${order.price} was rejected by the exchange and dropped from the grid.`);
+    } else if (event === 'canceled') {
+      notify(`[${order.status}] ${side} order ${orderId} at $${order.price} was ${order.status.toLowerCase()} on the exchange. ${cancelPolicy === 'replace' ? 'Replacing it.' : 'Dropping it from the grid.'}`);
+    }
+
+    const placedOrders = await handleFill(order, market);
+    if (event === 'canceled' && cancelPolicy === 'replace') await replaceOrder(order);
+    return { event, placedOrders };
+  }
+
+  // Record every fill the ledger does not have yet, with what the exchange executed and charged.
+  // A failure is only reported: the next call retries, so it never holds up a follow-up order.
+  async function recordFills() {
+    if (!ledger) return;
+
+    try {
+      const finishedFills = state.orders.filter((o) => (
+        isTerminalStatus(o.status) && (o.executedQty ?? (o.status === 'FILLED' ? o.quantity : 0)) > 0 && !ledger.has(o.orderId)
+      ));
+      for (const order of finishedFills) {
+        if (order.avgPrice === undefined) {
+          updateOrder(order, await summarizeFill(exchange, symbol, order.orderId));
+          persist();
+        }
+
+        const quantity = order.executedQty || order.quantity;
+        const price = order.avgPrice || order.price;
+        ledger.record({
+          time: order.filledAt || Date.now(),
+          symbol,
+          orderId: order.orderId,
+          side: order.side,
+          quantity,
+          price,
+          quoteQty: quantity * price,
+          commission: order.commission || 0,
+          commissionAsset: order.commissionAsset,
+          linkedOrderId: order.linkedOrderId,
+          closesInventory: order.closesInventory,
+        });
+      }
+    } catch (error) {
+      notify(`[ERROR] Could not record fills in the ledger: ${error.response?.data?.msg || error.message}`);
+    }
+  }
+
+  // Fetch what the account pays per fill, so take-profits are sized and priced after fees.
+  // Without the account's rates the grid assumes the standard rate taken from the received asset.
+  async function loadFees() {
+    if (!exchange.getCommissionRates) return;
+    let next;
+    try {
+      next = await loadFeeSchedule(exchange, symbol);
+    } catch (error) {
+      if (fees && !fees.fallback) return;
+      next = fallbackFeeSchedule();
+      notify(`[ERROR] Could not fetch commission rates for ${symbol}: ${error.response?.data?.msg || error.message}`);
+    }
+    feesLoadedAt = Date.now();
+    if (!fees || describeFeeSchedule(next) !== describeFeeSchedule(fees)) notify(`[FEES] ${describeFeeSchedule(next)}`);
+    fees = next;
+  }
+
+  // Load filters and fees, then resume the saved grid state or start fresh from the open orders
+  async function start() {
+    filters = await exchange.getTradingPairInfo(symbol);
+    await loadFees();
+    const saved = store && store.load();
+
+    if (saved && saved.strategy !== state.strategy) {
+      throw new Error(`Saved grid state for ${symbol} belongs to the ${saved.strategy} strategy. Finish that grid or remove ${store.filePath} first.`);
+    }
+
+    if (saved) {
+      state.basePrice = saved.basePrice;
+      state.orders = saved.orders;
+      if (JSON.stringify(saved.params) !== JSON.stringify(state.params)) {
+        notify(`[INFO] Strategy parameters changed since the last run for ${symbol}. Using the new parameters.`);
+      }
+      const trailing = getPendingExits().length;
+      notify(`[INFO] Resumed saved grid state for ${symbol}: ${getOpenOrders().length} open orders${trailing ? `, ${trailing} trailing exits` : ''}, base price $${state.basePrice}.`);
+    } else {
+      // Without saved state there is no way to link sells to their buys, so open orders are
+      // adopted unlinked and the strategy lays out anything else it needs.
+      const openOrders = await exchange.fetchActiveOrders(symbol);
+      state.orders = openOrders.map((order) => ({ ...order, status: 'NEW', updatedAt: new Date().toISOString() }));
+      state.basePrice = await exchange.getCurrentPrice(symbol);
+
+      if (strategy.onStart) {
+        await execute(strategy.onStart(state, marketAt(state.basePrice)));
+      }
+    }
+
+    persist();
+    return state;
+  }
+
+  // Compare the grid with the exchange's history before monitoring starts
+  async function reconcile() {
+    lastPrice = await exchange.getCurrentPrice(symbol);
+    const market = marketAt(lastPrice);
+    const report = await reconcileGrid({
+      exchange,
+      symbol,
+      orders: state.orders,
+      followUpSides: strategy.trackedSides,
+      applyUpdate: (order, update) => applyUpdate(order, update, market),
+      placeFollowUp: (order) => handleFill(order, market),
+    });
+
+    persist();
+    await recordFills();
+    return report;
+  }
+
+  // Check fills over REST, then let the strategy react to the current price
+  function tick() {
+    return serialize(async () => {
+      const currentPrice = await exchange.getCurrentPrice(symbol);
+      lastPrice = currentPrice;
+      notify(`Current price of ${symbol}: $${currentPrice}`);
+      if (Date.now() - feesLoadedAt > FEE_REFRESH_MS) await loadFees();
+      const market = marketAt(currentPrice);
+
+      await checkExit(market);
+
+      for (const order of getOpenOrders()) {
+        const orderStatus = await exchange.checkOrderStatus(symbol, order.orderId);
+        await applyUpdate(order, { status: orderStatus.status, executedQty: parseFloat(orderStatus.executedQty) }, market);
+      }
+      await recordFills();
+
+      await execute(strategy.onTick(state, market));
+      persist();
+      return currentPrice;
+    });
+  }
+
+  // React to a streamed price without any REST calls
+  function onPrice(currentPrice) {
+    return serialize(async () => {
+      lastPrice = currentPrice;
+      const market = marketAt(currentPrice);
+      await checkExit(market);
+      await execute(strategy.onTick(state, market));
+      persist();
+    });
+  }
+
+  // React to an executionReport from the user data stream
+  function onOrderUpdate({ orderId, status, executedQty }) {
+    return serialize(async () => {
+      const order = findOrder(orderId);
+      if (!order) return;
+
+      await applyUpdate(order, { status, executedQty }, marketAt(lastPrice));
+      await recordFills();
+    });
+  }
+
+  // Cancel grid orders on the exchange; orders the exchange no longer knows about are reported
+  // and skipped. A partly filled order still gets its follow-up unless the grid is winding down.
+  async function cancelOrders(orders, { windingDown, market }) {
+    let canceled = 0;
+
+    for (const order of orders) {
+      try {
+        const result = await exchange.cancelOrder(symbol, order.orderId);
+        updateOrder(order, { status: 'CANCELED', executedQty: parseFloat(result.executedQty) || order.executedQty || 0 });
+        if (windingDown) {
+          updateOrder(order, { fillHandled: true });
+        } else {
+          await handleFill(order, market);
+        }
+        canceled++;
+      } catch (error) {
+        notify(`[ERROR] Could not cancel ${order.side} order ${order.orderId}: ${error.response?.data?.msg || error.message}`);
+      }
+    }
+
+    persist();
+    await recordFills();
+    return canceled;
+  }
+
+  // Sell what the grid holds at market, up to the account's free balance of the base asset
+  async function sellInventory(market) {
+    const { inventory } = measureExposure(state.orders);
+    const balances = await exchange.getBalances();
+    const held = Math.min(inventory, balances[filters.baseAsset]?.free || 0);
+    const quantity = Number(formatQuantity(held, filters, 'MARKET'));
+    if (!(quantity > 0)) {
+      notify(`[RISK] The grid holds no ${filters.baseAsset} to sell.`);
+      return;
+    }
+
+    const problems = checkOrderFilters(filters, { side: 'SELL', quantity, type: 'MARKET' }, { currentPrice: market.currentPrice });
+    if (problems.length) {
+      notify(`[RISK] Could not sell the ${quantity} ${filters.baseAsset} the grid holds: ${problems.map(({ filter, message }) => `${filter}: ${message}`).join(' ')} Sell it by hand.`);
+      return;
+    }
+    // The sale closes whatever buys are still unsold, so it is linked to no single one
+    await execute([{ type: 'PLACE_ORDER', side: 'SELL', orderType: 'MARKET', quantity, price: market.currentPrice, closesInventory: true, continueOnError: true }]);
+  }
+
+  // Act on a risk exit (stop-loss, drawdown). Halting blocks new buys and cancels open buys;
+  // selling also cancels the grid's sells and sells its inventory at market.
+  async function checkExit(market) {
+    if (!risk || state.halted) return;
+    const reason = risk.checkExit(state, market.currentPrice);
+    if (!reason) return;
+
+    state.halted = { reason, at: new Date().toISOString() };
+    if (risk.exitAction !== 'sell') {
+      notify(`[RISK] ${reason} Halting the grid: new buys are blocked and open buys canceled.`);
+      await cancelOrders(getOpenOrders('BUY'), { windingDown: false, market });
+      return;
+    }
+
+    notify(`[RISK] ${reason} Exiting the grid: open orders are canceled and its inventory sold at market.`);
+    await cancelOrders(getOpenOrders(), { windingDown: true, market });
+    // Trailing exits would sell the same inventory again
+    for (const order of getPendingExits()) updateOrder(order, { exit: { ...order.exit, placed: true } });
+    persist();
+    await sellInventory(market);
+  }
+
+  // Cancel every open grid order while the grid is stopped
+  function cancelOpenOrders() {
+    return serialize(() => cancelOrders(getOpenOrders(), { windingDown: true }));
+  }
+
+  // Swap in a strategy of the same kind with new parameters, such as recomputed spacing.
+  // Orders already open keep their prices; only later orders use the new parameters.
+  function setStrategy(next) {
+    return serialize(async () => {
+      if (next.name !== strategy.name) throw new Error(`Cannot switch a ${strategy.name} grid to the ${next.name} strategy.`);
+      strategy = next;
+      state.params = next.params;
+      persist();
+    });
+  }
+
+  // Lift a risk halt; the exit checks run again on the next price
+  function clearHalt() {
+    return serialize(async () => {
+      delete state.halted;
+      persist();
+    });
+  }
+
+  return {
+    start,
+    reconcile,
+    tick,
+    onPrice,
+    onOrderUpdate,
+    cancelOpenOrders,
+    clearHalt,
+    setStrategy,
+    getState: () => state,
+    getLastPrice: () => lastPrice,
+    getFilters: () => filters,
+    getFees: () => fees,
+    getOpenOrders,
+    getPendingExits,
+  };
+}
+
+module.exports = {
+  createGridEngine,
+};
@@ -0,0 +1,111 @@
+const { createMarketStream, createUserDataStream } = require('./exchangestream');
+const { getKillSwitch } = require('./killswitch');
+
+const PRICE_THROTTLE_MS = 1000;
+const KILL_SWITCH_POLL_MS = 5000;
+
+/**
+ * Drive a started grid engine. With streaming enabled, price ticks and executionReport events
+ * reach the engine as they happen and REST polling only runs while a stream is down; a
+ * reconnect triggers one REST tick to catch up on anything missed.
+ * @param {object} options - Runner options.
+ * @param {object} options.engine - A started grid engine.
+ * @param {object} options.client - The exchange client the engine trades on.
+ * @param {string} options.symbol - The trading pair.
+ * @param {number} options.intervalMs - REST polling interval.
+ * @param {boolean} [options.streaming] - Use WebSocket streams (paper exchanges always poll).
+ * @param {function} [options.notify] - Receives stream status messages.
+ * @param {function} [options.onTick] - Called after every successful REST tick.
+ * @param {function} [options.onError] - Receives errors from ticks and events.
+ * @param {function} [options.onHalt] - Called with the kill switch once it stops this runner.
+ * @returns {object} The runner, with stop(), pause() and resume() methods.
+ */
+function startGridRunner({
+  engine,
+  client,
+  symbol,
+  intervalMs,
+  streaming = !client.paper,
+  notify = console.log,
+  onTick = () => {},
+  onError = (error) => console.error('Error during monitoring:', error.response?.data || error.message),
+  onHalt = () => {},
+}) {
+  const connected = { market: false, user: false };
+  const streams = [];
+  let lastPriceAt = 0;
+  let paused = false;
+
+  const tick = () => (paused ? Promise.resolve() : engine.tick().then(onTick).catch(onError));
+  const streamsUp = () => streaming && connected.market && connected.user;
+
+  const timer = setInterval(() => {
+    if (!streamsUp()) tick();
+  }, intervalMs);
+
+  function watchStatus(stream, name) {
+    stream.on('status', (isConnected) => {
+      if (connected[name] === isConnected) return;
+      connected[name] = isConnected;
+
+      if (isConnected) {
+        notify(`[STREAM] ${name} stream connected for ${symbol}.`);
+        tick();
+      } else {
+        notify(`[STREAM] ${name} stream disconnected for ${symbol}. Falling back to REST polling.`);
+      }
+    });
+    stream.on('error', onError);
+    streams.push(stream);
+  }
+
+  // The kill switch stops every runner on the host, whatever it is doing
+  const killSwitchTimer = setInterval(() => {
+    const killSwitch = getKillSwitch();
+    if (!killSwitch) return;
+    stop();
+    Promise.resolve(onHalt(killSwitch)).catch(onError);
+  }, KILL_SWITCH_POLL_MS);
+
+  function stop() {
+    clearInterval(timer);
+    clearInterval(killSwitchTimer);
+    streams.forEach((stream) => stream.close());
+  }
+
+  if (streaming) {
+    const marketStream = createMarketStream({ symbols: [symbol], streamUrl: client.streamUrl });
+    marketStream.on('price', ({ symbol: eventSymbol, price }) => {
+      if (paused || eventSymbol !== symbol || Date.now() - lastPriceAt < PRICE_THROTTLE_MS) return;
+      lastPriceAt = Date.now();
+      engine.onPrice(price).catch(onError);
+    });
+    watchStatus(marketStream, 'market');
+
+    const userStream = createUserDataStream(client);
+    userStream.on('executionReport', (report) => {
+      // Fills that arrive while paused are picked up by the REST tick on resume
+      if (!paused && report.symbol === symbol) engine.onOrderUpdate(report).catch(onError);
+    });
+    watchStatus(userStream, 'user');
+  }
+
+  return {
+    stop,
+    // Stop reacting to prices and fills; open orders stay on the exchange
+    pause() {
+      paused = true;
+    },
+    // Catch up on anything that happened while paused, then carry on
+    resume() {
+      paused = false;
+      return tick();
+    },
+    isPaused: () => paused,
+    isStreaming: streamsUp,
+  };
+}
+
+module.exports = {
+  startGridRunner,
+};
@@ -0,0 +1,348 @@
+const { adjustQuantity, adjustPrice, isValidNotional, roundToStep, formatQuantity } = require('./symbolfilters');
+const { isOpenStatus } = require('./orderstate');
+const { sellableQuantity, planTakeProfit } = require('./feeschedule');
+
+// A trailing exit whose market sell failed waits this long before it tries again, doubling
+// with every further failure up to the maximum
+const TRAILING_RETRY_MS = 30 * 1000;
+const TRAILING_MAX_RETRY_MS = 30 * 60 * 1000;
+
+// Strategies are pure decision functions: given the grid state and the market, they return
+// a list of actions for the engine to carry out. They never touch the network or timers,
+// so the same code drives live trading, paper trading and backtests.
+//
+// Hooks: onStart (fresh grid only, optional), onFill (for fills on trackedSides), onTick.
+// onFill receives the order with quantity set to the newly filled amount, which is less than
+// orderQuantity for a partial fill. The market passed to every hook is { currentPrice, filters,
+// fees, time }, where fees is the account's fee schedule (see feeschedule.js) or null if unknown,
+// and time is the engine's clock in milliseconds.
+//
+// Actions:
+//   { type: 'NOTIFY', message }
+//   { type: 'PLACE_ORDER', side, quantity, price, linkedOrderId, level, continueOnError, orderType }
+//     - orderType 'MARKET' fills at once at the market, with price as the expected fill price;
+//     the default is a LIMIT order at price
+//   { type: 'SET_BASE_PRICE', price, message }
+//   { type: 'SET_EXIT', orderId, exit, message, ifPlaced }  - remember how a filled buy will be
+//     sold; the exit is saved with the order, so it survives restarts. With ifPlaced true it only
+//     applies when the PLACE_ORDER before it placed its order, with ifPlaced false only when it did not
+
+/**
+ * Create the drop-trigger strategy: buy when price falls percentageDrop below the base price,
+ * sell each filled buy at a take-profit, and raise the base price after a rally. The exit mode
+ * decides how a filled buy is sold: 'fixed' rests one sell at the take-profit price; 'trailing'
+ * arms once the price reaches the take-profit, follows the peak and sells at market when the price
+ * retraces trailingRetracePercent from it; 'laddered' splits the sell over exitLevels prices,
+ * exitStepPercent apart from the take-profit up.
+ * @param {object} params - Strategy parameters.
+ * @param {number} params.percentageDrop - Drop from the base price (in %) that triggers a buy.
+ * @param {number} params.percentageRise - Rise from the base price (in %) that resets the base price.
+ * @param {number} params.investment - Quote amount spent on each buy.
+ * @param {number} [params.buyOffset] - Buy limit price as a multiple of the current price.
+ * @param {number} [params.takeProfit] - Sell limit price as a multiple of the buy price.
+ * @param {number} [params.netProfitPercent] - Price each sell for this net profit (in %) after
+ *   the fees of both legs, instead of using takeProfit.
+ * @param {string} [params.exitMode] - 'fixed', 'trailing' or 'laddered'.
+ * @param {number} [params.trailingRetracePercent] - Trailing: retrace from the peak (in %) that sells.
+ * @param {number} [params.exitLevels] - Laddered: number of sell levels.
+ * @param {number} [params.exitStepPercent] - Laddered: distance between sell levels (in %).
+ * @param {boolean} [params.noBuys] - Only manage existing orders; never place new buys.
+ * @returns {object} The strategy.
+ */
+function createDropStrategy({
+  percentageDrop,
+  percentageRise,
+  investment,
+  buyOffset = 0.99,
+  takeProfit = 1.03012,
+  netProfitPercent,
+  exitMode = 'fixed',
+  trailingRetracePercent = 1,
+  exitLevels = 3,
+  exitStepPercent = 1,
+  noBuys = false,
+}) {
+  // Split a sell over up to exitLevels prices from the take-profit up, with fewer levels when
+  // an equal share would be below the pair's minimum order
+  function ladderSells(sell, filters) {
+    const { stepSize, minQty, tickSize, minPrice, minNotional } = filters;
+    for (let count = exitLevels; count > 1; count--) {
+      const share = Number(roundToStep(sell.quantity / count, stepSize, 'floor'));
+      const rest = Number(roundToStep(sell.quantity - share * (count - 1), stepSize, 'floor'));
+      const sells = Array.from({ length: count }, (_, i) => ({
+        quantity: i === count - 1 ? rest : share,
+        price: adjustPrice(sell.price * (1 + (i * exitStepPercent) / 100), tickSize, minPrice),
+      }));
+      if (sells.every(({ quantity, price }) => quantity >= minQty && isValidNotional(quantity, price, minNotional))) return sells;
+    }
+    return [{ quantity: sell.quantity, price: sell.price }];
+  }
+
+  // Sell every filled buy at its take-profit, sized to what the buy left after fees
+  function onFill(state, order, { filters, fees }) {
+    if (order.side !== 'BUY') return [];
+
+    const sell = planTakeProfit({ price: order.price, quantity: order.quantity, filters, fees, takeProfit, netProfitPercent });
+    const profit = fees
+      ? `expected net profit ${sell.netProfit.toFixed(4)} ${filters.quoteAsset} (${sell.netProfitPercent.toFixed(2)}%) after fees`
+      : 'fees not counted';
+    const filled = `[FILLED] Buy order ${order.orderId} filled for ${order.quantity} at price ${order.price}.`;
+
+    if (exitMode === 'trailing') {
+      // A partial fill adds to a trail that has not sold yet
+      const trail = state.orders.find((o) => o.orderId === order.orderId)?.exit;
+      const pending = trail && !trail.placed ? trail : null;
+      return [{
+        type: 'SET_EXIT',
+        orderId: order.orderId,
+        exit: {
+          mode: 'trailing',
+          quantity: (pending?.quantity || 0) + sell.quantity,
+          activationPrice: pending?.activationPrice ?? sell.price,
+          retracePercent: trailingRetracePercent,
+          peak: pending?.peak ?? null,
+        },
+        message: `${filled} Trailing ${sell.quantity} from ${sell.price} (${profit}), selling on a ${trailingRetracePercent}% retrace from the peak.`,
+      }];
+    }
+
+    if (exitMode === 'laddered') {
+      const sells = ladderSells(sell, filters);
+      return [
+        { type: 'NOTIFY', message: `${filled} Selling ${sell.quantity} over ${sells.length} levels from ${sell.price} to ${sells[sells.length - 1].price}; at the first level, ${profit}.` },
+        ...sells.map(({ quantity, price }) => ({ type: 'PLACE_ORDER', side: 'SELL', quantity, price, linkedOrderId: order.orderId, continueOnError: true })),
+      ];
+    }
+
+    return [
+      { type: 'NOTIFY', message: `${filled} Selling ${sell.quantity} at ${sell.price}, ${profit}.` },
+      { type: 'PLACE_ORDER', side: 'SELL', quantity: sell.quantity, price: sell.price, linkedOrderId: order.orderId },
+    ];
+  }
+
+  // Arm trailing exits at their take-profit, follow the peak, and sell at market on a retrace.
+  // A retrace that gaps below the buy price holds the exit instead of selling at a loss. The
+  // exit only counts as sold once the exchange takes the sell; until then it keeps following
+  // the peak and retries after a backoff that doubles with every failed sell.
+  function trailExits(state, { currentPrice, filters, time }) {
+    const actions = [];
+    for (const order of state.orders) {
+      const { exit } = order;
+      if (order.side !== 'BUY' || exit?.mode !== 'trailing' || exit.placed) continue;
+
+      if (exit.peak === null) {
+        if (currentPrice >= exit.activationPrice) {
+          actions.push({ type: 'SET_EXIT', orderId: order.orderId, exit: { ...exit, peak: currentPrice }, message: `[TRAILING] Price $${currentPrice} reached the take-profit of buy order ${order.orderId}. Trailing the peak.` });
+        }
+        continue;
+      }
+      if (currentPrice > exit.peak) {
+        actions.push({ type: 'SET_EXIT', orderId: order.orderId, exit: { ...exit, peak: currentPrice } });
+        continue;
+      }
+
+      const stopPrice = exit.peak * (1 - exit.retracePercent / 100);
+      if (currentPrice > stopPrice || time < (exit.retryAt || 0)) continue;
+      const cost = order.avgPrice || order.price;
+      if (currentPrice <= cost) {
+        if (!exit.heldAtCost) {
+          actions.push({ type: 'SET_EXIT', orderId: order.orderId, exit: { ...exit, heldAtCost: true }, message: `[TRAILING] Price gapped to $${currentPrice}, at or below the $${cost} buy order ${order.orderId} paid. Holding the exit until the price is back above it.` });
+        }
+        continue;
+      }
+
+      const quantity = Number(formatQuantity(exit.quantity, filters, 'MARKET'));
+      const failures = (exit.failures || 0) + 1;
+      const retryMs = Math.min(TRAILING_RETRY_MS * 2 ** (failures - 1), TRAILING_MAX_RETRY_MS);
+      actions.push(
+        { type: 'NOTIFY', message: `[TRAILING] Price fell to $${currentPrice}, ${exit.retracePercent}% or more below the peak of $${exit.peak}. Selling ${quantity} of buy order ${order.orderId} at market.` },
+        { type: 'PLACE_ORDER', side: 'SELL', orderType: 'MARKET', quantity, price: currentPrice, linkedOrderId: order.orderId, continueOnError: true },
+        { type: 'SET_EXIT', orderId: order.orderId, exit: { ...exit, placed: true }, ifPlaced: true },
+        {
+          type: 'SET_EXIT',
+          orderId: order.orderId,
+          exit: { ...exit, failures, retryAt: time + retryMs },
+          message: `[TRAILING] The sell for buy order ${order.orderId} failed ${failures === 1 ? 'once' : `${failures} times`}. Trying again in ${Math.round(retryMs / 1000)}s if the price is still below the retrace.`,
+          ifPlaced: false,
+        },
+      );
+    }
+    return actions;
+  }
+
+  // Trailing exits come first, so a sell is never held up by a new buy
+  function onTick(state, market) {
+    return [...trailExits(state, market), ...buyOrFollow(state, market)];
+  }
+
+  // Buy the dip, or follow the price up
+  function buyOrFollow(state, { currentPrice, filters }) {
+    const { basePrice } = state;
+    const priceDrop = ((basePrice - currentPrice) / basePrice) * 100;
+    const priceRise = ((currentPrice - basePrice) / basePrice) * 100;
+
+    if (!noBuys && priceDrop >= percentageDrop) {
+      const { minQty, stepSize, tickSize, minPrice, minNotional } = filters;
+      const quantity = adjustQuantity(investment / currentPrice, stepSize, minQty);
+      const price = adjustPrice(currentPrice * buyOffset, tickSize, minPrice);
+
+      if (!isValidNotional(quantity, price, minNotional)) {
+        return [{ type: 'NOTIFY', message: `Order notional value does not meet the minimum requirement (${minNotional}). Skipping order.` }];
+      }
+
+      return [
+        { type: 'NOTIFY', message: `[ALERT] Price dropped by ${priceDrop.toFixed(2)}% to $${currentPrice}. Placing buy order...` },
+        { type: 'PLACE_ORDER', side: 'BUY', quantity, price },
+        { type: 'SET_BASE_PRICE', price: currentPrice },
+      ];
+    }
+
+    if (priceRise >= percentageRise) {
+      return [{
+        type: 'SET_BASE_PRICE',
+        price: currentPrice,
+        message: `[INFO] Price rose by ${priceRise.toFixed(2)}% to $${currentPrice}. Updating base price...`,
+      }];
+    }
+
+    return [];
+  }
+
+  return {
+    name: 'drop',
+    params: {
+      percentageDrop, percentageRise, investment, buyOffset, takeProfit, netProfitPercent,
+      exitMode, trailingRetracePercent, exitLevels, exitStepPercent, noBuys,
+    },
+    trackedSides: ['BUY'],
+    onFill,
+    onTick,
+  };
+}
+
+/**
+ * Compute the grid's level prices between two bounds, lowest first.
+ * @param {object} params - Ladder parameters.
+ * @param {number} params.lowerPrice - Price of the lowest level.
+ * @param {number} params.upperPrice - Price of the highest level.
+ * @param {number} params.levels - Number of levels, including both bounds.
+ * @param {string} [params.spacing] - 'arithmetic' (equal price steps) or 'geometric' (equal percentage steps).
+ * @returns {number[]} The level prices.
+ */
+function getLadderPrices({ lowerPrice, upperPrice, levels, spacing = 'arithmetic' }) {
+  return Array.from({ length: levels }, (_, i) => {
+    const fraction = i / (levels - 1);
+    return spacing === 'geometric'
+      ? lowerPrice * (upperPrice / lowerPrice) ** fraction
+      : lowerPrice + (upperPrice - lowerPrice) * fraction;
+  });
+}
+
+/**
+ * Create the price-ladder grid strategy: rest BUY limits on every level below the market and
+ * SELL limits on every level above it, and whenever a level fills, place the opposite order
+ * one level away. The level nearest the market starts empty so every order has a free neighbour.
+ * @param {object} params - Strategy parameters.
+ * @param {number} params.lowerPrice - Price of the lowest level.
+ * @param {number} params.upperPrice - Price of the highest level.
+ * @param {number} params.levels - Number of levels, including both bounds.
+ * @param {string} [params.spacing] - 'arithmetic' or 'geometric'.
+ * @param {number} params.investment - Quote amount per level.
+ * @returns {object} The strategy.
+ */
+function createLadderStrategy({ lowerPrice, upperPrice, levels, spacing = 'arithmetic', investment }) {
+  if (!(lowerPrice > 0) || !(upperPrice > lowerPrice)) {
+    throw new Error('Ladder grid needs 0 < lowerPrice < upperPrice.');
+  }
+  if (!Number.isInteger(levels) || levels < 2) {
+    throw new Error('Ladder grid needs at least 2 levels.');
+  }
+  if (spacing !== 'arithmetic' && spacing !== 'geometric') {
+    throw new Error(`Unknown ladder spacing "${spacing}". Use arithmetic or geometric.`);
+  }
+  if (!(investment > 0)) {
+    throw new Error('Ladder grid needs a positive investment per level.');
+  }
+
+  const rawPrices = getLadderPrices({ lowerPrice, upperPrice, levels, spacing });
+
+  function levelPrice(level, filters) {
+    return adjustPrice(rawPrices[level], filters.tickSize, filters.minPrice);
+  }
+
+  function levelQuantity(level, filters) {
+    return adjustQuantity(investment / levelPrice(level, filters), filters.stepSize, filters.minQty);
+  }
+
+  // Pre-place the ladder around the current price
+  function onStart(state, { currentPrice, filters }) {
+    const nearest = rawPrices.reduce((best, price, i) => (
+      Math.abs(price - currentPrice) < Math.abs(rawPrices[best] - currentPrice) ? i : best
+    ), 0);
+    const actions = [{ type: 'NOTIFY', message: `[INFO] Placing ${levels - 1} ladder levels from $${lowerPrice} to $${upperPrice} (${spacing}).` }];
+
+    for (let level = 0; level < levels; level++) {
+      if (level === nearest) continue;
+
+      const price = levelPrice(level, filters);
+      const quantity = levelQuantity(level, filters);
+      if (!isValidNotional(quantity, price, filters.minNotional)) {
+        throw new Error(`Level ${level} ($${price}) does not meet the minimum notional (${filters.minNotional}). Raise the investment per level.`);
+      }
+
+      // Open orders left from an earlier run already cover their level
+      if (state.orders.some((order) => isOpenStatus(order.status) && Math.abs(order.price - price) < filters.tickSize / 2)) continue;
+
+      const side = level < nearest ? 'BUY' : 'SELL';
+      actions.push({ type: 'PLACE_ORDER', side, quantity, price, level, continueOnError: true });
+    }
+
+    return actions;
+  }
+
+  // Replace a filled level with the opposite order one level away
+  function onFill(state, order, { filters, fees }) {
+    const next = order.side === 'BUY' ? order.level + 1 : order.level - 1;
+    const actions = [{ type: 'NOTIFY', message: `[FILLED] ${order.side} order ${order.orderId} filled for ${order.quantity} at price ${order.price}.` }];
+
+    if (order.level === undefined || next < 0 || next >= levels) return actions;
+
+    // A partial fill (order.quantity below order.orderQuantity) buys back a proportional amount;
+    // a sell only offers what the buy left after fees
+    const side = order.side === 'BUY' ? 'SELL' : 'BUY';
+    const share = order.orderQuantity ? order.quantity / order.orderQuantity : 1;
+    const quantity = side === 'SELL'
+      ? sellableQuantity(order.quantity, filters, fees)
+      : adjustQuantity(levelQuantity(next, filters) * share, filters.stepSize, filters.minQty);
+    actions.push({ type: 'PLACE_ORDER', side, quantity, price: levelPrice(next, filters), level: next, linkedOrderId: order.orderId });
+    return actions;
+  }
+
+  return {
+    name: 'ladder',
+    params: { lowerPrice, upperPrice, levels, spacing, investment },
+    trackedSides: ['BUY', 'SELL'],
+    onStart,
+    onFill,
+    onTick: () => [],
+  };
+}
+
+/**
+ * Create a strategy by name.
+ * @param {string} name - 'drop' or 'ladder'.
+ * @param {object} params - The strategy's parameters.
+ * @returns {object} The strategy.
+ */
+function createStrategy(name, params) {
+  if (name === 'drop') return createDropStrategy(params);
+  if (name === 'ladder') return createLadderStrategy(params);
+  throw new Error(`Unknown strategy "${name}". Use drop or ladder.`);
+}
+
+module.exports = {
+  createDropStrategy,
+  createLadderStrategy,
+  createStrategy,
+  getLadderPrices,
+};
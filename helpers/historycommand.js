@@ -0,0 +1,97 @@
+const fs = require('fs');
+const { DEFAULT_EXCHANGE, createExchange } = require('./exchanges');
+const { INTERVALS, createPriceHistory, backfillHistory, toCsv } = require('./pricehistory');
+const { usageError } = require('./clioutput');
+
+const HISTORY_FORMATS = ['text', 'json', 'csv'];
+
+// Flags of `gridkyc history`, for parseArgs
+const HISTORY_OPTIONS = {
+  interval: { type: 'string', default: '1h' },
+  limit: { type: 'string', default: '24' },
+  from: { type: 'string' },
+  to: { type: 'string' },
+  backfill: { type: 'string' },
+  format: { type: 'string', default: 'text' },
+  output: { type: 'string' },
+};
+
+const HISTORY_USAGE = `Usage: gridkyc history <symbol> [options]
+
+Reads price history recorded by "gridkyc monitor --record". CSV output can be fed straight
+into "gridkyc backtest".
+
+Options:
+  --exchange <name>   binance-us, binance or binance-testnet (default: EXCHANGE or binance-us)
+  --interval <name>   1m, 5m, 1h or 1d (default: 1h)
+  --limit <count>     Only the last <count> candles (default: 24)
+  --from <date>       Start date or time, e.g. 2024-05-01; overrides --limit
+  --to <date>         End date or time (default: now)
+  --backfill <days>   First fetch missing 1m candles from the exchange, <days> back on a first run
+  --format <format>   text, json or csv (default: text; json with --json)
+  --output <file>     Write the candles to a file instead of printing them`;
+
+// Parse a date flag into milliseconds
+function parseTime(value, name) {
+  if (value === undefined) return undefined;
+  const time = Date.parse(value);
+  if (isNaN(time)) throw usageError(`--${name} must be a date or time, e.g. 2024-05-01 or 2024-05-01T12:00:00Z.`);
+  return time;
+}
+
+/**
+ * Run `gridkyc history`: print or export recorded candles, optionally backfilling them first.
+ * @param {object} flags - Parsed HISTORY_OPTIONS, plus exchange and json.
+ * @param {string[]} positionals - [symbol].
+ * @param {object} output - The CLI output from createCliOutput.
+ * @returns {Promise<void>}
+ */
+async function runHistory(flags, positionals, output) {
+  if (positionals.length !== 1) throw usageError(positionals.length ? `Unexpected argument "${positionals[1]}".` : 'Missing <symbol>.');
+  if (!Object.hasOwn(INTERVALS, flags.interval)) throw usageError(`--interval must be 1m, 5m, 1h or 1d, not "${flags.interval}".`);
+  const format = flags.json ? 'json' : flags.format;
+  if (!HISTORY_FORMATS.includes(format)) throw usageError(`--format must be text, json or csv, not "${format}".`);
+  const from = parseTime(flags.from, 'from');
+  const to = parseTime(flags.to, 'to');
+
+  const symbol = positionals[0].toUpperCase();
+  const exchange = flags.exchange || DEFAULT_EXCHANGE;
+  const history = createPriceHistory(symbol, { exchange });
+
+  if (flags.backfill !== undefined) {
+    // Market data only; no API key needed
+    const added = await backfillHistory(createExchange(exchange), history, { backfillDays: Number(flags.backfill) });
+    console.error(`Backfilled ${added} 1m candles for ${symbol}.`);
+  }
+
+  const candles = history.getCandles(flags.interval, {
+    from,
+    to,
+    limit: from === undefined ? Number(flags.limit) : undefined,
+  });
+
+  const data = { symbol, exchange, interval: flags.interval, candles };
+  let report;
+  if (format === 'csv') {
+    report = toCsv(candles);
+  } else if (format === 'json') {
+    report = JSON.stringify(data, null, 2);
+  } else {
+    report = candles.length
+      ? candles.map((c) => `${new Date(c.time).toISOString()} O ${c.open} H ${c.high} L ${c.low} C ${c.close} V ${c.volume}`).join('\n')
+      : `No ${flags.interval} candles recorded for ${symbol} in that range.`;
+  }
+
+  if (flags.output) {
+    fs.writeFileSync(flags.output, `${report}\n`);
+    output.result(`Wrote ${candles.length} ${flags.interval} candles for ${symbol} to ${flags.output}`, { symbol, interval: flags.interval, candles: candles.length, file: flags.output });
+  } else {
+    output.result(report, data);
+  }
+}
+
+module.exports = {
+  HISTORY_OPTIONS,
+  HISTORY_USAGE,
+  runHistory,
+};
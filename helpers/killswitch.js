@@ -0,0 +1,68 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_KILL_SWITCH_FILE = process.env.KILL_SWITCH_FILE || path.join(__dirname, '..', 'data', 'killswitch.json');
+
+// The kill switch is a file, so one flip reaches every bot process on the host: gridkyc
+// grids and the Discord bot all check it before placing orders and while they run.
+
+/**
+ * Read the kill switch.
+ * @param {string} [filePath] - The kill switch file.
+ * @returns {object|null} { reason, cancelOrders, engagedBy, engagedAt } while engaged, otherwise null.
+ */
+function getKillSwitch(filePath = DEFAULT_KILL_SWITCH_FILE) {
+  if (!fs.existsSync(filePath)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    // A half-written or corrupt file still means someone pulled the switch
+    return { reason: 'Kill switch file could not be read.', cancelOrders: false };
+  }
+}
+
+/**
+ * Engage the kill switch: every grid halts, and new grids and orders are refused.
+ * @param {object} options - Kill switch options.
+ * @param {string} [options.reason] - Why the switch was pulled.
+ * @param {boolean} [options.cancelOrders] - Whether halting grids also cancel their open orders.
+ * @param {string} [options.engagedBy] - Who pulled the switch.
+ * @param {string} [filePath] - The kill switch file.
+ * @returns {object} The kill switch as written.
+ */
+function engageKillSwitch({ reason = 'No reason given.', cancelOrders = false, engagedBy = 'unknown' } = {}, filePath = DEFAULT_KILL_SWITCH_FILE) {
+  const killSwitch = { reason, cancelOrders, engagedBy, engagedAt: new Date().toISOString() };
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tempPath = `${filePath}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(killSwitch, null, 2));
+  fs.renameSync(tempPath, filePath);
+  return killSwitch;
+}
+
+/**
+ * Release the kill switch. Halted grids stay stopped until they are started again.
+ * @param {string} [filePath] - The kill switch file.
+ * @returns {boolean} Whether the switch was engaged.
+ */
+function releaseKillSwitch(filePath = DEFAULT_KILL_SWITCH_FILE) {
+  if (!fs.existsSync(filePath)) return false;
+  fs.unlinkSync(filePath);
+  return true;
+}
+
+/**
+ * Describe the kill switch for the console or Discord.
+ * @param {object|null} killSwitch - The kill switch from getKillSwitch.
+ * @returns {string} The description.
+ */
+function formatKillSwitch(killSwitch) {
+  if (!killSwitch) return 'Kill switch is off.';
+  return `Kill switch is ENGAGED since ${killSwitch.engagedAt} by ${killSwitch.engagedBy}: ${killSwitch.reason}${killSwitch.cancelOrders ? ' (open orders are canceled)' : ''}`;
+}
+
+module.exports = {
+  getKillSwitch,
+  engageKillSwitch,
+  releaseKillSwitch,
+  formatKillSwitch,
+};
@@ -0,0 +1,74 @@
+const { DEFAULT_EXCHANGE, getExchangeProfile, createExchange } = require('./exchanges');
+const { createAlertEngine, createAlertDelivery, formatAlert } = require('./alertengine');
+const { startPriceWatcher } = require('./pricewatcher');
+const { startPriceRecorder } = require('./pricehistory');
+const { usageError } = require('./clioutput');
+
+// Flags of `gridkyc monitor`, for parseArgs
+const MONITOR_OPTIONS = {
+  interval: { type: 'string', default: '2' },
+  record: { type: 'boolean', default: false },
+  backfill: { type: 'string', default: '1' },
+};
+
+const MONITOR_USAGE = `Usage: gridkyc monitor [symbols...] [options]
+
+Logs live prices for the given symbols (default: BTCUSDT) and evaluates every saved alert.
+Webhook alerts are sent from here; channel and DM alerts are only logged, since discordbot.js
+delivers those itself. Manage alerts with /alert in Discord.
+
+Options:
+  --exchange <name>   binance-us, binance or binance-testnet (default: EXCHANGE or binance-us)
+  --interval <min>    REST polling interval while a stream is down (default: 2)
+  --record            Record ticks and 1m candles for the given symbols; read them with "gridkyc history"
+  --backfill <days>   --record: candles to fetch on a symbol's first run (default: 1)
+  --json              Print prices and alerts as JSON lines`;
+
+/**
+ * Run `gridkyc monitor`: log prices and evaluate alerts until the process ends.
+ * @param {object} flags - Parsed MONITOR_OPTIONS, plus exchange.
+ * @param {string[]} positionals - The symbols to log.
+ * @param {object} output - The CLI output from createCliOutput.
+ */
+function runMonitor(flags, positionals, output) {
+  const exchange = flags.exchange || DEFAULT_EXCHANGE;
+  const symbols = (positionals.length ? positionals : ['BTCUSDT']).map((symbol) => symbol.toUpperCase());
+  const intervalMs = Number(flags.interval) * 60 * 1000;
+  if (!(intervalMs > 0)) throw usageError('--interval must be a positive number of minutes.');
+  if (!(Number(flags.backfill) >= 0)) throw usageError('--backfill must be a number of days.');
+  getExchangeProfile(exchange);
+
+  const engine = createAlertEngine({ deliver: createAlertDelivery() });
+  const alerts = engine.list();
+  output.event(`Monitoring ${symbols.join(', ')} on ${getExchangeProfile(exchange).label}, polling every ${flags.interval} minutes while a stream is down.`);
+  output.event(alerts.length ? `${alerts.length} alert(s):\n${alerts.map(formatAlert).join('\n')}` : 'No alerts saved.');
+
+  const recorder = flags.record
+    ? startPriceRecorder({ client: createExchange(exchange), symbols, backfillDays: Number(flags.backfill) })
+    : null;
+
+  // Watch the logged symbols as well as every symbol an alert needs
+  function getSymbols() {
+    const watched = engine.getSymbols();
+    watched[exchange] = [...new Set([...symbols, ...(watched[exchange] || [])])];
+    return watched;
+  }
+
+  startPriceWatcher({
+    getSymbols,
+    intervalMs,
+    onPrice: async (tick) => {
+      if (tick.exchange === exchange && symbols.includes(tick.symbol)) {
+        output.event(`Current price of ${tick.symbol}: $${tick.price}`, { symbol: tick.symbol, price: tick.price });
+        if (recorder) recorder.recordTick(tick.symbol, tick.price, tick.time);
+      }
+      await engine.onPrice(tick);
+    },
+  });
+}
+
+module.exports = {
+  MONITOR_OPTIONS,
+  MONITOR_USAGE,
+  runMonitor,
+};
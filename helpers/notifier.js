@@ -0,0 +1,323 @@
+const axios = require('axios');
+const { redact } = require('./redact');
+
+// Severity levels, least important first
+const SEVERITIES = ['debug', 'info', 'trade', 'warning', 'critical'];
+const DIGEST_PERIODS = { off: null, hourly: 60 * 60 * 1000, daily: 24 * 60 * 60 * 1000 };
+const WEBHOOK_TIMEOUT_MS = 10 * 1000;
+// Discord allows 5 messages per 5 seconds per channel, 2000 characters and 10 embeds each
+const DEFAULT_SEND_LIMIT = 5;
+const DEFAULT_SEND_INTERVAL_MS = 5000;
+const MAX_CONTENT_LENGTH = 2000;
+const MAX_EMBEDS = 10;
+const DIGEST_EVENT_LIMIT = 10;
+
+/**
+ * Where a user's grid events go unless they change it: trades, warnings and critical events
+ * are posted in the grid's channel, critical ones are also DMed, and the rest is summed up in
+ * an hourly digest.
+ */
+const DEFAULT_PREFERENCES = { channel: 'trade', dm: 'critical', digest: 'hourly' };
+
+// Grid events carry their kind as a prefix; anything unrecognized is info
+const SEVERITY_PATTERNS = [
+  { severity: 'critical', pattern: /^\[KILL SWITCH\]/ },
+  { severity: 'warning', pattern: /^\[(ERROR|REJECTED|RISK|CANCELED|EXPIRED|EXPIRED_IN_MATCH)\]/ },
+  { severity: 'warning', pattern: /^\[STREAM\].* disconnected/ },
+  { severity: 'trade', pattern: /^\[(FILLED|PARTIAL FILL|CYCLE CLOSED)\]/ },
+  { severity: 'debug', pattern: /^Current price of / },
+];
+
+const PRICE_PATTERN = /^Current price of \S+: \$([\d.]+)/;
+
+/**
+ * Work out the severity of a grid event from its prefix.
+ * @param {string} message - The event.
+ * @returns {string} One of SEVERITIES.
+ */
+function classifyMessage(message) {
+  return SEVERITY_PATTERNS.find(({ pattern }) => pattern.test(message))?.severity || 'info';
+}
+
+// Whether a severity reaches a threshold; 'off' is never reached
+function meetsThreshold(severity, threshold) {
+  return threshold !== 'off' && SEVERITIES.indexOf(severity) >= SEVERITIES.indexOf(threshold);
+}
+
+/**
+ * Check notification preferences.
+ * @param {object} preferences - { digest, plus a threshold per target: a severity or 'off' }.
+ * @param {string[]} targets - The targets the preferences may name.
+ * @returns {string[]} Problems found; empty when the preferences are valid.
+ */
+function validatePreferences(preferences, targets) {
+  const problems = [];
+  for (const [key, value] of Object.entries(preferences)) {
+    if (key === 'digest') {
+      if (!(value in DIGEST_PERIODS)) problems.push(`digest must be one of ${Object.keys(DIGEST_PERIODS).join(', ')}.`);
+    } else if (!targets.includes(key)) {
+      problems.push(`Unknown notification target "${key}".`);
+    } else if (value !== 'off' && !SEVERITIES.includes(value)) {
+      problems.push(`${key} must be off or one of ${SEVERITIES.join(', ')}.`);
+    }
+  }
+  return problems;
+}
+
+/**
+ * Describe notification preferences on one line.
+ * @param {object} preferences - The preferences.
+ * @returns {string} The description.
+ */
+function formatPreferences(preferences) {
+  return Object.entries(preferences)
+    .map(([key, value]) => (key === 'digest' ? `digest ${value}` : `${key} ${value === 'off' ? 'off' : `${value} and above`}`))
+    .join(', ');
+}
+
+/**
+ * Queue messages for a destination so they go out within its rate limit. Whatever queued up
+ * while waiting is merged into as few messages as fit, so a burst of events never falls behind.
+ * @param {function} send - Sends one payload: { content, embeds }.
+ * @param {object} [options] - Outbox options.
+ * @param {number} [options.limit] - Messages allowed per interval.
+ * @param {number} [options.intervalMs] - The rate limit interval.
+ * @param {boolean} [options.merge] - Whether queued payloads may be merged (default true).
+ * @param {function} [options.onError] - Receives errors from send.
+ * @returns {object} The outbox, with send(payload) taking text or a payload.
+ */
+function createOutbox(send, {
+  limit = DEFAULT_SEND_LIMIT,
+  intervalMs = DEFAULT_SEND_INTERVAL_MS,
+  merge = true,
+  onError = (error) => console.error(`Error sending a notification: ${error.message}`),
+} = {}) {
+  const queue = [];
+  const sentAt = [];
+  const inFlight = new Set();
+  let timer = null;
+
+  function schedule() {
+    if (timer || queue.length === 0) return;
+    const now = Date.now();
+    while (sentAt.length && sentAt[0] <= now - intervalMs) sentAt.shift();
+    const wait = sentAt.length < limit ? 0 : sentAt[0] + intervalMs - now;
+    timer = setTimeout(flush, wait);
+  }
+
+  // Merge queued payloads while the result is still one valid message
+  function takeBatch() {
+    const batch = queue.shift();
+    while (merge && queue.length && !batch.components && !queue[0].components) {
+      const content = [batch.content, queue[0].content].filter(Boolean).join('\n');
+      const embeds = [...(batch.embeds || []), ...(queue[0].embeds || [])];
+      if (content.length > MAX_CONTENT_LENGTH || embeds.length > MAX_EMBEDS) break;
+      queue.shift();
+      if (content) batch.content = content;
+      if (embeds.length) batch.embeds = embeds;
+    }
+    return batch;
+  }
+
+  function sendBatch() {
+    const batch = takeBatch();
+    sentAt.push(Date.now());
+    const sending = Promise.resolve().then(() => send(batch)).catch(onError);
+    inFlight.add(sending);
+    sending.finally(() => inFlight.delete(sending));
+  }
+
+  function flush() {
+    timer = null;
+    sendBatch();
+    schedule();
+  }
+
+  return {
+    send(payload) {
+      const message = typeof payload === 'string' ? { content: payload } : { ...payload };
+      if (message.content) message.content = message.content.slice(0, MAX_CONTENT_LENGTH);
+      queue.push(message);
+      schedule();
+    },
+    pending: () => queue.length,
+    // Send everything queued right away, ignoring the rate limit, e.g. before exiting
+    async drain() {
+      clearTimeout(timer);
+      timer = null;
+      while (queue.length) sendBatch();
+      await Promise.all([...inFlight]);
+    },
+  };
+}
+
+/**
+ * Create a notification target that POSTs to a webhook. The JSON body's `content` field also
+ * makes it a valid Discord webhook message.
+ * @param {string} url - The https:// URL to POST to.
+ * @param {object} [options] - { label } naming the bot in every payload.
+ * @returns {object} The target, with send(message, severity) and drain().
+ */
+function createWebhookTarget(url, { label = 'GridBot' } = {}) {
+  if (!/^https:\/\//.test(url)) throw new Error('A notification webhook needs an https:// URL.');
+  const outbox = createOutbox(({ content, severity }) => axios.post(url, {
+    content,
+    source: label,
+    severity,
+    time: new Date().toISOString(),
+  }, { timeout: WEBHOOK_TIMEOUT_MS }), {
+    // One severity per POST, so every payload keeps an accurate one
+    merge: false,
+    onError: (error) => console.error(`Error posting to the notification webhook: ${error.response?.status || error.message}`),
+  });
+
+  return {
+    send(message, severity) {
+      outbox.send({ content: redact(`[${severity.toUpperCase()}] ${message}`), severity });
+    },
+    drain: outbox.drain,
+  };
+}
+
+// Start of the digest period a time falls in, in UTC
+function periodStartOf(time, periodMs) {
+  return time - (time % periodMs);
+}
+
+// Digests may go to webhooks as well as Discord, so times are plain UTC
+function formatTime(time) {
+  return `${new Date(time).toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+}
+
+/**
+ * Route a grid's events by severity. Each target gets the events at or above its threshold;
+ * everything else, and everything while the grid is muted, is collected into a digest sent
+ * every hour or day. Critical events get through a mute.
+ * @param {object} options - Notifier options.
+ * @param {string} options.label - Names the grid in digests, e.g. its symbol.
+ * @param {object} options.targets - Targets by name: { send(message, severity),
+ *   observe(message, severity)? }; observe sees the events the target does not get.
+ * @param {object} [options.preferences] - { digest, plus a threshold per target }.
+ * @param {function} [options.sendDigest] - Sends a digest; without it no digest is kept.
+ * @returns {object} The notifier.
+ */
+function createNotifier({ label, targets, preferences = {}, sendDigest }) {
+  let settings = { ...preferences };
+  let mutedUntil = null;
+  let digest = null;
+  let digestTimer = null;
+
+  function emptyDigest(time) {
+    return { startedAt: time, counts: {}, prices: [], events: [] };
+  }
+
+  function collect(message, severity) {
+    if (!sendDigest || !DIGEST_PERIODS[settings.digest]) return;
+    if (!digest) digest = emptyDigest(Date.now());
+
+    digest.counts[severity] = (digest.counts[severity] || 0) + 1;
+    const price = PRICE_PATTERN.exec(message);
+    if (price) {
+      digest.prices.push(Number(price[1]));
+    } else if (severity !== 'debug') {
+      digest.events.push(message.split('\n')[0].slice(0, 200));
+      if (digest.events.length > DIGEST_EVENT_LIMIT) digest.events.shift();
+    }
+  }
+
+  function formatDigest() {
+    const { startedAt, counts, prices, events } = digest;
+    const lines = [`**${settings.digest === 'daily' ? 'Daily' : 'Hourly'} digest for ${label}** since ${formatTime(startedAt)}`];
+    if (prices.length) {
+      lines.push(`Price: ${prices.length} checks between $${Math.min(...prices)} and $${Math.max(...prices)}, last $${prices[prices.length - 1]}`);
+    }
+    const tally = SEVERITIES.filter((severity) => severity !== 'debug' && counts[severity])
+      .map((severity) => `${counts[severity]} ${severity}`);
+    if (tally.length) lines.push(`Events: ${tally.join(', ')}${events.length ? '. Latest:' : ''}`);
+    return [...lines, ...events.map((event) => `- ${event}`)].join('\n');
+  }
+
+  // Send the digest collected so far; a muted grid keeps collecting until it is unmuted
+  function flushDigest() {
+    if (!digest || isMuted()) return;
+    const text = formatDigest();
+    digest = null;
+    Promise.resolve().then(() => sendDigest(text)).catch((error) => console.error(`Error sending the ${label} digest: ${error.message}`));
+  }
+
+  // Send digests at the top of every hour, or at midnight UTC
+  function scheduleDigest() {
+    clearTimeout(digestTimer);
+    const periodMs = DIGEST_PERIODS[settings.digest];
+    if (!sendDigest || !periodMs) {
+      digest = null;
+      return;
+    }
+    const now = Date.now();
+    digestTimer = setTimeout(() => {
+      flushDigest();
+      scheduleDigest();
+    }, periodStartOf(now, periodMs) + periodMs - now);
+  }
+
+  function isMuted() {
+    if (mutedUntil !== null && Date.now() >= mutedUntil) mutedUntil = null;
+    return mutedUntil !== null;
+  }
+
+  function notify(message, severity = classifyMessage(message)) {
+    const muted = isMuted() && severity !== 'critical';
+    let delivered = false;
+
+    for (const [name, target] of Object.entries(targets)) {
+      if (!muted && meetsThreshold(severity, settings[name] ?? 'off')) {
+        target.send(message, severity);
+        delivered = true;
+      } else if (target.observe) {
+        target.observe(message, severity);
+      }
+    }
+    if (!delivered) collect(message, severity);
+  }
+
+  scheduleDigest();
+
+  return {
+    notify,
+    // Apply changed preferences to a running grid
+    configure(next) {
+      const digestChanged = next.digest !== settings.digest;
+      settings = { ...next };
+      if (digestChanged) scheduleDigest();
+    },
+    getPreferences: () => ({ ...settings }),
+    // Hold back everything but critical events, for a number of minutes or until unmuted
+    mute(minutes) {
+      mutedUntil = minutes ? Date.now() + minutes * 60 * 1000 : Infinity;
+    },
+    unmute() {
+      mutedUntil = null;
+    },
+    // When the mute ends: a time in ms, Infinity until unmuted, or null when not muted
+    getMutedUntil: () => (isMuted() ? mutedUntil : null),
+    flushDigest,
+    // Stop the digest timer and send what it collected
+    stop() {
+      clearTimeout(digestTimer);
+      mutedUntil = null;
+      flushDigest();
+    },
+  };
+}
+
+module.exports = {
+  SEVERITIES,
+  DIGEST_PERIODS,
+  DEFAULT_PREFERENCES,
+  classifyMessage,
+  validatePreferences,
+  formatPreferences,
+  createOutbox,
+  createWebhookTarget,
+  createNotifier,
+};
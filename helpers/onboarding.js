@@ -0,0 +1,193 @@
+const crypto = require('crypto');
+
+// Bump when the terms change, so every user accepts the new ones before their next grid
+const RISK_TERMS_VERSION = 1;
+// Accounts can hold dozens of dust balances; the report lists the first ones
+const MAX_LISTED_BALANCES = 10;
+
+const RISK_TERMS = [
+  'Grid trading places real orders with your funds. Prices can fall further than the grid reaches, leaving you holding assets worth less than you paid.',
+  'Past results and backtests do not predict future returns. You can lose some or all of the capital you trade with.',
+  'Orders can fail, fill partially or fill late because of exchange outages, rate limits or network problems. The bot may be unavailable at any time.',
+  'You are responsible for your account, your API key and the taxes on your trades. Only trade with money you can afford to lose.',
+];
+
+/**
+ * Identify an API key without storing it, so onboarding can tell when a user replaced their key.
+ * @param {string} apiKey - The API key.
+ * @returns {string} A short fingerprint of the key.
+ */
+function keyFingerprint(apiKey) {
+  return crypto.createHash('sha256').update(apiKey).digest('hex').slice(0, 16);
+}
+
+const errorText = (error) => error.response?.data?.msg || error.message;
+
+/**
+ * Audit an API key before any grid trades with it. The key must be accepted by the exchange,
+ * must not be allowed to withdraw, and must be allowed to trade spot. The audit also reports
+ * the account's balances, and warns about what it does not refuse, like keys without an IP
+ * restriction or an empty account.
+ * @param {object} exchange - An exchange adapter from createExchange, with the key to audit.
+ * @param {object} [options] - Audit options.
+ * @param {string} [options.symbol] - A pair the user means to trade, to check its base and quote balances.
+ * @returns {Promise<object>} { passed, checks: [{ name, ok, detail }], warnings, balances, pair };
+ *   a check's ok is null when the exchange cannot tell.
+ */
+async function auditApiKey(exchange, { symbol } = {}) {
+  const checks = [];
+  const warnings = [];
+
+  let account;
+  try {
+    account = await exchange.getAccountStatus();
+  } catch (error) {
+    checks.push({ name: 'API key', ok: false, detail: `${exchange.label} rejected the key: ${errorText(error)}` });
+    return { passed: false, checks, warnings, balances: null, pair: null };
+  }
+  checks.push({ name: 'API key', ok: true, detail: `Accepted by ${exchange.label}.` });
+
+  let restrictions = null;
+  let restrictionsError = null;
+  try {
+    restrictions = await exchange.getApiKeyRestrictions();
+  } catch (error) {
+    restrictionsError = errorText(error);
+  }
+
+  // A key that can withdraw could empty the account if it ever leaked
+  if (restrictionsError) {
+    checks.push({ name: 'Withdrawals disabled', ok: false, detail: `Could not read the key's permissions: ${restrictionsError}` });
+  } else if (!restrictions) {
+    checks.push({ name: 'Withdrawals disabled', ok: null, detail: `${exchange.label} does not report key permissions.` });
+  } else if (restrictions.withdrawals !== false) {
+    checks.push({ name: 'Withdrawals disabled', ok: false, detail: 'The key can withdraw funds. Create a key without withdrawal permission.' });
+  } else {
+    checks.push({ name: 'Withdrawals disabled', ok: true, detail: 'The key cannot withdraw funds.' });
+  }
+
+  const spotPermitted = account.permissions.length === 0 || account.permissions.includes('SPOT');
+  if (!account.canTrade || !spotPermitted) {
+    checks.push({ name: 'Spot trading enabled', ok: false, detail: 'The account may not trade spot.' });
+  } else if (restrictions && restrictions.spotTrading !== true) {
+    checks.push({ name: 'Spot trading enabled', ok: false, detail: 'The key is not allowed to trade. Enable spot trading for it.' });
+  } else {
+    checks.push({ name: 'Spot trading enabled', ok: true, detail: 'The key can place spot orders.' });
+  }
+
+  if (restrictions && !restrictions.ipRestrict) {
+    warnings.push('The key works from any IP address. Restricting it to the bot\'s IP is recommended.');
+  }
+  if (restrictions?.universalTransfer) {
+    warnings.push('The key can move funds between accounts. The bot never needs that permission.');
+  }
+
+  const balances = await exchange.getBalances();
+  let pair = null;
+  if (symbol) {
+    const { baseAsset, quoteAsset } = await exchange.getTradingPairInfo(symbol);
+    pair = { symbol, baseAsset, quoteAsset };
+    if (!balances[quoteAsset]?.free) warnings.push(`The account has no free ${quoteAsset} to buy ${baseAsset} with.`);
+  } else if (Object.keys(balances).length === 0) {
+    warnings.push('The account holds no assets yet. Deposit some before starting a grid.');
+  }
+
+  return { passed: checks.every(({ ok }) => ok !== false), checks, warnings, balances, pair };
+}
+
+// Describe balances, e.g. "USDT 120.5 free, 10 locked"
+function formatBalance(asset, balance) {
+  if (!balance) return `${asset} 0`;
+  return `${asset} ${balance.free} free${balance.locked ? `, ${balance.locked} locked` : ''}`;
+}
+
+/**
+ * Describe an audit for the user.
+ * @param {object} audit - The audit from auditApiKey.
+ * @param {string} label - The exchange, e.g. "Binance US".
+ * @returns {string} The report.
+ */
+function formatAudit(audit, label) {
+  const mark = (ok) => (ok === null ? '–' : ok ? '✔' : '✘');
+  const lines = [`**${label} API key check: ${audit.passed ? 'passed' : 'failed'}**`];
+  audit.checks.forEach(({ name, ok, detail }) => lines.push(`${mark(ok)} ${name}: ${detail}`));
+  audit.warnings.forEach((warning) => lines.push(`⚠ ${warning}`));
+
+  if (audit.pair) {
+    const { symbol, baseAsset, quoteAsset } = audit.pair;
+    lines.push(`Balances for ${symbol}: ${formatBalance(quoteAsset, audit.balances[quoteAsset])}; ${formatBalance(baseAsset, audit.balances[baseAsset])}`);
+  } else if (audit.balances && Object.keys(audit.balances).length) {
+    const listed = Object.entries(audit.balances).slice(0, MAX_LISTED_BALANCES).map(([asset, balance]) => formatBalance(asset, balance));
+    const more = Object.keys(audit.balances).length - listed.length;
+    lines.push(`Balances: ${listed.join('; ')}${more > 0 ? ` and ${more} more` : ''}`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Describe the risk terms a user must accept.
+ * @returns {string} The terms.
+ */
+function formatRiskTerms() {
+  return ['**Before you trade, please read and accept these terms:**', ...RISK_TERMS.map((term, i) => `${i + 1}. ${term}`)].join('\n');
+}
+
+/**
+ * Record the outcome of an audit in a user's onboarding status.
+ * @param {object} onboarding - The user's onboarding status; see onboardingProblem.
+ * @param {string} exchange - The exchange the key is for.
+ * @param {string} apiKey - The audited key.
+ * @param {object} audit - The audit from auditApiKey.
+ * @returns {object} The updated onboarding status.
+ */
+function recordAudit(onboarding, exchange, apiKey, audit) {
+  const key = {
+    status: audit.passed ? 'passed' : 'failed',
+    keyFingerprint: keyFingerprint(apiKey),
+    checkedAt: new Date().toISOString(),
+    problems: audit.checks.filter(({ ok }) => ok === false).map(({ name, detail }) => `${name}: ${detail}`),
+  };
+  return { ...onboarding, keys: { ...onboarding.keys, [exchange]: key } };
+}
+
+/**
+ * Record that a user accepted the current risk terms.
+ * @param {object} onboarding - The user's onboarding status.
+ * @returns {object} The updated onboarding status.
+ */
+function acceptRiskTerms(onboarding) {
+  return { ...onboarding, terms: { version: RISK_TERMS_VERSION, acceptedAt: new Date().toISOString() } };
+}
+
+// Whether the user accepted the terms as they are now
+const hasAcceptedTerms = (onboarding) => onboarding.terms?.version === RISK_TERMS_VERSION;
+
+/**
+ * Work out whether a user may trade with a key: the key passed its audit and is still the
+ * audited one, and the user accepted the current risk terms.
+ * @param {object} onboarding - The user's onboarding status: { terms: { version, acceptedAt },
+ *   keys: { [exchange]: { status, keyFingerprint, checkedAt, problems } } }.
+ * @param {string} exchange - The exchange the grid trades on.
+ * @param {string} apiKey - The key the grid would trade with.
+ * @returns {string|null} Why the user may not trade yet, or null if they may.
+ */
+function onboardingProblem(onboarding, exchange, apiKey) {
+  const key = onboarding.keys?.[exchange];
+  if (!key) return 'Your API key has not been checked yet.';
+  if (key.keyFingerprint !== keyFingerprint(apiKey)) return 'Your API key changed since it was checked.';
+  if (key.status !== 'passed') return `Your API key failed its check. ${key.problems.join(' ')}`;
+  if (!onboarding.terms) return 'You have not accepted the risk terms yet.';
+  if (!hasAcceptedTerms(onboarding)) return 'The risk terms changed since you accepted them.';
+  return null;
+}
+
+module.exports = {
+  keyFingerprint,
+  auditApiKey,
+  formatAudit,
+  formatRiskTerms,
+  recordAudit,
+  acceptRiskTerms,
+  hasAcceptedTerms,
+  onboardingProblem,
+};
@@ -0,0 +1,77 @@
+// Binance order statuses, and the statuses each one can move on to. Anything not listed here
+// is stale or out of order (e.g. a REST poll answering after a newer stream event) and ignored.
+const TRANSITIONS = {
+  NEW: ['PARTIALLY_FILLED', 'FILLED', 'PENDING_CANCEL', 'CANCELED', 'REJECTED', 'EXPIRED', 'EXPIRED_IN_MATCH'],
+  PARTIALLY_FILLED: ['PARTIALLY_FILLED', 'FILLED', 'PENDING_CANCEL', 'CANCELED', 'EXPIRED', 'EXPIRED_IN_MATCH'],
+  PENDING_CANCEL: ['PARTIALLY_FILLED', 'FILLED', 'CANCELED', 'EXPIRED'],
+  FILLED: [],
+  CANCELED: [],
+  REJECTED: [],
+  EXPIRED: [],
+  EXPIRED_IN_MATCH: [],
+};
+
+// What each status means for the grid once an order reaches it
+const EVENTS = {
+  PARTIALLY_FILLED: 'partial',
+  FILLED: 'filled',
+  CANCELED: 'canceled',
+  EXPIRED: 'canceled',
+  EXPIRED_IN_MATCH: 'canceled',
+  REJECTED: 'rejected',
+};
+
+/**
+ * Whether an order with this status can still fill.
+ * @param {string} status - A Binance order status.
+ * @returns {boolean} True for NEW, PARTIALLY_FILLED and PENDING_CANCEL.
+ */
+function isOpenStatus(status) {
+  return status === 'NEW' || status === 'PARTIALLY_FILLED' || status === 'PENDING_CANCEL';
+}
+
+/**
+ * Whether an order with this status is finished.
+ * @param {string} status - A Binance order status.
+ * @returns {boolean} True for FILLED, CANCELED, REJECTED and the EXPIRED statuses.
+ */
+function isTerminalStatus(status) {
+  return TRANSITIONS[status] !== undefined && TRANSITIONS[status].length === 0;
+}
+
+/**
+ * Work out how an exchange update moves a grid order along. A PARTIALLY_FILLED update only
+ * counts when more has been executed than before.
+ * @param {object} order - The grid order, with status and (optionally) executedQty.
+ * @param {object} update - The exchange's view: { status, executedQty }.
+ * @returns {object|null} { changes, event } to apply, where event is 'partial', 'filled',
+ *   'canceled', 'rejected' or null; null when the update is stale or changes nothing.
+ */
+function transitionOrder(order, { status, executedQty }) {
+  const allowed = TRANSITIONS[order.status];
+  if (!allowed) throw new Error(`Order ${order.orderId} has unknown status ${order.status}.`);
+  if (!TRANSITIONS[status]) throw new Error(`Exchange reported unknown status ${status} for order ${order.orderId}.`);
+
+  const previousQty = order.executedQty || 0;
+  const newQty = Number.isFinite(executedQty) ? Math.max(executedQty, previousQty) : previousQty;
+
+  if (status === order.status) {
+    if (status !== 'PARTIALLY_FILLED' || newQty <= previousQty) return null;
+  } else if (!allowed.includes(status)) {
+    return null;
+  }
+
+  // A FILLED update without a quantity means the whole order
+  const filledQty = status === 'FILLED' && !Number.isFinite(executedQty) ? order.quantity : newQty;
+
+  return {
+    changes: { status, executedQty: filledQty },
+    event: EVENTS[status] || null,
+  };
+}
+
+module.exports = {
+  isOpenStatus,
+  isTerminalStatus,
+  transitionOrder,
+};
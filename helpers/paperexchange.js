@@ -0,0 +1,313 @@
+const { assertOrderFilters } = require('./symbolfilters');
+
+const DEFAULT_QUOTE_BALANCE = 1000;
+const DEFAULT_FEE_RATE = 0.001;
+const EPSILON = 1e-9;
+
+/**
+ * Build an error shaped like an axios error carrying a Binance error body,
+ * so callers can log `error.response?.data` the same way for both exchanges.
+ * @param {number} code - The Binance error code.
+ * @param {string} msg - The Binance error message.
+ * @returns {Error} The error.
+ */
+function createExchangeError(code, msg) {
+  const error = new Error(msg);
+  error.response = { status: 400, data: { code, msg } };
+  return error;
+}
+
+/**
+ * Create an in-process simulated exchange with the same interface as the exchange client.
+ * Resting LIMIT orders fill when the market trades through their price; MARKET orders fill at
+ * the current price. Fees are charged in the quote asset, as if paid with BNB, so the full
+ * bought quantity stays sellable.
+ * @param {object} options - Simulation options.
+ * @param {object} [options.marketData] - A client used for live prices and pair info (e.g. an unauthenticated exchange client).
+ * @param {object} [options.pairs] - Pair info by symbol, used instead of (or before) marketData.
+ * @param {object} [options.balances] - Starting balances by asset.
+ * @param {number} [options.defaultQuoteBalance] - Starting balance for a quote asset not listed in balances.
+ * @param {number} [options.feeRate] - Commission rate applied to every fill.
+ * @returns {object} The paper exchange.
+ */
+function createPaperExchange({
+  marketData,
+  pairs = {},
+  balances = {},
+  defaultQuoteBalance = DEFAULT_QUOTE_BALANCE,
+  feeRate = DEFAULT_FEE_RATE,
+} = {}) {
+  const pairInfo = new Map(Object.entries(pairs));
+  const wallet = new Map(Object.entries(balances).map(([asset, free]) => [asset, { free, locked: 0 }]));
+  const lastPrices = new Map();
+  const orders = new Map();
+  let nextOrderId = 1;
+  let marketTime = null;
+
+  // Replayed markets carry their own clock; live ones use the wall clock
+  function now() {
+    return marketTime ?? Date.now();
+  }
+
+  function getWallet(asset) {
+    if (!wallet.has(asset)) wallet.set(asset, { free: 0, locked: 0 });
+    return wallet.get(asset);
+  }
+
+  // Fetch trading pair info (to get filters)
+  async function getTradingPairInfo(symbol) {
+    if (!pairInfo.has(symbol)) {
+      if (!marketData) throw new Error(`Trading pair ${symbol} not found.`);
+      pairInfo.set(symbol, await marketData.getTradingPairInfo(symbol));
+    }
+
+    const info = pairInfo.get(symbol);
+    if (!wallet.has(info.quoteAsset)) getWallet(info.quoteAsset).free = defaultQuoteBalance;
+    return info;
+  }
+
+  // Settle a fill: release the locked asset, credit the received one and charge the fee
+  function fillOrder(order, fillPrice) {
+    const { baseAsset, quoteAsset } = pairInfo.get(order.symbol);
+    const base = getWallet(baseAsset);
+    const quote = getWallet(quoteAsset);
+    const quoteValue = order.quantity * fillPrice;
+    const commission = quoteValue * feeRate;
+
+    if (order.side === 'BUY') {
+      quote.locked -= order.quantity * order.price;
+      quote.free += order.quantity * order.price - quoteValue - commission;
+      base.free += order.quantity;
+    } else {
+      base.locked -= order.quantity;
+      quote.free += quoteValue - commission;
+    }
+
+    Object.assign(order, {
+      status: 'FILLED',
+      executedQty: order.quantity,
+      cummulativeQuoteQty: quoteValue,
+      commission,
+      commissionAsset: quoteAsset,
+      updateTime: now(),
+    });
+  }
+
+  /**
+   * Feed a market move into the simulation and fill every resting order it trades through.
+   * @param {string} symbol - The trading pair.
+   * @param {object} market - The traded range: { low, high, close, time }.
+   */
+  function updateMarket(symbol, { low, high, close, time }) {
+    lastPrices.set(symbol, close);
+    if (time !== undefined) marketTime = time;
+
+    for (const order of orders.values()) {
+      if (order.symbol !== symbol || order.status !== 'NEW') continue;
+      if ((order.side === 'BUY' && low <= order.price) || (order.side === 'SELL' && high >= order.price)) {
+        fillOrder(order, order.price);
+      }
+    }
+  }
+
+  // Fetch current price
+  async function getCurrentPrice(symbol) {
+    if (marketData) {
+      const price = await marketData.getCurrentPrice(symbol);
+      updateMarket(symbol, { low: price, high: price, close: price });
+    }
+
+    if (!lastPrices.has(symbol)) throw new Error(`No price available for ${symbol}.`);
+    return lastPrices.get(symbol);
+  }
+
+  // Every fill pays feeRate in the quote asset
+  async function getCommissionRates(symbol) {
+    const { quoteAsset } = await getTradingPairInfo(symbol);
+    return { maker: feeRate, taker: feeRate, feeAsset: quoteAsset };
+  }
+
+  // Klines come straight from the market data client
+  async function getKlines(symbol, options) {
+    if (!marketData) throw new Error(`No klines available for ${symbol} without market data.`);
+    return marketData.getKlines(symbol, options);
+  }
+
+  // Lock what an order needs and add it to the book
+  function openOrder(symbol, filters, { side, type, quantity, price }) {
+    const asset = getWallet(side === 'BUY' ? filters.quoteAsset : filters.baseAsset);
+    const required = side === 'BUY' ? quantity * price : quantity;
+    if (asset.free < required - EPSILON) {
+      throw createExchangeError(-2010, 'Account has insufficient balance for requested action.');
+    }
+    asset.free -= required;
+    asset.locked += required;
+
+    const order = {
+      symbol,
+      orderId: nextOrderId++,
+      side,
+      type,
+      price,
+      quantity,
+      status: 'NEW',
+      executedQty: 0,
+      cummulativeQuoteQty: 0,
+      time: now(),
+      updateTime: now(),
+    };
+    orders.set(order.orderId, order);
+    return order;
+  }
+
+  // What the MAX_NUM_ORDERS and MAX_POSITION filters are checked against: the open orders on
+  // the symbol, and the base asset held plus open buys
+  function accountContext(symbol, filters) {
+    const open = [...orders.values()].filter((order) => order.symbol === symbol && order.status === 'NEW');
+    const held = wallet.get(filters.baseAsset) || { free: 0, locked: 0 };
+    const openBuys = open.filter((order) => order.side === 'BUY').reduce((sum, order) => sum + order.quantity, 0);
+    return { openOrders: open.length, position: held.free + held.locked + openBuys };
+  }
+
+  // Place a LIMIT order, checked against the same symbol filters the exchange applies
+  async function placeSpotOrder(symbol, side, quantity, price) {
+    const filters = await getTradingPairInfo(symbol);
+    assertOrderFilters(filters, { side, quantity, price }, { currentPrice: lastPrices.get(symbol), ...accountContext(symbol, filters) });
+
+    const order = openOrder(symbol, filters, { side, type: 'LIMIT', quantity, price });
+
+    // A marketable limit order takes liquidity immediately at the current price
+    const marketPrice = lastPrices.get(symbol);
+    if (marketPrice !== undefined && (side === 'BUY' ? marketPrice <= price : marketPrice >= price)) {
+      fillOrder(order, marketPrice);
+    }
+
+    return { orderId: order.orderId, quantity, price };
+  }
+
+  // Place a MARKET order, filled at once at the current price
+  async function placeMarketOrder(symbol, side, quantity) {
+    const filters = await getTradingPairInfo(symbol);
+    const marketPrice = lastPrices.get(symbol);
+    if (marketPrice === undefined) throw new Error(`No price available for ${symbol}.`);
+    assertOrderFilters(filters, { side, quantity, type: 'MARKET' }, { currentPrice: marketPrice, ...accountContext(symbol, filters) });
+
+    const order = openOrder(symbol, filters, { side, type: 'MARKET', quantity, price: marketPrice });
+    fillOrder(order, marketPrice);
+    return { orderId: order.orderId, quantity, price: marketPrice, status: order.status, executedQty: order.executedQty };
+  }
+
+  function toExchangeOrder(order) {
+    const exchangeOrder = {
+      symbol: order.symbol,
+      orderId: order.orderId,
+      price: order.price.toString(),
+      origQty: order.quantity.toString(),
+      executedQty: order.executedQty.toString(),
+      cummulativeQuoteQty: order.cummulativeQuoteQty.toString(),
+      status: order.status,
+      timeInForce: 'GTC',
+      type: order.type,
+      side: order.side,
+      time: order.time,
+      updateTime: order.updateTime,
+    };
+
+    if (order.status === 'FILLED') {
+      exchangeOrder.commission = order.commission.toString();
+      exchangeOrder.commissionAsset = order.commissionAsset;
+    }
+    return exchangeOrder;
+  }
+
+  function findOrder(symbol, orderId) {
+    const order = orders.get(Number(orderId));
+    if (!order || order.symbol !== symbol) throw createExchangeError(-2013, 'Order does not exist.');
+    return order;
+  }
+
+  // Check order status
+  async function checkOrderStatus(symbol, orderId) {
+    return toExchangeOrder(findOrder(symbol, orderId));
+  }
+
+  // Cancel an open order
+  async function cancelOrder(symbol, orderId) {
+    const order = findOrder(symbol, orderId);
+    if (order.status !== 'NEW') throw createExchangeError(-2011, 'Unknown order sent.');
+
+    const { baseAsset, quoteAsset } = pairInfo.get(symbol);
+    const asset = getWallet(order.side === 'BUY' ? quoteAsset : baseAsset);
+    const locked = order.side === 'BUY' ? order.quantity * order.price : order.quantity;
+    asset.locked -= locked;
+    asset.free += locked;
+
+    Object.assign(order, { status: 'CANCELED', updateTime: now() });
+    return toExchangeOrder(order);
+  }
+
+  // Fetch all open orders for a symbol
+  async function fetchActiveOrders(symbol) {
+    return [...orders.values()]
+      .filter((order) => order.symbol === symbol && order.status === 'NEW')
+      .map((order) => ({ orderId: order.orderId, side: order.side, price: order.price, quantity: order.quantity }));
+  }
+
+  // Fetch orders of every status, starting from an order id
+  async function fetchAllOrders(symbol, { orderId = 0 } = {}) {
+    return getOrders(symbol).filter((order) => order.orderId >= orderId);
+  }
+
+  // Fetch simulated trades; every paper fill is a single trade
+  async function fetchMyTrades(symbol, { orderId } = {}) {
+    return getOrders(symbol)
+      .filter((order) => order.status === 'FILLED' && (orderId === undefined || order.orderId === Number(orderId)))
+      .map((order) => ({
+        symbol,
+        id: order.orderId,
+        orderId: order.orderId,
+        price: (parseFloat(order.cummulativeQuoteQty) / parseFloat(order.executedQty)).toString(),
+        qty: order.executedQty,
+        quoteQty: order.cummulativeQuoteQty,
+        commission: order.commission,
+        commissionAsset: order.commissionAsset,
+        time: order.updateTime,
+        isBuyer: order.side === 'BUY',
+        isMaker: true,
+      }));
+  }
+
+  // Every order placed on a symbol, oldest first
+  function getOrders(symbol) {
+    return [...orders.values()].filter((order) => order.symbol === symbol).map(toExchangeOrder);
+  }
+
+  // Snapshot of the virtual balances
+  function getBalances() {
+    return Object.fromEntries([...wallet].map(([asset, { free, locked }]) => [asset, { free, locked }]));
+  }
+
+  return {
+    paper: true,
+    exchange: marketData?.exchange,
+    getCurrentPrice,
+    getKlines,
+    getTradingPairInfo,
+    getCommissionRates,
+    fetchActiveOrders,
+    fetchAllOrders,
+    fetchMyTrades,
+    placeSpotOrder,
+    placeMarketOrder,
+    checkOrderStatus,
+    cancelOrder,
+    updateMarket,
+    getOrders,
+    getBalances,
+  };
+}
+
+module.exports = {
+  createPaperExchange,
+  createExchangeError,
+};
@@ -0,0 +1,75 @@
+const fs = require('fs');
+const { DEFAULT_EXCHANGE, createExchange, gridKey } = require('./exchanges');
+const { createTradeLedger, periodStart, computePnl, toCsv, formatPnlReport } = require('./tradeledger');
+const { usageError } = require('./clioutput');
+
+const REPORT_FORMATS = ['text', 'json', 'csv'];
+
+// Flags of `gridkyc pnl`, for parseArgs
+const PNL_OPTIONS = {
+  user: { type: 'string' },
+  period: { type: 'string', default: 'all' },
+  format: { type: 'string', default: 'text' },
+  output: { type: 'string' },
+};
+
+const PNL_USAGE = `Usage: gridkyc pnl <symbol> [options]
+
+Reports a grid's P&L from its trade ledger.
+
+Options:
+  --user <id>         Report the grid a Discord user runs (default: the grid of "gridkyc grid start")
+  --exchange <name>   binance-us, binance or binance-testnet (default: EXCHANGE or binance-us)
+  --period <period>   Only count the last 24h, 7d, 2w, ... (default: all)
+  --format <format>   text, json or csv (default: text; json with --json)
+  --output <file>     Write the report to a file instead of printing it`;
+
+/**
+ * Run `gridkyc pnl`: report a grid's realized and unrealized P&L, or export its fills as CSV.
+ * @param {object} flags - Parsed PNL_OPTIONS, plus exchange and json.
+ * @param {string[]} positionals - [symbol].
+ * @param {object} output - The CLI output from createCliOutput.
+ * @returns {Promise<void>}
+ */
+async function runPnl(flags, positionals, output) {
+  if (positionals.length !== 1) throw usageError(positionals.length ? `Unexpected argument "${positionals[1]}".` : 'Missing <symbol>.');
+  const format = flags.json ? 'json' : flags.format;
+  if (!REPORT_FORMATS.includes(format)) throw usageError(`--format must be text, json or csv, not "${format}".`);
+
+  const symbol = positionals[0].toUpperCase();
+  const exchange = flags.exchange || DEFAULT_EXCHANGE;
+  const ledger = createTradeLedger(gridKey(flags.user || 'cli', symbol, exchange));
+  // Throws on a malformed period before any request is made
+  const since = periodStart(flags.period);
+  const entries = ledger.getEntries();
+  const fills = entries.filter((entry) => entry.time >= since);
+
+  let report;
+  let data;
+  if (format === 'csv') {
+    report = toCsv(fills);
+  } else {
+    // Market data only; no API key needed
+    const client = createExchange(exchange);
+    const [{ baseAsset, quoteAsset }, currentPrice] = await Promise.all([
+      client.getTradingPairInfo(symbol),
+      client.getCurrentPrice(symbol),
+    ]);
+    const pnl = computePnl(entries, { currentPrice, baseAsset, quoteAsset, since });
+    data = { symbol, period: flags.period, ...pnl, fills };
+    report = format === 'json' ? JSON.stringify(data, null, 2) : formatPnlReport(symbol, pnl, flags.period);
+  }
+
+  if (flags.output) {
+    fs.writeFileSync(flags.output, `${report}\n`);
+    output.result(`Wrote ${format} report for ${symbol} to ${flags.output}`, { symbol, format, file: flags.output });
+  } else {
+    output.result(report, data);
+  }
+}
+
+module.exports = {
+  PNL_OPTIONS,
+  PNL_USAGE,
+  runPnl,
+};
@@ -0,0 +1,282 @@
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_EXCHANGE } = require('./exchanges');
+
+const DEFAULT_HISTORY_DIR = process.env.PRICE_HISTORY_DIR || path.join(__dirname, '..', 'data', 'history');
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+const INTERVALS = { '1m': MINUTE_MS, '5m': 5 * MINUTE_MS, '1h': 60 * MINUTE_MS, '1d': DAY_MS };
+const KLINES_PER_REQUEST = 1000;
+const DEFAULT_BACKFILL_DAYS = 1;
+const DEFAULT_TICK_RETENTION_DAYS = 7;
+// Klines for a minute are final a moment after it closes
+const SYNC_DELAY_MS = 2000;
+const CSV_COLUMNS = ['time', 'open', 'high', 'low', 'close', 'volume'];
+
+// Day files are named by UTC date
+const dayOf = (time) => new Date(time).toISOString().slice(0, 10);
+
+function readJsonLines(filePath) {
+  if (!fs.existsSync(filePath)) return [];
+  return fs.readFileSync(filePath, 'utf8').split('\n').filter(Boolean).map((line) => JSON.parse(line));
+}
+
+// The day files in a directory that overlap [from, to], oldest first
+function dayFiles(dir, from, to) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter((file) => file.endsWith('.jsonl'))
+    .sort()
+    .filter((file) => {
+      const day = file.slice(0, -'.jsonl'.length);
+      return day >= dayOf(from) && day <= dayOf(to);
+    })
+    .map((file) => path.join(dir, file));
+}
+
+/**
+ * Parse a candle interval name.
+ * @param {string} interval - One of 1m, 5m, 1h or 1d.
+ * @returns {number} The interval in milliseconds.
+ * @throws {Error} If the interval is unknown.
+ */
+function intervalMs(interval) {
+  const ms = INTERVALS[interval];
+  if (!ms) throw new Error(`Unknown interval "${interval}". Use one of ${Object.keys(INTERVALS).join(', ')}.`);
+  return ms;
+}
+
+/**
+ * Combine 1m candles into candles of a longer interval, aligned to UTC. A bucket the 1m
+ * candles only partly cover (the current hour, or a gap) is built from what is there.
+ * @param {object[]} candles - 1m candles, oldest first.
+ * @param {string} interval - One of 1m, 5m, 1h or 1d.
+ * @returns {object[]} The candles, oldest first.
+ */
+function aggregateCandles(candles, interval) {
+  const ms = intervalMs(interval);
+  if (ms === MINUTE_MS) return candles;
+
+  const buckets = [];
+  for (const candle of candles) {
+    const time = Math.floor(candle.time / ms) * ms;
+    const bucket = buckets[buckets.length - 1];
+    if (!bucket || bucket.time !== time) {
+      buckets.push({ ...candle, time });
+      continue;
+    }
+    bucket.high = Math.max(bucket.high, candle.high);
+    bucket.low = Math.min(bucket.low, candle.low);
+    bucket.close = candle.close;
+    bucket.volume += candle.volume;
+  }
+  return buckets;
+}
+
+/**
+ * Format candles as CSV in the column layout "gridkyc backtest" reads.
+ * @param {object[]} candles - Candles.
+ * @returns {string} The CSV, with a header row.
+ */
+function toCsv(candles) {
+  const rows = candles.map((candle) => CSV_COLUMNS.map((column) => candle[column]).join(','));
+  return [CSV_COLUMNS.join(','), ...rows].join('\n');
+}
+
+/**
+ * Open the recorded price history of one symbol on one exchange. Ticks and closed 1m candles
+ * are kept as JSON Lines, one file per UTC day; longer intervals are aggregated on read.
+ * @param {string} symbol - The trading pair.
+ * @param {object} [options] - History options.
+ * @param {string} [options.exchange] - The exchange the prices come from.
+ * @param {string} [options.dir] - Directory holding all recorded history.
+ * @returns {object} The history.
+ */
+function createPriceHistory(symbol, { exchange = DEFAULT_EXCHANGE, dir = DEFAULT_HISTORY_DIR } = {}) {
+  const symbolDir = path.join(dir, exchange, symbol.replace(/[^\w.-]/g, '_'));
+  const candleDir = path.join(symbolDir, '1m');
+  const tickDir = path.join(symbolDir, 'ticks');
+
+  function append(subdir, time, records) {
+    fs.mkdirSync(subdir, { recursive: true });
+    fs.appendFileSync(path.join(subdir, `${dayOf(time)}.jsonl`), records.map((record) => `${JSON.stringify(record)}\n`).join(''));
+  }
+
+  // Store a price as it is seen
+  function recordTick(price, time = Date.now()) {
+    append(tickDir, time, [{ time, price }]);
+  }
+
+  // Store closed 1m candles; a candle stored twice keeps its latest copy
+  function recordCandles(candles) {
+    const byDay = new Map();
+    for (const { time, open, high, low, close, volume } of candles) {
+      const day = dayOf(time);
+      if (!byDay.has(day)) byDay.set(day, []);
+      byDay.get(day).push({ time, open, high, low, close, volume });
+    }
+    for (const records of byDay.values()) append(candleDir, records[0].time, records);
+  }
+
+  // The open time of the newest stored 1m candle, or null
+  function lastCandleTime() {
+    const files = dayFiles(candleDir, 0, Date.now() + DAY_MS);
+    for (let i = files.length - 1; i >= 0; i--) {
+      const candles = readJsonLines(files[i]);
+      if (candles.length) return Math.max(...candles.map((candle) => candle.time));
+    }
+    return null;
+  }
+
+  /**
+   * Read candles, oldest first. With a limit and no start, returns the last `limit` intervals
+   * up to `to`; intervals without recorded data are skipped rather than invented.
+   * @param {string} [interval] - One of 1m, 5m, 1h or 1d.
+   * @param {object} [range] - { from, to, limit }, times in milliseconds.
+   * @returns {object[]} Candles as { time, open, high, low, close, volume }.
+   */
+  function getCandles(interval = '1m', { from, to = Date.now(), limit } = {}) {
+    const ms = intervalMs(interval);
+    const start = from ?? (limit ? (Math.floor(to / ms) - limit + 1) * ms : 0);
+
+    const byTime = new Map();
+    for (const file of dayFiles(candleDir, start, to)) {
+      for (const candle of readJsonLines(file)) {
+        if (candle.time >= start && candle.time <= to) byTime.set(candle.time, candle);
+      }
+    }
+    const candles = aggregateCandles([...byTime.values()].sort((a, b) => a.time - b.time), interval);
+    return limit ? candles.slice(-limit) : candles;
+  }
+
+  // Read recorded ticks, oldest first
+  function getTicks({ from = 0, to = Date.now() } = {}) {
+    return dayFiles(tickDir, from, to)
+      .flatMap(readJsonLines)
+      .filter((tick) => tick.time >= from && tick.time <= to);
+  }
+
+  // Delete tick files older than the retention period; candles are kept
+  function pruneTicks(retentionDays = DEFAULT_TICK_RETENTION_DAYS, now = Date.now()) {
+    const cutoff = dayOf(now - retentionDays * DAY_MS);
+    for (const file of dayFiles(tickDir, 0, now)) {
+      if (path.basename(file, '.jsonl') < cutoff) fs.unlinkSync(file);
+    }
+  }
+
+  return {
+    symbol,
+    exchange,
+    recordTick,
+    recordCandles,
+    lastCandleTime,
+    getCandles,
+    getTicks,
+    pruneTicks,
+  };
+}
+
+/**
+ * Fill a history's 1m candles from the exchange's klines, from the newest stored candle (or
+ * `backfillDays` ago on the first run) up to the last closed minute.
+ * @param {object} client - An exchange adapter with getKlines.
+ * @param {object} history - The history from createPriceHistory.
+ * @param {object} [options] - { backfillDays, now }.
+ * @returns {Promise<number>} How many candles were added.
+ */
+async function backfillHistory(client, history, { backfillDays = DEFAULT_BACKFILL_DAYS, now = Date.now() } = {}) {
+  const last = history.lastCandleTime();
+  let startTime = last === null ? Math.floor((now - backfillDays * DAY_MS) / MINUTE_MS) * MINUTE_MS : last + MINUTE_MS;
+  const endTime = Math.floor(now / MINUTE_MS) * MINUTE_MS - 1;
+  let added = 0;
+
+  while (startTime <= endTime) {
+    const klines = await client.getKlines(history.symbol, { interval: '1m', startTime, endTime, limit: KLINES_PER_REQUEST });
+    const closed = klines.filter((kline) => kline.closeTime <= endTime);
+    if (closed.length === 0) break;
+
+    history.recordCandles(closed);
+    added += closed.length;
+    startTime = closed[closed.length - 1].time + MINUTE_MS;
+  }
+  return added;
+}
+
+/**
+ * Record price history for several symbols: ticks as they are fed in, and 1m candles pulled
+ * from the exchange's klines every minute, which also fills any gap since the last run.
+ * @param {object} options - Recorder options.
+ * @param {object} options.client - An exchange adapter with getKlines.
+ * @param {string[]} options.symbols - The trading pairs to record.
+ * @param {string} [options.dir] - Directory holding all recorded history.
+ * @param {number} [options.backfillDays] - How far back to fetch on a symbol's first run.
+ * @param {number} [options.tickRetentionDays] - How long ticks are kept.
+ * @param {function} [options.notify] - Receives progress messages.
+ * @param {function} [options.onError] - Receives errors from syncing.
+ * @returns {object} The recorder, with recordTick(symbol, price, time), sync() and stop().
+ */
+function startPriceRecorder({
+  client,
+  symbols,
+  dir = DEFAULT_HISTORY_DIR,
+  backfillDays = DEFAULT_BACKFILL_DAYS,
+  tickRetentionDays = DEFAULT_TICK_RETENTION_DAYS,
+  notify = console.log,
+  onError = (error) => console.error('Price recorder error:', error.response?.data || error.message),
+}) {
+  const histories = new Map(symbols.map((symbol) => [symbol, createPriceHistory(symbol, { exchange: client.exchange, dir })]));
+  let syncing = false;
+  let timer = null;
+  let stopped = false;
+
+  async function sync() {
+    if (syncing) return;
+    syncing = true;
+    try {
+      for (const history of histories.values()) {
+        try {
+          const added = await backfillHistory(client, history, { backfillDays });
+          if (added > 1) notify(`[HISTORY] Backfilled ${added} 1m candles for ${history.symbol}.`);
+          history.pruneTicks(tickRetentionDays);
+        } catch (error) {
+          onError(error);
+        }
+      }
+    } finally {
+      syncing = false;
+    }
+  }
+
+  // Sync just after every minute closes
+  function schedule() {
+    if (stopped) return;
+    timer = setTimeout(async () => {
+      await sync();
+      schedule();
+    }, MINUTE_MS - (Date.now() % MINUTE_MS) + SYNC_DELAY_MS);
+  }
+
+  sync().then(schedule);
+
+  return {
+    histories,
+    sync,
+    recordTick(symbol, price, time) {
+      histories.get(symbol)?.recordTick(price, time);
+    },
+    stop() {
+      stopped = true;
+      clearTimeout(timer);
+    },
+  };
+}
+
+module.exports = {
+  INTERVALS,
+  intervalMs,
+  aggregateCandles,
+  toCsv,
+  createPriceHistory,
+  backfillHistory,
+  startPriceRecorder,
+};
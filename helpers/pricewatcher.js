@@ -0,0 +1,94 @@
+const { createExchange } = require('./exchanges');
+const { createMarketStream } = require('./exchangestream');
+
+const PRICE_THROTTLE_MS = 1000;
+
+/**
+ * Watch live prices for a changing set of symbols on one or more exchanges. Each exchange gets
+ * one market stream for all its symbols; while a stream is down its symbols are polled over
+ * REST instead. Call refresh() after the symbol set changes to resubscribe.
+ * @param {object} options - Watcher options.
+ * @param {function} options.getSymbols - Returns the symbols to watch by exchange, e.g. { 'binance-us': ['BTCUSDT'] }.
+ * @param {function} options.onPrice - Called with { exchange, symbol, price, time }, at most once a second per symbol.
+ * @param {number} options.intervalMs - REST polling interval while a stream is down.
+ * @param {function} [options.notify] - Receives stream status messages.
+ * @param {function} [options.onError] - Receives errors from streams and polling.
+ * @returns {object} The watcher, with refresh() and stop() methods.
+ */
+function startPriceWatcher({
+  getSymbols,
+  onPrice,
+  intervalMs = 60000,
+  notify = console.log,
+  onError = (error) => console.error('Price watcher error:', error.response?.data || error.message),
+}) {
+  // Per exchange: { client, symbols, stream, connected }
+  const feeds = new Map();
+  const lastPriceAt = new Map();
+
+  function emit(exchange, symbol, price, time = Date.now()) {
+    const key = `${exchange}:${symbol}`;
+    if (time - (lastPriceAt.get(key) || 0) < PRICE_THROTTLE_MS) return;
+    lastPriceAt.set(key, time);
+    Promise.resolve(onPrice({ exchange, symbol, price, time })).catch(onError);
+  }
+
+  function openFeed(exchange, symbols) {
+    const client = createExchange(exchange);
+    const feed = { client, symbols, connected: false };
+    feed.stream = createMarketStream({ symbols, streamUrl: client.streamUrl });
+    feed.stream.on('price', ({ symbol, price, time }) => emit(exchange, symbol, price, time));
+    feed.stream.on('status', (connected) => {
+      if (feed.connected === connected) return;
+      feed.connected = connected;
+      notify(`[STREAM] ${client.label} price stream ${connected ? 'connected' : 'disconnected, falling back to REST polling'}.`);
+    });
+    feed.stream.on('error', onError);
+    return feed;
+  }
+
+  // Resubscribe exchanges whose symbols changed and drop the ones nothing watches any more
+  function refresh() {
+    const wanted = getSymbols();
+
+    for (const [exchange, feed] of feeds) {
+      const symbols = wanted[exchange] || [];
+      if (symbols.length === feed.symbols.length && symbols.every((symbol) => feed.symbols.includes(symbol))) continue;
+      feed.stream.close();
+      feeds.delete(exchange);
+    }
+
+    for (const [exchange, symbols] of Object.entries(wanted)) {
+      if (symbols.length > 0 && !feeds.has(exchange)) feeds.set(exchange, openFeed(exchange, symbols));
+    }
+  }
+
+  async function poll() {
+    for (const [exchange, feed] of feeds) {
+      if (feed.connected) continue;
+      for (const symbol of feed.symbols) {
+        try {
+          emit(exchange, symbol, await feed.client.getCurrentPrice(symbol));
+        } catch (error) {
+          onError(error);
+        }
+      }
+    }
+  }
+
+  refresh();
+  const timer = setInterval(poll, intervalMs);
+
+  return {
+    refresh,
+    stop() {
+      clearInterval(timer);
+      feeds.forEach((feed) => feed.stream.close());
+      feeds.clear();
+    },
+  };
+}
+
+module.exports = {
+  startPriceWatcher,
+};
@@ -0,0 +1,136 @@
+const { isOpenStatus, isTerminalStatus } = require('./orderstate');
+
+const ALL_ORDERS_PAGE_SIZE = 1000;
+
+// Fetch every exchange order from the oldest order id the grid still cares about
+async function fetchOrdersSince(exchange, symbol, fromOrderId) {
+  const orders = [];
+
+  for (let orderId = fromOrderId; ;) {
+    const page = await exchange.fetchAllOrders(symbol, { orderId, limit: ALL_ORDERS_PAGE_SIZE });
+    orders.push(...page);
+    if (page.length < ALL_ORDERS_PAGE_SIZE) return orders;
+    orderId = page[page.length - 1].orderId + 1;
+  }
+}
+
+/**
+ * Sum an order's trades into its executed quantity, average price, commission and fill time.
+ * @param {object} exchange - The exchange client.
+ * @param {string} symbol - The trading pair.
+ * @param {number} orderId - The order.
+ * @returns {Promise<object>} { trades, executedQty, avgPrice, commission, commissionAsset, filledAt }.
+ */
+async function summarizeFill(exchange, symbol, orderId) {
+  const trades = await exchange.fetchMyTrades(symbol, { orderId });
+  const quantity = trades.reduce((sum, trade) => sum + parseFloat(trade.qty), 0);
+  const quoteQty = trades.reduce((sum, trade) => sum + parseFloat(trade.quoteQty), 0);
+
+  return {
+    trades: trades.length,
+    executedQty: quantity,
+    avgPrice: quantity > 0 ? quoteQty / quantity : 0,
+    commission: trades.reduce((sum, trade) => sum + parseFloat(trade.commission), 0),
+    commissionAsset: trades[0]?.commissionAsset,
+    filledAt: trades.length ? Math.max(...trades.map((trade) => trade.time)) : undefined,
+  };
+}
+
+/**
+ * Compare the grid state with the exchange's order and trade history and repair what it can:
+ * fills that happened while the bot was down get their missing follow-up orders (e.g. the
+ * take-profit sell of a buy), completed sells close their grid cycle, and orders canceled on
+ * the exchange are handled by the grid's cancel policy. Anything else is reported as unresolved.
+ * @param {object} options - Reconciliation options.
+ * @param {object} options.exchange - The exchange client.
+ * @param {string} options.symbol - The trading pair.
+ * @param {object[]} options.orders - The grid's orders.
+ * @param {string[]} options.followUpSides - Sides whose fills the strategy reacts to.
+ * @param {function} options.applyUpdate - Moves a grid order to the exchange's status and
+ *   executed quantity; resolves to { event, placedOrders }, or null if nothing changed.
+ * @param {function} options.placeFollowUp - Lets the strategy react to a fill; resolves to the placed orders.
+ * @returns {Promise<object>} The report: { checked, resolved: string[], unresolved: string[] }.
+ */
+async function reconcileGrid({ exchange, symbol, orders, followUpSides, applyUpdate, placeFollowUp }) {
+  const report = { checked: 0, resolved: [], unresolved: [] };
+  const openOrders = orders.filter((order) => isOpenStatus(order.status));
+  const trackedIds = new Set(orders.map((order) => order.orderId));
+
+  const fromOrderId = Math.min(...openOrders.map((order) => order.orderId));
+  const exchangeOrders = openOrders.length > 0 ? await fetchOrdersSince(exchange, symbol, fromOrderId) : [];
+  const exchangeOrdersById = new Map(exchangeOrders.map((order) => [order.orderId, order]));
+  const placedText = (placedOrders) => placedOrders.map((o) => `${o.side} order ${o.orderId}`).join(', ');
+
+  for (const order of openOrders) {
+    report.checked++;
+    const exchangeOrder = exchangeOrdersById.get(order.orderId);
+
+    if (!exchangeOrder) {
+      report.unresolved.push(`${order.side} order ${order.orderId} was not found on the exchange.`);
+      continue;
+    }
+
+    const result = await applyUpdate(order, { status: exchangeOrder.status, executedQty: parseFloat(exchangeOrder.executedQty) });
+    if (!result) continue;
+    const placed = result.placedOrders.length ? ` Placed ${placedText(result.placedOrders)}.` : '';
+
+    if (result.event === 'filled') {
+      const cycle = order.side === 'SELL' && order.linkedOrderId !== undefined ? ` (cycle with buy ${order.linkedOrderId} closed)` : '';
+      report.resolved.push(`${order.side} order ${order.orderId} filled while the bot was down${cycle}.${placed}`);
+    } else if (result.event === 'partial') {
+      report.resolved.push(`${order.side} order ${order.orderId} partially filled while the bot was down (${order.executedQty} of ${order.quantity}).${placed}`);
+    } else if (result.event === 'canceled') {
+      const replaced = order.replacedBy !== undefined ? ` Replaced by order ${order.replacedBy}.` : ' Dropped from the grid.';
+      report.resolved.push(`${order.side} order ${order.orderId} was ${exchangeOrder.status} on the exchange (executed ${exchangeOrder.executedQty} of ${exchangeOrder.origQty}).${placed}${replaced}`);
+    } else if (result.event === 'rejected') {
+      report.unresolved.push(`${order.side} order ${order.orderId} was rejected by the exchange.`);
+    }
+  }
+
+  // Fills the strategy never reacted to: the bot stopped between noticing the fill and
+  // placing the follow-up order.
+  const unhandledFills = orders.filter((o) => (
+    isTerminalStatus(o.status) && !o.fillHandled && followUpSides.includes(o.side)
+    && (o.executedQty ?? (o.status === 'FILLED' ? o.quantity : 0)) > 0
+  ));
+  for (const order of unhandledFills) {
+    try {
+      const placedOrders = await placeFollowUp(order);
+      report.resolved.push(`${order.side} order ${order.orderId} had filled without a follow-up order. Placed ${placedText(placedOrders) || 'no order'}.`);
+    } catch (error) {
+      report.unresolved.push(`Could not place the follow-up for ${order.side} order ${order.orderId}: ${error.response?.data?.msg || error.message}`);
+    }
+  }
+
+  for (const exchangeOrder of exchangeOrders) {
+    if (isOpenStatus(exchangeOrder.status) && !trackedIds.has(exchangeOrder.orderId)) {
+      report.unresolved.push(`Open ${exchangeOrder.side} order ${exchangeOrder.orderId} at ${exchangeOrder.price} is not part of the grid.`);
+    }
+  }
+
+  return report;
+}
+
+/**
+ * Format a reconciliation report for the console or Discord.
+ * @param {string} symbol - The trading pair.
+ * @param {object} report - The report from reconcileGrid.
+ * @returns {string} The formatted report.
+ */
+function formatReconciliationReport(symbol, report) {
+  const lines = [`[RECONCILE] ${symbol}: checked ${report.checked} open orders.`];
+
+  if (report.resolved.length === 0 && report.unresolved.length === 0) {
+    lines.push('Grid state matches the exchange.');
+  }
+  report.resolved.forEach((line) => lines.push(`✔ ${line}`));
+  report.unresolved.forEach((line) => lines.push(`⚠ ${line}`));
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  reconcileGrid,
+  summarizeFill,
+  formatReconciliationReport,
+};
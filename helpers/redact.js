@@ -0,0 +1,80 @@
+const util = require('util');
+
+const REDACTED = '[REDACTED]';
+const MIN_SECRET_LENGTH = 8;
+const SENSITIVE_KEYS = /^(api[-_]?key|api[-_]?secret|secret|signature|listenkey|token|x-mbx-apikey|authorization)$/i;
+
+// Query-string and header forms that carry secrets even when the value itself was never registered
+const SENSITIVE_PATTERNS = [
+  /(signature=)[0-9a-f]+/gi,
+  /(listenKey=)[\w-]+/gi,
+  /(\/ws\/)[\w-]{20,}/g,
+  /(X-MBX-APIKEY['"]?\s*[:=]\s*['"]?)[\w-]+/gi,
+];
+
+const secrets = new Set();
+let installed = false;
+
+/**
+ * Remember a secret so it is masked wherever it shows up in log output.
+ * @param {string} value - The secret value.
+ */
+function registerSecret(value) {
+  if (typeof value === 'string' && value.length >= MIN_SECRET_LENGTH) secrets.add(value);
+}
+
+/**
+ * Mask registered secrets and known secret-bearing patterns in a string.
+ * @param {string} text - The text to clean.
+ * @returns {string} The text with secrets replaced by [REDACTED].
+ */
+function redact(text) {
+  let result = String(text);
+  for (const secret of secrets) {
+    result = result.split(secret).join(REDACTED);
+  }
+  for (const pattern of SENSITIVE_PATTERNS) {
+    result = result.replace(pattern, `$1${REDACTED}`);
+  }
+  return result;
+}
+
+// Mask values stored under secret-looking keys; objects that cannot be cloned (errors,
+// circular structures) are left to the string pass in redact()
+function maskSensitiveKeys(value) {
+  if (value instanceof Error) return value;
+  try {
+    return JSON.parse(JSON.stringify(value, (key, inner) => (SENSITIVE_KEYS.test(key) ? REDACTED : inner)));
+  } catch (error) {
+    return value;
+  }
+}
+
+// Format a console argument the way console would, then clean it
+function redactArgument(arg) {
+  if (typeof arg === 'string') return redact(arg);
+  if (arg && typeof arg === 'object') return redact(util.inspect(maskSensitiveKeys(arg), { depth: 4 }));
+  return arg;
+}
+
+/**
+ * Route console.log/info/warn/error through redact(), and register the secrets from the
+ * environment. Safe to call more than once.
+ */
+function installLogRedaction() {
+  if (installed) return;
+  installed = true;
+
+  ['BINANCE_API_KEY', 'BINANCE_API_SECRET', 'DISCORD_BOT_TOKEN', 'CREDENTIALS_MASTER_KEY'].forEach((name) => registerSecret(process.env[name]));
+
+  for (const method of ['log', 'info', 'warn', 'error']) {
+    const original = console[method].bind(console);
+    console[method] = (...args) => original(...args.map(redactArgument));
+  }
+}
+
+module.exports = {
+  registerSecret,
+  redact,
+  installLogRedaction,
+};
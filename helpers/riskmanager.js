@@ -0,0 +1,147 @@
+const { getKillSwitch } = require('./killswitch');
+const { isOpenStatus } = require('./orderstate');
+const { computePnl } = require('./tradeledger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Measure what a grid has at stake from its orders: quote locked in unfilled buys, and the
+ * base inventory its buys left behind with what that inventory cost.
+ * @param {object[]} orders - The grid's orders.
+ * @returns {object} { openBuys, openBuyCapital, inventory, inventoryCost }.
+ */
+function measureExposure(orders) {
+  const openBuyOrders = orders.filter((order) => order.side === 'BUY' && isOpenStatus(order.status));
+  const filled = (order) => order.executedQty ?? (order.status === 'FILLED' ? order.quantity : 0);
+
+  let bought = 0;
+  let boughtCost = 0;
+  let sold = 0;
+  for (const order of orders) {
+    if (order.side === 'BUY') {
+      bought += filled(order);
+      boughtCost += filled(order) * order.price;
+    } else {
+      sold += filled(order);
+    }
+  }
+
+  // Sells of inventory the grid adopted rather than bought never push it below zero
+  const inventory = Math.max(bought - sold, 0);
+  return {
+    openBuys: openBuyOrders.length,
+    openBuyCapital: openBuyOrders.reduce((sum, order) => sum + (order.quantity - (order.executedQty || 0)) * order.price, 0),
+    inventory,
+    inventoryCost: bought > 0 ? inventory * (boughtCost / bought) : 0,
+  };
+}
+
+/**
+ * Create the risk checks a grid engine runs before every order and on every price. Order
+ * checks refuse new buys that would break a limit; exit checks end the grid's trading, either
+ * by halting it or by also selling its inventory (riskExit 'halt' or 'sell'). Every limit is
+ * optional. Breaches are announced once through notify until the situation changes.
+ * @param {object} options - Risk options.
+ * @param {object} [options.limits] - { maxCapital, maxOpenBuys, maxInventory, stopLossPrice,
+ *   maxDrawdownPercent, dailyLossLimit, riskExit }; amounts are in the quote asset.
+ * @param {object} [options.ledger] - The grid's trade ledger, for the daily loss limit.
+ * @param {function} [options.notify] - Receives breach announcements.
+ * @returns {object} The risk manager, with checkOrder, checkExit and exitAction.
+ */
+function createRiskManager({ limits = {}, ledger, notify = console.log }) {
+  const { maxCapital, maxOpenBuys, maxInventory, stopLossPrice, maxDrawdownPercent, dailyLossLimit, riskExit = 'halt' } = limits;
+  let lastBreach = null;
+
+  function announce(breach) {
+    if (breach && breach !== lastBreach) notify(`[RISK] ${breach}`);
+    lastBreach = breach;
+    return breach;
+  }
+
+  // Today's realized P&L from the ledger plus what the open inventory is worth right now
+  function dailyResult(exposure, { currentPrice, filters }) {
+    const unrealized = exposure.inventory * currentPrice - exposure.inventoryCost;
+    if (!ledger) return unrealized;
+
+    const { realizedPnl } = computePnl(ledger.getEntries(), {
+      currentPrice,
+      baseAsset: filters.baseAsset,
+      quoteAsset: filters.quoteAsset,
+      since: Math.floor(Date.now() / DAY_MS) * DAY_MS,
+    });
+    return realizedPnl + unrealized;
+  }
+
+  /**
+   * Check an order before it is placed.
+   * @param {object} order - { side, quantity, price }.
+   * @param {object} state - The grid state.
+   * @param {object} market - { currentPrice, filters }.
+   * @returns {string|null} Why the order is refused, or null to place it.
+   * @throws {Error} While the kill switch is engaged.
+   */
+  function checkOrder({ side, quantity, price }, state, market) {
+    // A hard stop: throwing keeps the triggering fill unhandled, so its follow-up is placed
+    // once the switch is released and the grid restarts
+    const killSwitch = getKillSwitch();
+    if (killSwitch) throw new Error(`Kill switch engaged (${killSwitch.reason}). No orders are placed.`);
+    if (side !== 'BUY') return announce(null);
+
+    if (state.halted) return announce(`Grid halted: ${state.halted.reason} New buys are blocked.`);
+
+    const exposure = measureExposure(state.orders);
+    const notional = quantity * price;
+
+    if (maxOpenBuys !== undefined && exposure.openBuys + 1 > maxOpenBuys) {
+      return announce(`Max open buys reached (${exposure.openBuys} of ${maxOpenBuys}). Skipping buy at $${price}.`);
+    }
+    if (maxCapital !== undefined && exposure.openBuyCapital + exposure.inventoryCost + notional > maxCapital) {
+      const deployed = exposure.openBuyCapital + exposure.inventoryCost;
+      return announce(`Capital cap reached: ${deployed.toFixed(2)} deployed, a ${notional.toFixed(2)} buy would exceed ${maxCapital}. Skipping buy at $${price}.`);
+    }
+    if (maxInventory !== undefined && exposure.inventory + quantity > maxInventory) {
+      return announce(`Inventory cap reached: holding ${exposure.inventory}, buying ${quantity} more would exceed ${maxInventory}. Skipping buy at $${price}.`);
+    }
+    if (dailyLossLimit !== undefined && market.currentPrice) {
+      const result = dailyResult(exposure, market);
+      if (result <= -dailyLossLimit) {
+        return announce(`Daily loss limit reached (${result.toFixed(2)} today, limit ${dailyLossLimit}). Buys resume tomorrow (UTC).`);
+      }
+    }
+
+    return announce(null);
+  }
+
+  /**
+   * Check whether the grid must exit at this price; exitAction says how.
+   * @param {object} state - The grid state.
+   * @param {number} currentPrice - The current price.
+   * @returns {string|null} Why the grid exits, or null to carry on.
+   */
+  function checkExit(state, currentPrice) {
+    if (stopLossPrice !== undefined && currentPrice <= stopLossPrice) {
+      return `Stop-loss hit: price $${currentPrice} is at or below $${stopLossPrice}.`;
+    }
+
+    if (maxDrawdownPercent !== undefined) {
+      const { inventory, inventoryCost } = measureExposure(state.orders);
+      const drawdown = inventoryCost > 0 ? ((inventoryCost - inventory * currentPrice) / inventoryCost) * 100 : 0;
+      if (drawdown >= maxDrawdownPercent) {
+        return `Max drawdown hit: inventory is ${drawdown.toFixed(2)}% below its cost (limit ${maxDrawdownPercent}%).`;
+      }
+    }
+
+    return null;
+  }
+
+  return {
+    checkOrder,
+    checkExit,
+    exitAction: riskExit,
+  };
+}
+
+module.exports = {
+  createRiskManager,
+  measureExposure,
+};
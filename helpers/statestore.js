@@ -0,0 +1,44 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_STATE_DIR = process.env.GRID_STATE_DIR || path.join(__dirname, '..', 'data', 'grids');
+
+/**
+ * Create a JSON file store for one grid's state.
+ * @param {string} key - Identifies the grid, e.g. `cli-DOGEUSDT` or `<discord user id>-DOGEUSDT`.
+ * @param {string} [dir] - Directory holding the state files.
+ * @returns {object} The store, with load() and save(state).
+ */
+function createStateStore(key, dir = DEFAULT_STATE_DIR) {
+  const filePath = path.join(dir, `${key.replace(/[^\w.-]/g, '_')}.json`);
+
+  // Read the saved state, or null if this grid has never run
+  function load() {
+    if (!fs.existsSync(filePath)) return null;
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  }
+
+  // Write to a temporary file first so a crash mid-write never leaves a truncated state file
+  function save(state) {
+    fs.mkdirSync(dir, { recursive: true });
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify({ ...state, updatedAt: new Date().toISOString() }, null, 2));
+    fs.renameSync(tempPath, filePath);
+  }
+
+  // Forget the saved state
+  function clear() {
+    if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+  }
+
+  return {
+    filePath,
+    load,
+    save,
+    clear,
+  };
+}
+
+module.exports = {
+  createStateStore,
+};
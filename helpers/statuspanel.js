@@ -0,0 +1,196 @@
+const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+const { measureExposure } = require('./riskmanager');
+const { computePnl, fillsFromOrders } = require('./tradeledger');
+const { redact } = require('./redact');
+
+// Discord rate-limits message edits, so bursts of events are folded into one edit
+const MIN_EDIT_INTERVAL_MS = 5000;
+const MIN_REFRESH_INTERVAL_MS = 30 * 1000;
+const PANEL_BUTTON_PREFIX = 'grid_panel';
+
+const COLORS = { running: 0x2ecc71, paused: 0xf1c40f, halted: 0xe74c3c, stopped: 0x95a5a6 };
+
+// How events posted on their own look; anything else posted gets DEFAULT_STYLE
+const EVENT_STYLES = [
+  { pattern: /^\[(FILLED|PARTIAL FILL|CYCLE CLOSED)\]/, title: 'Fill', color: 0x3498db },
+  { pattern: /^\[(ERROR|REJECTED)\]/, title: 'Error', color: 0xe74c3c },
+  { pattern: /^\[(RISK|KILL SWITCH)\]/, title: 'Risk', color: 0xe67e22 },
+  { pattern: /^\[(CANCELED|EXPIRED|EXPIRED_IN_MATCH)\]/, title: 'Order canceled on the exchange', color: 0x95a5a6 },
+  { pattern: /^\[SPACING\]/, title: 'Spacing', color: 0x9b59b6 },
+];
+const DEFAULT_STYLE = { title: 'Info', color: 0x95a5a6 };
+
+// Price lines repeat every tick; the status embed already shows the price
+const QUIET_PATTERN = /^Current price of /;
+
+/**
+ * Build the customId of a status panel button.
+ * @param {string} action - pause, resume, stop or cancel.
+ * @param {string} userId - The Discord user who owns the grid.
+ * @param {string} symbol - The trading pair.
+ * @returns {string} The customId.
+ */
+function panelButtonId(action, userId, symbol) {
+  return `${PANEL_BUTTON_PREFIX}:${action}:${userId}:${symbol}`;
+}
+
+/**
+ * Parse the customId of a status panel button.
+ * @param {string} customId - The customId.
+ * @returns {object|null} { action, userId, symbol }, or null if it is not a panel button.
+ */
+function parsePanelButtonId(customId) {
+  const [prefix, action, userId, symbol] = customId.split(':');
+  return prefix === PANEL_BUTTON_PREFIX && symbol ? { action, userId, symbol } : null;
+}
+
+/**
+ * Keep one pinned status embed per grid, edited in place, and post events as compact embeds
+ * of their own. Which events are posted is up to the caller: post(message) posts one, and
+ * observe(message) only shows it as the panel's last event.
+ * @param {object} options - Panel options.
+ * @param {object} options.channel - The channel the grid reports to.
+ * @param {function} [options.send] - Sends event embeds to the channel (default: channel.send).
+ * @param {string} options.userId - The Discord user who owns the grid.
+ * @param {string} options.symbol - The trading pair.
+ * @param {string} options.title - The embed title, e.g. "DOGEUSDT on Binance US".
+ * @param {number} [options.refreshMs] - How often the embed refreshes without any events.
+ * @returns {object} The panel, with attach(grid), post(message), observe(message), refresh()
+ *   and close(status).
+ */
+function createStatusPanel({ channel, send = (payload) => channel.send(payload), userId, symbol, title, refreshMs = MIN_REFRESH_INTERVAL_MS }) {
+  // { engine, runner, ledger, paper } once the grid has started
+  let grid = null;
+  let message = null;
+  let lastEvent = null;
+  let lastEditAt = 0;
+  let editTimer = null;
+  let closed = false;
+  const refreshTimer = setInterval(() => refresh(), Math.max(refreshMs, MIN_REFRESH_INTERVAL_MS));
+
+  function statusOf() {
+    if (closed) return 'stopped';
+    if (grid.engine.getState().halted) return 'halted';
+    return grid.runner.isPaused() ? 'paused' : 'running';
+  }
+
+  function buildEmbed(status) {
+    const { engine, ledger, paper } = grid;
+    const state = engine.getState();
+    const filters = engine.getFilters();
+    const currentPrice = engine.getLastPrice() ?? state.basePrice;
+    const exposure = measureExposure(state.orders);
+    const trailing = engine.getPendingExits().length;
+    const quote = filters?.quoteAsset || '';
+    const money = (value) => `${value.toFixed(4)} ${quote}`;
+
+    const embed = new EmbedBuilder()
+      .setTitle(`${paper ? '[PAPER] ' : ''}${title}`)
+      .setColor(COLORS[status])
+      .addFields(
+        { name: 'Status', value: state.halted && !closed ? `halted: ${state.halted.reason}` : status },
+        { name: 'Base price', value: `$${state.basePrice}`, inline: true },
+        { name: 'Current price', value: currentPrice === null ? 'n/a' : `$${currentPrice}`, inline: true },
+        { name: 'Open orders', value: `${engine.getOpenOrders('BUY').length} buys, ${engine.getOpenOrders('SELL').length} sells${trailing ? `, ${trailing} trailing exits` : ''}`, inline: true },
+        { name: 'Capital deployed', value: money(exposure.openBuyCapital + exposure.inventoryCost), inline: true },
+      )
+      .setTimestamp();
+
+    if (state.strategy === 'drop') {
+      const { percentageDrop, buyOffset, takeProfit, netProfitPercent } = state.params;
+      const percent = (value) => `${Number(value.toFixed(4))}%`;
+      const exit = netProfitPercent === undefined ? `take-profit +${percent((takeProfit - 1) * 100)}` : `+${percent(netProfitPercent)} net of fees`;
+      embed.addFields({ name: 'Spacing', value: `buy at -${percent(percentageDrop)}, offset ${percent((1 - buyOffset) * 100)}, ${exit}`, inline: true });
+    }
+    if (filters && currentPrice !== null) {
+      const entries = ledger ? ledger.getEntries() : fillsFromOrders(state.orders, symbol);
+      const pnl = computePnl(entries, { currentPrice, baseAsset: filters.baseAsset, quoteAsset: filters.quoteAsset });
+      embed.addFields({ name: 'P&L', value: `${money(pnl.realizedPnl)} realized over ${pnl.cycles.length} cycles, ${money(pnl.unrealizedPnl)} unrealized`, inline: true });
+    }
+    if (lastEvent) embed.addFields({ name: 'Last event', value: redact(lastEvent).slice(0, 1024) });
+    return embed;
+  }
+
+  function buildButtons(status) {
+    if (status === 'stopped') return [];
+    const paused = status === 'paused' || status === 'halted';
+    return [new ActionRowBuilder().addComponents(
+      paused
+        ? new ButtonBuilder().setCustomId(panelButtonId('resume', userId, symbol)).setLabel('Resume').setStyle(ButtonStyle.Success)
+        : new ButtonBuilder().setCustomId(panelButtonId('pause', userId, symbol)).setLabel('Pause').setStyle(ButtonStyle.Secondary),
+      new ButtonBuilder().setCustomId(panelButtonId('stop', userId, symbol)).setLabel('Stop').setStyle(ButtonStyle.Secondary),
+      new ButtonBuilder().setCustomId(panelButtonId('cancel', userId, symbol)).setLabel('Cancel all').setStyle(ButtonStyle.Danger),
+    )];
+  }
+
+  async function render() {
+    if (!grid) return;
+    const status = statusOf();
+    const content = { embeds: [buildEmbed(status)], components: buildButtons(status) };
+    lastEditAt = Date.now();
+
+    if (message) {
+      await message.edit(content);
+      return;
+    }
+    message = await channel.send(content);
+    // Pinning needs Manage Messages; the panel works without it
+    await message.pin().catch(() => {});
+  }
+
+  // Edit the status embed now, or as soon as the rate limit allows
+  function refresh() {
+    if (editTimer) return;
+    const wait = Math.max(lastEditAt + MIN_EDIT_INTERVAL_MS - Date.now(), 0);
+    editTimer = setTimeout(() => {
+      editTimer = null;
+      render().catch((error) => console.error(`Error updating the status panel for ${symbol}: ${error.message}`));
+    }, wait);
+  }
+
+  // Show an event as the last one; price lines only refresh the embed
+  function observe(text) {
+    if (!QUIET_PATTERN.test(text)) lastEvent = text;
+    refresh();
+  }
+
+  // Post an event as an embed of its own
+  function post(text) {
+    const style = EVENT_STYLES.find(({ pattern }) => pattern.test(text)) || DEFAULT_STYLE;
+    const embed = new EmbedBuilder().setColor(style.color).setDescription(redact(text).slice(0, 4096)).setFooter({ text: `${symbol} · ${style.title}` }).setTimestamp();
+    Promise.resolve(send({ embeds: [embed] })).catch((error) => console.error(`Error posting a ${symbol} event: ${error.message}`));
+    refresh();
+  }
+
+  return {
+    post,
+    observe,
+    refresh,
+    // Show the grid once it has started
+    attach(startedGrid) {
+      grid = startedGrid;
+      return render().catch((error) => console.error(`Error posting the status panel for ${symbol}: ${error.message}`));
+    },
+    // Show the grid as stopped, drop the buttons and unpin the panel
+    async close(reason) {
+      if (closed) return;
+      closed = true;
+      clearInterval(refreshTimer);
+      clearTimeout(editTimer);
+      editTimer = null;
+      if (reason) lastEvent = reason;
+      try {
+        await render();
+        if (message) await message.unpin().catch(() => {});
+      } catch (error) {
+        console.error(`Error closing the status panel for ${symbol}: ${error.message}`);
+      }
+    },
+  };
+}
+
+module.exports = {
+  panelButtonId,
+  parsePanelButtonId,
+  createStatusPanel,
+};
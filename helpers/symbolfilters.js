@@ -0,0 +1,368 @@
+// Binance symbol filters, and the checks the exchange runs against every new order. All
+// rounding and comparisons use exact decimal math on BigInt units, so a price of 0.0001 on a
+// 0.0001 tick stays exactly one tick instead of 0.00009999999999999999.
+
+// Significant digits kept when reading a float; drops noise like 2.9999999999999996 from
+// arithmetic without touching any price or quantity an exchange can represent
+const SIGNIFICANT_DIGITS = 15;
+
+// Write a number as a plain decimal string, without exponent notation
+function toPlainString(value) {
+  if (typeof value === 'string') return value.trim();
+  if (!Number.isFinite(value)) throw new Error(`${value} is not a finite number.`);
+
+  const [mantissa, exponent] = Number(value.toPrecision(SIGNIFICANT_DIGITS)).toExponential().split('e');
+  const negative = mantissa.startsWith('-');
+  const digits = mantissa.replace(/^-/, '').replace('.', '');
+  const pointAt = Number(exponent) + 1;
+
+  let text;
+  if (pointAt <= 0) text = `0.${'0'.repeat(-pointAt)}${digits}`;
+  else if (pointAt >= digits.length) text = `${digits}${'0'.repeat(pointAt - digits.length)}`;
+  else text = `${digits.slice(0, pointAt)}.${digits.slice(pointAt)}`;
+  return negative ? `-${text}` : text;
+}
+
+// Split a decimal into integer units and the number of decimals they are counted in
+function parseDecimal(value) {
+  const text = toPlainString(value);
+  const match = /^(-?)(\d*)(?:\.(\d*))?$/.exec(text);
+  if (!match || (match[2] === '' && !match[3])) throw new Error(`"${text}" is not a decimal number.`);
+
+  const decimals = (match[3] || '').replace(/0+$/, '');
+  const units = BigInt(`${match[1]}${match[2] || '0'}${decimals}`);
+  return { units, scale: decimals.length };
+}
+
+// Express a parsed decimal in more decimals
+function rescale({ units, scale }, targetScale) {
+  return units * 10n ** BigInt(targetScale - scale);
+}
+
+function formatUnits(units, scale) {
+  const negative = units < 0n;
+  const digits = (negative ? -units : units).toString().padStart(scale + 1, '0');
+  const text = scale === 0 ? digits : `${digits.slice(0, -scale)}.${digits.slice(-scale)}`;
+  return negative ? `-${text}` : text;
+}
+
+/**
+ * Compare two decimals exactly.
+ * @param {number|string} a - The first value.
+ * @param {number|string} b - The second value.
+ * @returns {number} -1, 0 or 1.
+ */
+function compareDecimal(a, b) {
+  const left = parseDecimal(a);
+  const right = parseDecimal(b);
+  const scale = Math.max(left.scale, right.scale);
+  const difference = rescale(left, scale) - rescale(right, scale);
+  return difference === 0n ? 0 : difference > 0n ? 1 : -1;
+}
+
+/**
+ * Multiply two decimals exactly.
+ * @param {number|string} a - The first factor.
+ * @param {number|string} b - The second factor.
+ * @returns {string} The product.
+ */
+function multiplyDecimal(a, b) {
+  const left = parseDecimal(a);
+  const right = parseDecimal(b);
+  return formatUnits(left.units * right.units, left.scale + right.scale);
+}
+
+/**
+ * Round a value to a multiple of a step, exactly. A step of 0 means the filter is disabled.
+ * @param {number|string} value - The value.
+ * @param {number|string} step - The step or tick size.
+ * @param {string} [mode] - 'floor', 'ceil' or 'nearest'.
+ * @returns {string} The rounded value, with as many decimals as the step.
+ */
+function roundToStep(value, step, mode = 'floor') {
+  const stepDecimal = parseDecimal(step);
+  if (stepDecimal.units === 0n) return toPlainString(value);
+
+  const valueDecimal = parseDecimal(value);
+  const scale = Math.max(valueDecimal.scale, stepDecimal.scale);
+  const units = rescale(valueDecimal, scale);
+  const stepUnits = rescale(stepDecimal, scale);
+
+  let steps = units / stepUnits;
+  const remainder = units % stepUnits;
+  if (remainder !== 0n) {
+    if (mode === 'ceil' && remainder > 0n) steps += 1n;
+    if (mode === 'floor' && remainder < 0n) steps -= 1n;
+    if (mode === 'nearest' && (remainder < 0n ? -remainder : remainder) * 2n >= stepUnits) steps += remainder > 0n ? 1n : -1n;
+  }
+
+  return formatUnits(steps * stepDecimal.units, stepDecimal.scale);
+}
+
+/**
+ * Whether a value is an exact multiple of a step. A step of 0 accepts everything.
+ * @param {number|string} value - The value.
+ * @param {number|string} step - The step or tick size.
+ * @returns {boolean} True if no rounding is needed.
+ */
+function isMultipleOfStep(value, step) {
+  if (parseDecimal(step).units === 0n) return true;
+  return compareDecimal(roundToStep(value, step), value) === 0;
+}
+
+const number = (value) => (value === undefined ? undefined : parseFloat(value));
+
+/**
+ * Read a pair's filters from its exchangeInfo entry. Pairs carry either the legacy MIN_NOTIONAL
+ * filter or the newer NOTIONAL filter; both end up in minNotional.
+ * @param {object} pair - The symbol entry from /api/v3/exchangeInfo.
+ * @returns {object} The filters: baseAsset, quoteAsset, minQty, maxQty, stepSize, tickSize,
+ *   minPrice, maxPrice and minNotional, plus whichever of notionalFilter, maxNotional, priceBands,
+ *   marketMinQty, marketMaxQty, marketStepSize, maxNumOrders, maxNumAlgoOrders,
+ *   maxNumIcebergOrders, icebergParts and maxPosition the pair defines.
+ */
+function parseSymbolFilters(pair) {
+  const byType = new Map(pair.filters.map((filter) => [filter.filterType, filter]));
+  const lotSize = byType.get('LOT_SIZE') || {};
+  const priceFilter = byType.get('PRICE_FILTER') || {};
+  const notional = byType.get('NOTIONAL') || byType.get('MIN_NOTIONAL') || {};
+
+  const filters = {
+    baseAsset: pair.baseAsset,
+    quoteAsset: pair.quoteAsset,
+    minQty: number(lotSize.minQty) || 0,
+    maxQty: number(lotSize.maxQty) || 0,
+    stepSize: number(lotSize.stepSize) || 0,
+    tickSize: number(priceFilter.tickSize) || 0,
+    minPrice: number(priceFilter.minPrice) || 0,
+    maxPrice: number(priceFilter.maxPrice) || 0,
+    minNotional: number(notional.minNotional) || 0,
+  };
+  if (byType.has('NOTIONAL')) filters.notionalFilter = 'NOTIONAL';
+
+  // NOTIONAL also caps the order value; a maxNotional of 0 means no cap
+  if (number(notional.maxNotional)) filters.maxNotional = number(notional.maxNotional);
+  if (notional.applyMinToMarket !== undefined) filters.applyMinNotionalToMarket = notional.applyMinToMarket;
+  if (notional.applyToMarket !== undefined) filters.applyMinNotionalToMarket = notional.applyToMarket;
+  if (notional.applyMaxToMarket !== undefined) filters.applyMaxNotionalToMarket = notional.applyMaxToMarket;
+
+  // How far a limit price may sit from the average price, per side
+  const percentPrice = byType.get('PERCENT_PRICE');
+  const percentPriceBySide = byType.get('PERCENT_PRICE_BY_SIDE');
+  if (percentPriceBySide) {
+    filters.priceBands = {
+      filter: 'PERCENT_PRICE_BY_SIDE',
+      BUY: { up: number(percentPriceBySide.bidMultiplierUp), down: number(percentPriceBySide.bidMultiplierDown) },
+      SELL: { up: number(percentPriceBySide.askMultiplierUp), down: number(percentPriceBySide.askMultiplierDown) },
+    };
+  } else if (percentPrice) {
+    const band = { up: number(percentPrice.multiplierUp), down: number(percentPrice.multiplierDown) };
+    filters.priceBands = { filter: 'PERCENT_PRICE', BUY: band, SELL: band };
+  }
+
+  const marketLotSize = byType.get('MARKET_LOT_SIZE');
+  if (marketLotSize) {
+    filters.marketMinQty = number(marketLotSize.minQty);
+    filters.marketMaxQty = number(marketLotSize.maxQty);
+    filters.marketStepSize = number(marketLotSize.stepSize);
+  }
+
+  if (byType.has('MAX_NUM_ORDERS')) filters.maxNumOrders = byType.get('MAX_NUM_ORDERS').maxNumOrders;
+  if (byType.has('MAX_NUM_ALGO_ORDERS')) filters.maxNumAlgoOrders = byType.get('MAX_NUM_ALGO_ORDERS').maxNumAlgoOrders;
+  if (byType.has('MAX_NUM_ICEBERG_ORDERS')) filters.maxNumIcebergOrders = byType.get('MAX_NUM_ICEBERG_ORDERS').maxNumIcebergOrders;
+  if (byType.has('ICEBERG_PARTS')) filters.icebergParts = byType.get('ICEBERG_PARTS').limit;
+  if (byType.has('MAX_POSITION')) filters.maxPosition = number(byType.get('MAX_POSITION').maxPosition);
+
+  return filters;
+}
+
+/**
+ * Round a quantity down to the pair's lot size, never below the minimum quantity.
+ * @param {number} quantity - The quantity.
+ * @param {number} stepSize - The LOT_SIZE step size.
+ * @param {number} minQty - The LOT_SIZE minimum quantity.
+ * @returns {number} The adjusted quantity.
+ */
+function adjustQuantity(quantity, stepSize, minQty) {
+  const adjusted = roundToStep(quantity, stepSize, 'floor');
+  return compareDecimal(adjusted, minQty) < 0 ? minQty : Number(adjusted);
+}
+
+/**
+ * Round a price down to the pair's tick size, never below the minimum price.
+ * @param {number} price - The price.
+ * @param {number} tickSize - The PRICE_FILTER tick size.
+ * @param {number} minPrice - The PRICE_FILTER minimum price.
+ * @returns {number} The adjusted price.
+ */
+function adjustPrice(price, tickSize, minPrice) {
+  const adjusted = roundToStep(price, tickSize, 'floor');
+  return compareDecimal(adjusted, minPrice) < 0 ? minPrice : Number(adjusted);
+}
+
+/**
+ * Whether an order's value meets the pair's minimum notional.
+ * @param {number} quantity - The order quantity.
+ * @param {number} price - The order price.
+ * @param {number} minNotional - The NOTIONAL or MIN_NOTIONAL minimum.
+ * @returns {boolean} True if the order is large enough.
+ */
+function isValidNotional(quantity, price, minNotional) {
+  return compareDecimal(multiplyDecimal(quantity, price), minNotional || 0) >= 0;
+}
+
+/**
+ * Format a quantity for an order request with exactly the decimals of the step size.
+ * @param {number} quantity - A quantity already on the lot size.
+ * @param {object} filters - The pair's filters.
+ * @param {string} [type] - The order type; MARKET orders use MARKET_LOT_SIZE when it has a step.
+ * @returns {string} The quantity.
+ */
+function formatQuantity(quantity, filters, type = 'LIMIT') {
+  return roundToStep(quantity, lotSizeFor(filters, type).stepSize, 'floor');
+}
+
+/**
+ * Format a price for an order request with exactly the decimals of the tick size.
+ * @param {number} price - A price already on the tick size.
+ * @param {object} filters - The pair's filters.
+ * @returns {string} The price.
+ */
+function formatPrice(price, filters) {
+  return roundToStep(price, filters.tickSize, 'floor');
+}
+
+// MARKET_LOT_SIZE replaces LOT_SIZE for market orders; a step size of 0 there defers to LOT_SIZE
+function lotSizeFor(filters, type) {
+  if (type !== 'MARKET' || filters.marketStepSize === undefined) {
+    return { minQty: filters.minQty, maxQty: filters.maxQty, stepSize: filters.stepSize, filter: 'LOT_SIZE' };
+  }
+  return {
+    minQty: filters.marketMinQty,
+    maxQty: filters.marketMaxQty,
+    stepSize: filters.marketStepSize || filters.stepSize,
+    filter: 'MARKET_LOT_SIZE',
+  };
+}
+
+/**
+ * Check an order against every filter the exchange applies, and explain each one it breaks.
+ * Checks that need context are skipped without it: PERCENT_PRICE bands need the current price
+ * (the exchange uses a recent average price, so orders right at a band edge may still fail),
+ * MAX_NUM_ORDERS needs the number of open orders on the pair, MAX_POSITION needs the buy's
+ * position (base held plus open buys), and MARKET orders need the current price for their notional.
+ * @param {object} filters - The pair's filters, from parseSymbolFilters.
+ * @param {object} order - { side, quantity, price, type }; type defaults to LIMIT.
+ * @param {object} [context] - { currentPrice, openOrders, position }.
+ * @returns {object[]} One { filter, message } per broken rule, plus the limit and the rounded
+ *   value that would pass where one exists; empty when the exchange would accept the order.
+ */
+function checkOrderFilters(filters, { side, quantity, price, type = 'LIMIT' }, { currentPrice, openOrders, position } = {}) {
+  const problems = [];
+  const lotSize = lotSizeFor(filters, type);
+
+  if (!(quantity > 0)) {
+    problems.push({ filter: lotSize.filter, message: `quantity ${quantity} must be greater than 0.` });
+  } else {
+    if (compareDecimal(quantity, lotSize.minQty) < 0) {
+      problems.push({ filter: lotSize.filter, message: `quantity ${quantity} is below the minimum ${lotSize.minQty}.`, limit: lotSize.minQty });
+    }
+    if (lotSize.maxQty && compareDecimal(quantity, lotSize.maxQty) > 0) {
+      problems.push({ filter: lotSize.filter, message: `quantity ${quantity} is above the maximum ${lotSize.maxQty}.`, limit: lotSize.maxQty });
+    }
+    if (!isMultipleOfStep(quantity, lotSize.stepSize)) {
+      const suggestion = roundToStep(quantity, lotSize.stepSize, 'floor');
+      problems.push({ filter: lotSize.filter, message: `quantity ${quantity} is not a multiple of the step size ${lotSize.stepSize}; use ${suggestion}.`, limit: lotSize.stepSize, suggestion });
+    }
+  }
+
+  if (type !== 'MARKET') {
+    if (!(price > 0)) {
+      problems.push({ filter: 'PRICE_FILTER', message: `price ${price} must be greater than 0.` });
+    } else {
+      if (filters.minPrice && compareDecimal(price, filters.minPrice) < 0) {
+        problems.push({ filter: 'PRICE_FILTER', message: `price ${price} is below the minimum ${filters.minPrice}.`, limit: filters.minPrice });
+      }
+      if (filters.maxPrice && compareDecimal(price, filters.maxPrice) > 0) {
+        problems.push({ filter: 'PRICE_FILTER', message: `price ${price} is above the maximum ${filters.maxPrice}.`, limit: filters.maxPrice });
+      }
+      if (!isMultipleOfStep(price, filters.tickSize)) {
+        const suggestion = roundToStep(price, filters.tickSize, side === 'SELL' ? 'ceil' : 'floor');
+        problems.push({ filter: 'PRICE_FILTER', message: `price ${price} is not a multiple of the tick size ${filters.tickSize}; use ${suggestion}.`, limit: filters.tickSize, suggestion });
+      }
+    }
+
+    const band = filters.priceBands?.[side];
+    if (band && currentPrice > 0 && price > 0) {
+      const { filter } = filters.priceBands;
+      const highest = multiplyDecimal(currentPrice, band.up);
+      const lowest = multiplyDecimal(currentPrice, band.down);
+      if (compareDecimal(price, highest) > 0) {
+        problems.push({ filter, message: `${side} price ${price} is more than ${band.up}x the current price ${currentPrice} (at most ${Number(highest)}).`, limit: Number(highest) });
+      } else if (compareDecimal(price, lowest) < 0) {
+        problems.push({ filter, message: `${side} price ${price} is less than ${band.down}x the current price ${currentPrice} (at least ${Number(lowest)}).`, limit: Number(lowest) });
+      }
+    }
+  }
+
+  // Market orders are valued at the current price, and only when the filter applies to them
+  const notionalPrice = type === 'MARKET' ? currentPrice : price;
+  if (quantity > 0 && notionalPrice > 0) {
+    const filter = filters.notionalFilter || 'MIN_NOTIONAL';
+    const notional = multiplyDecimal(quantity, notionalPrice);
+    const checkMin = type !== 'MARKET' || filters.applyMinNotionalToMarket !== false;
+    const checkMax = type !== 'MARKET' || filters.applyMaxNotionalToMarket !== false;
+    if (checkMin && filters.minNotional && compareDecimal(notional, filters.minNotional) < 0) {
+      problems.push({ filter, message: `order value ${Number(notional)} is below the minimum ${filters.minNotional}.`, limit: filters.minNotional });
+    }
+    if (checkMax && filters.maxNotional && compareDecimal(notional, filters.maxNotional) > 0) {
+      problems.push({ filter, message: `order value ${Number(notional)} is above the maximum ${filters.maxNotional}.`, limit: filters.maxNotional });
+    }
+  }
+
+  if (filters.maxNumOrders && openOrders !== undefined && openOrders + 1 > filters.maxNumOrders) {
+    problems.push({ filter: 'MAX_NUM_ORDERS', message: `${openOrders} orders are already open, the most the pair allows is ${filters.maxNumOrders}.`, limit: filters.maxNumOrders });
+  }
+
+  // The position counts the base asset held and every open buy, so only buys can exceed it
+  if (filters.maxPosition && side === 'BUY' && position !== undefined && quantity > 0 && position + quantity > filters.maxPosition) {
+    problems.push({ filter: 'MAX_POSITION', message: `buying ${quantity} would take the position of ${position} above the maximum ${filters.maxPosition}.`, limit: filters.maxPosition });
+  }
+
+  return problems;
+}
+
+/**
+ * Check an order against the pair's filters and throw if the exchange would reject it. The
+ * error looks like the exchange's own filter failure (code -1013), so callers handle a
+ * pre-flight rejection and a real one the same way, and it lists every problem.
+ * @param {object} filters - The pair's filters.
+ * @param {object} order - { side, quantity, price, type }.
+ * @param {object} [context] - { currentPrice, openOrders, position }.
+ * @throws {Error} With `problems` and a Binance-style `response.data` when the order is invalid.
+ */
+function assertOrderFilters(filters, order, context) {
+  const problems = checkOrderFilters(filters, order, context);
+  if (problems.length === 0) return;
+
+  const msg = problems.map((problem) => `Filter failure: ${problem.filter} (${problem.message})`).join(' ');
+  const error = new Error(`${order.side} order rejected before sending: ${msg}`);
+  error.problems = problems;
+  error.response = { status: 400, data: { code: -1013, msg } };
+  throw error;
+}
+
+module.exports = {
+  compareDecimal,
+  multiplyDecimal,
+  roundToStep,
+  isMultipleOfStep,
+  parseSymbolFilters,
+  adjustQuantity,
+  adjustPrice,
+  isValidNotional,
+  formatQuantity,
+  formatPrice,
+  checkOrderFilters,
+  assertOrderFilters,
+};
@@ -0,0 +1,258 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_LEDGER_DIR = process.env.LEDGER_DIR || path.join(__dirname, '..', 'data', 'ledgers');
+const CSV_COLUMNS = ['time', 'symbol', 'orderId', 'side', 'quantity', 'price', 'quoteQty', 'commission', 'commissionAsset', 'linkedOrderId'];
+const PERIOD_UNITS_MS = { h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+
+/**
+ * Create an append-only ledger of one grid's fills, kept as JSON Lines next to its state file.
+ * Every filled order is recorded once, with what the exchange actually executed and charged.
+ * @param {string} key - Identifies the grid, the same key as its state store.
+ * @param {string} [dir] - Directory holding the ledger files.
+ * @returns {object} The ledger, with getEntries(), has(orderId) and record(entry).
+ */
+function createTradeLedger(key, dir = DEFAULT_LEDGER_DIR) {
+  const filePath = path.join(dir, `${key.replace(/[^\w.-]/g, '_')}.jsonl`);
+  let entries = null;
+
+  function getEntries() {
+    if (!entries) {
+      entries = fs.existsSync(filePath)
+        ? fs.readFileSync(filePath, 'utf8').split('\n').filter(Boolean).map((line) => JSON.parse(line))
+        : [];
+    }
+    return entries;
+  }
+
+  function has(orderId) {
+    return getEntries().some((entry) => entry.orderId === orderId);
+  }
+
+  // Append a fill; returns false if the order is already in the ledger
+  function record(entry) {
+    if (has(entry.orderId)) return false;
+
+    fs.mkdirSync(dir, { recursive: true });
+    fs.appendFileSync(filePath, `${JSON.stringify(entry)}\n`);
+    entries.push(entry);
+    return true;
+  }
+
+  return {
+    filePath,
+    getEntries,
+    has,
+    record,
+  };
+}
+
+/**
+ * List the keys of the ledgers whose key starts with a prefix, e.g. a Discord user's id.
+ * @param {string} prefix - The key prefix.
+ * @param {string} [dir] - Directory holding the ledger files.
+ * @returns {string[]} The ledger keys.
+ */
+function listLedgerKeys(prefix, dir = DEFAULT_LEDGER_DIR) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter((file) => file.startsWith(prefix) && file.endsWith('.jsonl'))
+    .map((file) => file.slice(0, -'.jsonl'.length));
+}
+
+/**
+ * Turn a period such as 24h, 7d or 2w into the timestamp it starts at.
+ * @param {string} period - The period, or 'all'.
+ * @param {number} [now] - The current time in milliseconds.
+ * @returns {number} The start of the period in milliseconds (0 for 'all').
+ */
+function periodStart(period, now = Date.now()) {
+  if (!period || period === 'all') return 0;
+
+  const match = /^(\d+)([hdw])$/.exec(period);
+  if (!match) throw new Error(`Unknown period "${period}". Use e.g. 24h, 7d, 2w or all.`);
+  return now - Number(match[1]) * PERIOD_UNITS_MS[match[2]];
+}
+
+// Value a fill's commission in the quote asset; commissions in a third asset (e.g. BNB) have no price here
+function commissionInQuote(entry, baseAsset, quoteAsset) {
+  if (entry.commissionAsset === quoteAsset) return entry.commission;
+  if (entry.commissionAsset === baseAsset) return entry.commission * entry.price;
+  return 0;
+}
+
+/**
+ * Compute a grid's P&L from its ledger. A cycle is a SELL linked to the BUY it took profit on;
+ * its realized P&L is the sell proceeds minus the cost of the quantity sold and both fills' fees.
+ * A SELL that closes inventory, such as a risk exit's market sell, closes the oldest unsold buys
+ * first. Bought inventory without a filled sell is marked to the current price as unrealized P&L.
+ * @param {object[]} entries - Ledger entries.
+ * @param {object} options - P&L options.
+ * @param {number} options.currentPrice - Price to mark open inventory to.
+ * @param {string} options.baseAsset - The pair's base asset.
+ * @param {string} options.quoteAsset - The pair's quote asset.
+ * @param {number} [options.since] - Only count cycles closed and fees paid from this time on.
+ * @returns {object} The P&L summary, with the cycles it was computed from.
+ */
+function computePnl(entries, { currentPrice, baseAsset, quoteAsset, since = 0 }) {
+  const byOrderId = new Map(entries.map((entry) => [entry.orderId, entry]));
+  // A buy filled in parts can be sold by several take-profit sells
+  const soldQuantity = new Map();
+  const unsold = (buy) => Math.max(buy.quantity - (soldQuantity.get(buy.orderId) || 0), 0);
+  const buys = [];
+  const cycles = [];
+  const fees = {};
+  let unmatchedSells = 0;
+
+  // Close quantity of a buy with (part of) a sell
+  function closeCycle(buy, sell, quantity) {
+    soldQuantity.set(buy.orderId, (soldQuantity.get(buy.orderId) || 0) + quantity);
+    if (sell.time < since) return;
+
+    const sellShare = Math.min(quantity / sell.quantity, 1);
+    const buyFees = commissionInQuote(buy, baseAsset, quoteAsset) * Math.min(quantity / buy.quantity, 1);
+    const cycleFees = commissionInQuote(sell, baseAsset, quoteAsset) * sellShare + buyFees;
+    cycles.push({
+      buyOrderId: buy.orderId,
+      sellOrderId: sell.orderId,
+      quantity,
+      buyPrice: buy.price,
+      sellPrice: sell.price,
+      fees: cycleFees,
+      pnl: sell.quoteQty * sellShare - buy.price * quantity - cycleFees,
+      closedAt: sell.time,
+    });
+  }
+
+  for (const entry of entries) {
+    if (entry.time >= since && entry.commission > 0) {
+      fees[entry.commissionAsset] = (fees[entry.commissionAsset] || 0) + entry.commission;
+    }
+    if (entry.side === 'BUY') {
+      buys.push(entry);
+      continue;
+    }
+
+    if (entry.closesInventory) {
+      let remaining = entry.quantity;
+      for (const buy of buys) {
+        const quantity = Math.min(unsold(buy), remaining);
+        if (!(quantity > 0)) continue;
+        closeCycle(buy, entry, quantity);
+        remaining -= quantity;
+        if (remaining <= 0) break;
+      }
+      if (remaining === entry.quantity) unmatchedSells++;
+      continue;
+    }
+
+    const buy = byOrderId.get(entry.linkedOrderId);
+    if (!buy || buy.side !== 'BUY') {
+      unmatchedSells++;
+      continue;
+    }
+    closeCycle(buy, entry, entry.quantity);
+  }
+
+  let openQuantity = 0;
+  let openCost = 0;
+  for (const buy of buys) {
+    openQuantity += unsold(buy);
+    openCost += unsold(buy) * buy.price;
+  }
+
+  return {
+    trades: entries.filter((entry) => entry.time >= since).length,
+    cycles,
+    realizedPnl: cycles.reduce((sum, cycle) => sum + cycle.pnl, 0),
+    unrealizedPnl: openQuantity * currentPrice - openCost,
+    openQuantity,
+    openCost,
+    fees,
+    feesInQuote: entries
+      .filter((entry) => entry.time >= since)
+      .reduce((sum, entry) => sum + commissionInQuote(entry, baseAsset, quoteAsset), 0),
+    unmatchedSells,
+    currentPrice,
+    baseAsset,
+    quoteAsset,
+  };
+}
+
+/**
+ * Build ledger-shaped entries from a grid's filled orders, for grids without a ledger (paper
+ * grids). Commissions are only known where the exchange reported them.
+ * @param {object[]} orders - The grid's orders.
+ * @param {string} symbol - The trading pair.
+ * @returns {object[]} Entries as createTradeLedger records them.
+ */
+function fillsFromOrders(orders, symbol) {
+  return orders
+    .filter((order) => order.status === 'FILLED')
+    .map((order) => {
+      const quantity = order.executedQty || order.quantity;
+      const price = order.avgPrice || order.price;
+      return {
+        time: order.filledAt || Date.parse(order.updatedAt),
+        symbol,
+        orderId: order.orderId,
+        side: order.side,
+        quantity,
+        price,
+        quoteQty: quantity * price,
+        commission: order.commission || 0,
+        commissionAsset: order.commissionAsset,
+        linkedOrderId: order.linkedOrderId,
+        closesInventory: order.closesInventory,
+      };
+    });
+}
+
+/**
+ * Format ledger entries as CSV, one fill per row.
+ * @param {object[]} entries - Ledger entries.
+ * @returns {string} The CSV, with a header row.
+ */
+function toCsv(entries) {
+  const rows = entries.map((entry) => CSV_COLUMNS.map((column) => {
+    const value = column === 'time' ? new Date(entry.time).toISOString() : entry[column];
+    return value === undefined ? '' : String(value);
+  }).join(','));
+  return [CSV_COLUMNS.join(','), ...rows].join('\n');
+}
+
+/**
+ * Format a P&L summary for the console or Discord.
+ * @param {string} symbol - The trading pair.
+ * @param {object} pnl - The summary from computePnl.
+ * @param {string} [period] - The period the summary covers.
+ * @returns {string} The formatted summary.
+ */
+function formatPnlReport(symbol, pnl, period = 'all') {
+  const money = (value) => `${value.toFixed(4)} ${pnl.quoteAsset}`;
+  const otherFees = Object.entries(pnl.fees)
+    .filter(([asset]) => asset !== pnl.quoteAsset && asset !== pnl.baseAsset)
+    .map(([asset, amount]) => `${amount.toFixed(8)} ${asset}`);
+
+  const lines = [
+    `[P&L] ${symbol} (${period === 'all' ? 'all time' : `last ${period}`})`,
+    `Fills: ${pnl.trades}, closed cycles: ${pnl.cycles.length}`,
+    `Realized P&L: ${money(pnl.realizedPnl)}`,
+    `Unrealized P&L: ${money(pnl.unrealizedPnl)} on ${pnl.openQuantity} ${pnl.baseAsset} held at $${pnl.currentPrice}`,
+    `Fees: ${money(pnl.feesInQuote)}${otherFees.length ? ` + ${otherFees.join(', ')}` : ''}`,
+  ];
+  if (pnl.unmatchedSells > 0) {
+    lines.push(`${pnl.unmatchedSells} sells have no recorded buy and are left out of realized P&L.`);
+  }
+  return lines.join('\n');
+}
+
+module.exports = {
+  createTradeLedger,
+  listLedgerKeys,
+  periodStart,
+  computePnl,
+  fillsFromOrders,
+  toCsv,
+  formatPnlReport,
+};
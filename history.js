@@ -0,0 +1,3 @@
+// Kept so existing deployments keep working; use "gridkyc history" instead
+console.error('history.js is deprecated; run "gridkyc history" instead.');
+require('./gridkyc').main(['history', ...process.argv.slice(2)]);
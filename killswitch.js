@@ -0,0 +1,3 @@
+// Kept so existing deployments keep working; use "gridkyc killswitch" instead
+console.error('killswitch.js is deprecated; run "gridkyc killswitch" instead.');
+require('./gridkyc').main(['killswitch', ...process.argv.slice(2)]);
@@ -0,0 +1,3 @@
+// Kept so existing deployments keep working; use "gridkyc pnl" instead
+console.error('pnl.js is deprecated; run "gridkyc pnl" instead.');
+require('./gridkyc').main(['pnl', ...process.argv.slice(2)]);